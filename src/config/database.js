@@ -82,4 +82,20 @@ const desconectarDB = async () => {
   }
 };
 
-module.exports = { conectarDB, desconectarDB };
\ No newline at end of file
+/**
+ * Ejecutar varias escrituras en una transacción (todo o nada)
+ * Reintenta sola ante errores transitorios (TransientTransactionError,
+ * UnknownTransactionCommitResult), así que la operación puede correr más
+ * de una vez: no debe tener efectos fuera de la base de datos
+ * (notificaciones, avisos push...), esos van después de confirmar
+ * Para rechazar por una regla de negocio: await session.abortTransaction()
+ * y devolver el resultado
+ * Requiere un replica set (MongoDB Atlas lo es)
+ * @param {Function} operacion - async (session) => resultado
+ * @returns {*} - Lo que devuelva la operación
+ */
+const ejecutarTransaccion = (operacion) => {
+  return mongoose.connection.transaction(operacion);
+};
+
+module.exports = { conectarDB, desconectarDB, ejecutarTransaccion };
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * =====================================================
+ * CONFIGURACIÓN DE ROLES Y PERMISOS
+ * =====================================================
+ * Archivo: src/config/permisos.js
+ * Descripción: Permisos de las cuentas que actúan a nombre
+ *              de una empresa (dueño y personal)
+ * =====================================================
+ */
+
+// ===== PERMISOS DISPONIBLES =====
+const PERMISOS = {
+  QR_LEER: 'qr:leer',
+  PUNTOS_AGREGAR: 'puntos:agregar',
+  PUNTOS_CONFIGURAR: 'puntos:configurar',
+  MARCA_GESTIONAR: 'marca:gestionar',
+  REPORTES_VER: 'reportes:ver',
+  RECOMPENSAS_VER: 'recompensas:ver',
+  RECOMPENSAS_GESTIONAR: 'recompensas:gestionar',
+  RECOMPENSAS_ELIMINAR: 'recompensas:eliminar',
+  CANJES_VER: 'canjes:ver',
+  CANJES_ENTREGAR: 'canjes:entregar',
+  CANJES_CANCELAR: 'canjes:cancelar',
+  PERSONAL_GESTIONAR: 'personal:gestionar',
+  APIKEYS_GESTIONAR: 'apikeys:gestionar'
+};
+
+const TODOS = Object.values(PERMISOS);
+
+// ===== ROLES =====
+// La cuenta de empresa siempre actúa como 'propietario'
+const ROLES = {
+  propietario: TODOS,
+
+  gerente: TODOS.filter(p => ![PERMISOS.PERSONAL_GESTIONAR, PERMISOS.APIKEYS_GESTIONAR].includes(p)),
+
+  cajero: [
+    PERMISOS.QR_LEER,
+    PERMISOS.PUNTOS_AGREGAR,
+    PERMISOS.RECOMPENSAS_VER,
+    PERMISOS.CANJES_VER,
+    PERMISOS.CANJES_ENTREGAR
+  ]
+};
+
+// ===== ALCANCES DE API KEYS =====
+// Una API key nunca puede administrar personal ni otras API keys
+const ALCANCES_API_KEY = TODOS.filter(
+  p => ![PERMISOS.PERSONAL_GESTIONAR, PERMISOS.APIKEYS_GESTIONAR].includes(p)
+);
+
+/**
+ * Obtener el rol efectivo de un usuario dentro de su empresa
+ * @param {Object} usuario - Documento del usuario
+ * @returns {String|null}
+ */
+const obtenerRol = (usuario) => {
+  if (usuario.tipoUsuario === 'empresa') return 'propietario';
+  if (usuario.tipoUsuario === 'empleado') return usuario.rolEmpleado;
+  return null;
+};
+
+/**
+ * Verificar si un rol tiene un permiso
+ * @param {String} rol
+ * @param {String} permiso
+ * @returns {Boolean}
+ */
+const rolTienePermiso = (rol, permiso) => {
+  return Boolean(ROLES[rol] && ROLES[rol].includes(permiso));
+};
+
+module.exports = {
+  PERMISOS,
+  ROLES,
+  ALCANCES_API_KEY,
+  obtenerRol,
+  rolTienePermiso
+};
\ No newline at end of file
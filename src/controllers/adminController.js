@@ -0,0 +1,634 @@
+/**
+ * =====================================================
+ * CONTROLADOR DE ADMINISTRACIÓN
+ * =====================================================
+ * Archivo: src/controllers/adminController.js
+ * Descripción: Operación de la plataforma (solo admins)
+ *              - Buscar usuarios
+ *              - Desactivar / reactivar cuentas
+ *              - Consultar transacciones y canjes de empresas
+ *              - Ajustar saldos con motivo registrado
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+const Usuario = require('../models/Usuario');
+const Transaccion = require('../models/Transaccion');
+const Canje = require('../models/Canje');
+const AjusteSaldo = require('../models/AjusteSaldo');
+const sesionService = require('../services/sesionService');
+const notificacionService = require('../services/notificacionService');
+const auditoriaService = require('../services/auditoriaService');
+const puntosService = require('../services/puntosService');
+const walletService = require('../services/walletService');
+const { ejecutarTransaccion } = require('../config/database');
+
+/**
+ * Escapar texto para usarlo dentro de una expresión regular
+ * @param {String} texto
+ * @returns {String}
+ */
+function escaparRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Cambiar el estado activo de una cuenta
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Boolean} activo - Nuevo estado
+ */
+async function cambiarEstadoCuenta(req, res, activo) {
+  const { motivo } = req.body;
+
+  if (!motivo || motivo.trim().length < 10) {
+    return res.status(400).json({
+      success: false,
+      mensaje: 'El motivo es obligatorio (mínimo 10 caracteres)'
+    });
+  }
+
+  const usuario = await Usuario.findById(req.params.id);
+
+  if (!usuario) {
+    return res.status(404).json({
+      success: false,
+      mensaje: 'Usuario no encontrado'
+    });
+  }
+
+  if (usuario.tipoUsuario === 'admin') {
+    return res.status(403).json({
+      success: false,
+      mensaje: 'No se puede cambiar el estado de otro administrador',
+      codigo: 'ACCESS_DENIED'
+    });
+  }
+
+  if (usuario.eliminadoEn) {
+    return res.status(400).json({
+      success: false,
+      mensaje: 'La cuenta fue eliminada por su titular y no puede reactivarse'
+    });
+  }
+
+  if (usuario.activo === activo) {
+    return res.status(400).json({
+      success: false,
+      mensaje: activo ? 'La cuenta ya está activa' : 'La cuenta ya está desactivada'
+    });
+  }
+
+  usuario.activo = activo;
+  usuario.estadoCuenta = {
+    motivo: motivo.trim(),
+    fecha: new Date(),
+    por: req.usuario._id
+  };
+  await usuario.save();
+
+  // Una cuenta desactivada pierde sus sesiones de inmediato
+  if (!activo) {
+    await sesionService.revocarTodas(usuario._id);
+  }
+
+  await auditoriaService.registrar(
+    req,
+    activo ? auditoriaService.acciones.CUENTA_REACTIVADA : auditoriaService.acciones.CUENTA_DESACTIVADA,
+    {
+      objetivo: { tipo: 'Usuario', id: usuario._id },
+      detalles: { motivo: usuario.estadoCuenta.motivo }
+    }
+  );
+
+  return res.status(200).json({
+    success: true,
+    mensaje: activo ? 'Cuenta reactivada' : 'Cuenta desactivada',
+    data: {
+      id: usuario._id,
+      tipoUsuario: usuario.tipoUsuario,
+      nombre: usuario.getNombreMostrar(),
+      activo: usuario.activo,
+      estadoCuenta: usuario.estadoCuenta
+    }
+  });
+}
+
+class AdminController {
+  /**
+   * Listar / buscar usuarios
+   * GET /api/admin/usuarios
+   */
+  async listarUsuarios(req, res) {
+    try {
+      const { tipo, activo, q, page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filtro = {};
+      if (tipo) {
+        filtro.tipoUsuario = tipo;
+      }
+      if (activo !== undefined) {
+        filtro.activo = activo === 'true';
+      }
+
+      // Búsqueda por nombre, email, teléfono, CURP o RFC
+      if (q) {
+        const regex = new RegExp(escaparRegex(q.trim()), 'i');
+        filtro.$or = [
+          { nombre: regex },
+          { nombreEmpresa: regex },
+          { email: regex },
+          { telefono: regex },
+          { curp: regex },
+          { rfc: regex }
+        ];
+      }
+
+      const [usuarios, total] = await Promise.all([
+        Usuario.find(filtro)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Usuario.countDocuments(filtro)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          usuarios,
+          paginacion: {
+            total,
+            pagina: parseInt(page),
+            totalPaginas: Math.ceil(total / limit),
+            porPagina: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al listar usuarios:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener detalle de un usuario
+   * GET /api/admin/usuarios/:id
+   */
+  async obtenerUsuario(req, res) {
+    try {
+      const usuario = await Usuario.findById(req.params.id)
+        .populate('puntosPorEmpresa.empresa', 'nombreEmpresa')
+        .populate('empresa', 'nombreEmpresa');
+
+      if (!usuario) {
+        return res.status(404).json({
+          success: false,
+          mensaje: 'Usuario no encontrado'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: usuario
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de usuario inválido'
+        });
+      }
+
+      console.error('Error al obtener usuario:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Desactivar cuenta (cliente, empresa o empleado)
+   * PUT /api/admin/usuarios/:id/desactivar
+   */
+  async desactivarUsuario(req, res) {
+    try {
+      await cambiarEstadoCuenta(req, res, false);
+    } catch (error) {
+      console.error('Error al desactivar usuario:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Reactivar cuenta
+   * PUT /api/admin/usuarios/:id/reactivar
+   */
+  async reactivarUsuario(req, res) {
+    try {
+      await cambiarEstadoCuenta(req, res, true);
+    } catch (error) {
+      console.error('Error al reactivar usuario:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Ver transacciones de cualquier empresa
+   * GET /api/admin/empresas/:id/transacciones
+   */
+  async transaccionesEmpresa(req, res) {
+    try {
+      const { page = 1, limit = 20, desde, hasta } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filtro = { empresa: req.params.id };
+
+      if (desde || hasta) {
+        filtro.createdAt = {};
+        if (desde) filtro.createdAt.$gte = new Date(desde);
+        if (hasta) filtro.createdAt.$lte = new Date(hasta);
+      }
+
+      const [transacciones, total] = await Promise.all([
+        Transaccion.find(filtro)
+          .populate('cliente', 'nombre email telefono')
+          .populate('registradoPor', 'nombre nombreEmpresa rolEmpleado')
+          .populate('apiKey', 'nombre prefijo')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Transaccion.countDocuments(filtro)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          transacciones,
+          paginacion: {
+            total,
+            pagina: parseInt(page),
+            totalPaginas: Math.ceil(total / limit),
+            porPagina: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de empresa inválido'
+        });
+      }
+
+      console.error('Error al obtener transacciones:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Ver canjes de cualquier empresa
+   * GET /api/admin/empresas/:id/canjes
+   */
+  async canjesEmpresa(req, res) {
+    try {
+      const { estado, page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filtro = { empresa: req.params.id };
+      if (estado) {
+        filtro.estado = estado;
+      }
+
+      const [canjes, total] = await Promise.all([
+        Canje.find(filtro)
+          .populate('cliente', 'nombre email telefono')
+          .populate('recompensa', 'nombre')
+          .populate('entregadoPor canceladoPor', 'nombre nombreEmpresa rolEmpleado')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Canje.countDocuments(filtro)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          canjes,
+          paginacion: {
+            total,
+            pagina: parseInt(page),
+            totalPaginas: Math.ceil(total / limit),
+            porPagina: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de empresa inválido'
+        });
+      }
+
+      console.error('Error al obtener canjes:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Ajustar puntos de un cliente en una empresa (motivo obligatorio)
+   * POST /api/admin/clientes/:id/ajustar-puntos
+   */
+  async ajustarPuntos(req, res) {
+    try {
+      const { empresaId, puntos, motivo } = req.body;
+      const puntosNum = parseInt(puntos);
+
+      if (!empresaId || isNaN(puntosNum) || puntosNum === 0 || !motivo) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Campos obligatorios: empresaId, puntos (entero distinto de 0), motivo'
+        });
+      }
+
+      if (motivo.trim().length < 10) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'El motivo debe tener al menos 10 caracteres'
+        });
+      }
+
+      const [cliente, empresa] = await Promise.all([
+        Usuario.findOne({ _id: req.params.id, tipoUsuario: 'cliente' }),
+        Usuario.findOne({ _id: empresaId, tipoUsuario: 'empresa' })
+      ]);
+
+      if (!cliente) {
+        return res.status(404).json({
+          success: false,
+          mensaje: 'Cliente no encontrado'
+        });
+      }
+
+      if (!empresa) {
+        return res.status(404).json({
+          success: false,
+          mensaje: 'Empresa no encontrada'
+        });
+      }
+
+      // Una cuenta eliminada o desactivada no recibe movimientos
+      if (cliente.eliminadoEn || !cliente.activo) {
+        return res.status(409).json({
+          success: false,
+          mensaje: 'La cuenta del cliente está eliminada o desactivada',
+          codigo: 'CLIENT_INACTIVE'
+        });
+      }
+
+      const indexEmpresa = cliente.puntosPorEmpresa.findIndex(
+        pe => pe.empresa && pe.empresa.toString() === empresa._id.toString()
+      );
+      const puntosEnEmpresa = indexEmpresa >= 0 ? cliente.puntosPorEmpresa[indexEmpresa].puntos : 0;
+
+      // Un ajuste no puede dejar saldos negativos
+      if (puntosEnEmpresa + puntosNum < 0 || cliente.puntos + puntosNum < 0) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'El ajuste dejaría un saldo negativo',
+          data: {
+            puntosEnEmpresa,
+            puntosTotales: cliente.puntos,
+            ajuste: puntosNum
+          }
+        });
+      }
+
+      // El ID del ajuste se conoce antes de crearlo: el movimiento lo referencia
+      const ajusteId = new mongoose.Types.ObjectId();
+
+      // Saldo y registro del ajuste: todo o nada
+      const resultado = await ejecutarTransaccion(async (session) => {
+        // La cuenta pudo eliminarse o desactivarse después de leerla
+        const vigente = await Usuario.exists({
+          _id: cliente._id,
+          activo: true,
+          eliminadoEn: null
+        }).session(session);
+
+        if (!vigente) {
+          await session.abortTransaction();
+          return {
+            valido: false,
+            mensaje: 'La cuenta del cliente está eliminada o desactivada',
+            codigo: 'CLIENT_INACTIVE'
+          };
+        }
+
+        // ===== APLICAR AJUSTE =====
+        const movimiento = await puntosService.registrarMovimiento({
+          clienteId: cliente._id,
+          empresaId: empresa._id,
+          tipo: 'ajuste',
+          puntos: puntosNum,
+          referencia: { tipo: 'AjusteSaldo', id: ajusteId },
+          descripcion: motivo.trim()
+        }, session);
+
+        if (!movimiento.valido) {
+          return movimiento;
+        }
+
+        // ===== REGISTRAR AJUSTE =====
+        const [ajuste] = await AjusteSaldo.create([{
+          _id: ajusteId,
+          cliente: cliente._id,
+          empresa: empresa._id,
+          admin: req.usuario._id,
+          puntos: puntosNum,
+          puntosAnteriores: movimiento.puntosAnteriores,
+          puntosNuevos: movimiento.cliente.puntos,
+          motivo: motivo.trim()
+        }], { session });
+
+        return { valido: true, ajuste };
+      });
+
+      // El saldo o la cuenta cambiaron entre la verificación y el ajuste
+      if (!resultado.valido) {
+        return res.status(409).json({
+          success: false,
+          mensaje: resultado.codigo === 'CLIENT_INACTIVE'
+            ? resultado.mensaje
+            : 'El ajuste dejaría un saldo negativo',
+          codigo: resultado.codigo
+        });
+      }
+
+      const { ajuste } = resultado;
+
+      // No se espera: puede tardar
+      walletService.actualizarPases(cliente._id);
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.SALDO_AJUSTADO, {
+        objetivo: { tipo: 'Usuario', id: cliente._id },
+        detalles: {
+          ajuste: ajuste._id,
+          empresa: empresa._id,
+          puntos: puntosNum,
+          motivo: ajuste.motivo
+        }
+      });
+
+      // ===== NOTIFICAR AL CLIENTE =====
+      await notificacionService.enviarNotificacion(cliente._id, 'puntos_ajustados', {
+        tipo: 'PUNTOS_AJUSTADOS',
+        mensaje: 'Tu saldo de puntos fue ajustado por soporte',
+        datos: {
+          ajuste: puntosNum,
+          puntosAnteriores: ajuste.puntosAnteriores,
+          puntosNuevos: ajuste.puntosNuevos,
+          empresa: empresa.nombreEmpresa,
+          motivo: ajuste.motivo,
+          fecha: new Date().toISOString()
+        }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Saldo ajustado correctamente',
+        data: ajuste
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de cliente o empresa inválido'
+        });
+      }
+
+      console.error('Error al ajustar puntos:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Consultar el registro de auditoría de toda la plataforma
+   * GET /api/admin/auditoria
+   */
+  async consultarAuditoria(req, res) {
+    try {
+      const { actor, empresa, objetivo } = req.query;
+
+      const filtro = {};
+      if (actor) filtro.actor = actor;
+      if (empresa) filtro.empresa = empresa;
+      if (objetivo) filtro['objetivo.id'] = objetivo;
+
+      const resultado = await auditoriaService.consultar(filtro, req.query);
+
+      if (!resultado.valido) {
+        return res.status(400).json({
+          success: false,
+          mensaje: resultado.mensaje,
+          codigo: resultado.codigo
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          eventos: resultado.eventos,
+          paginacion: resultado.paginacion
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID inválido en los filtros'
+        });
+      }
+
+      console.error('Error al consultar auditoría:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Listar ajustes de saldo
+   * GET /api/admin/ajustes
+   */
+  async listarAjustes(req, res) {
+    try {
+      const { cliente, empresa, page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filtro = {};
+      if (cliente) filtro.cliente = cliente;
+      if (empresa) filtro.empresa = empresa;
+
+      const [ajustes, total] = await Promise.all([
+        AjusteSaldo.find(filtro)
+          .populate('cliente', 'nombre email')
+          .populate('empresa', 'nombreEmpresa')
+          .populate('admin', 'nombre email')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        AjusteSaldo.countDocuments(filtro)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ajustes,
+          paginacion: {
+            total,
+            pagina: parseInt(page),
+            totalPaginas: Math.ceil(total / limit),
+            porPagina: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al listar ajustes:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new AdminController();
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * =====================================================
+ * CONTROLADOR DE API KEYS
+ * =====================================================
+ * Archivo: src/controllers/apiKeyController.js
+ * Descripción: API keys para integraciones de punto de venta
+ *              - Crear con nombre y alcances
+ *              - Listar, rotar y revocar
+ * =====================================================
+ */
+
+const ApiKey = require('../models/ApiKey');
+const apiKeyService = require('../services/apiKeyService');
+const auditoriaService = require('../services/auditoriaService');
+const { ALCANCES_API_KEY } = require('../config/permisos');
+
+/**
+ * Formatear una API key para la respuesta (nunca incluye el hash)
+ * @param {Object} apiKey
+ * @returns {Object}
+ */
+function formatearApiKey(apiKey) {
+  return {
+    id: apiKey._id,
+    nombre: apiKey.nombre,
+    prefijo: apiKey.prefijo,
+    alcances: apiKey.alcances,
+    ultimoUso: apiKey.ultimoUso,
+    ultimoUsoIp: apiKey.ultimoUsoIp,
+    rotadaEn: apiKey.rotadaEn,
+    revocada: apiKey.revocada,
+    revocadaEn: apiKey.revocadaEn,
+    createdAt: apiKey.createdAt
+  };
+}
+
+class ApiKeyController {
+  /**
+   * Crear API key
+   * POST /api/empresa/api-keys
+   */
+  async crear(req, res) {
+    try {
+      const { nombre, alcances } = req.body;
+
+      if (!nombre || !Array.isArray(alcances) || alcances.length === 0) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Campos obligatorios: nombre, alcances (lista de permisos)',
+          alcancesDisponibles: ALCANCES_API_KEY
+        });
+      }
+
+      const invalidos = alcances.filter(a => !ALCANCES_API_KEY.includes(a));
+      if (invalidos.length > 0) {
+        return res.status(400).json({
+          success: false,
+          mensaje: `Alcances inválidos: ${invalidos.join(', ')}`,
+          alcancesDisponibles: ALCANCES_API_KEY
+        });
+      }
+
+      const { apiKey, clave } = await apiKeyService.crear({
+        empresa: req.empresa._id,
+        nombre,
+        alcances: [...new Set(alcances)],
+        creadoPor: req.usuario._id
+      });
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.API_KEY_CREADA, {
+        objetivo: { tipo: 'ApiKey', id: apiKey._id },
+        detalles: { nombre: apiKey.nombre, alcances: apiKey.alcances }
+      });
+
+      res.status(201).json({
+        success: true,
+        mensaje: 'API key creada. Guarda la clave: no se volverá a mostrar',
+        data: {
+          ...formatearApiKey(apiKey),
+          clave
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errores = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Error de validación',
+          errores
+        });
+      }
+
+      console.error('Error al crear API key:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Listar API keys de la empresa
+   * GET /api/empresa/api-keys
+   */
+  async listar(req, res) {
+    try {
+      const { revocada } = req.query;
+
+      const filtro = { empresa: req.empresa._id };
+      if (revocada !== undefined) {
+        filtro.revocada = revocada === 'true';
+      }
+
+      const apiKeys = await ApiKey.find(filtro).sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          apiKeys: apiKeys.map(formatearApiKey),
+          total: apiKeys.length,
+          alcancesDisponibles: ALCANCES_API_KEY
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al listar API keys:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Rotar API key (la clave anterior deja de funcionar de inmediato)
+   * POST /api/empresa/api-keys/:id/rotar
+   */
+  async rotar(req, res) {
+    try {
+      const resultado = await apiKeyService.rotar(req.params.id, req.empresa._id);
+
+      if (!resultado) {
+        return res.status(404).json({
+          success: false,
+          mensaje: 'API key no encontrada o revocada'
+        });
+      }
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.API_KEY_ROTADA, {
+        objetivo: { tipo: 'ApiKey', id: resultado.apiKey._id },
+        detalles: { nombre: resultado.apiKey.nombre }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'API key rotada. Guarda la nueva clave: no se volverá a mostrar',
+        data: {
+          ...formatearApiKey(resultado.apiKey),
+          clave: resultado.clave
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de API key inválido'
+        });
+      }
+
+      console.error('Error al rotar API key:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Revocar API key
+   * DELETE /api/empresa/api-keys/:id
+   */
+  async revocar(req, res) {
+    try {
+      const apiKey = await apiKeyService.revocar(req.params.id, req.empresa._id);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          mensaje: 'API key no encontrada o ya revocada'
+        });
+      }
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.API_KEY_REVOCADA, {
+        objetivo: { tipo: 'ApiKey', id: apiKey._id },
+        detalles: { nombre: apiKey.nombre }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'API key revocada',
+        data: formatearApiKey(apiKey)
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de API key inválido'
+        });
+      }
+
+      console.error('Error al revocar API key:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
\ No newline at end of file
@@ -10,7 +10,210 @@
  */
 
 const Usuario = require('../models/Usuario');
-const { generarToken } = require('../middleware/auth');
+const sesionService = require('../services/sesionService');
+const dosFactoresService = require('../services/dosFactoresService');
+const codigoService = require('../services/codigoService');
+const mensajeriaService = require('../services/mensajeriaService');
+const limiteIntentosService = require('../services/limiteIntentosService');
+const validacionService = require('../services/validacionService');
+const auditoriaService = require('../services/auditoriaService');
+
+const { acciones } = auditoriaService;
+const {
+  dosFactoresObligatorio,
+  generarTokenTemporal,
+  verificarTokenTemporal
+} = require('../middleware/auth');
+
+/**
+ * Enviar código de verificación al email o teléfono del usuario
+ * @param {Object} usuario - Documento del usuario
+ * @param {String} medio - 'email' o 'telefono'
+ */
+async function enviarCodigoVerificacion(usuario, medio) {
+  const canal = medio === 'telefono' ? 'sms' : 'email';
+  const { codigo, expiracionMinutos } = await codigoService.generarCodigo(
+    usuario,
+    `verificar_${medio}`,
+    canal
+  );
+
+  return await mensajeriaService.enviarCodigo(
+    usuario,
+    canal,
+    'Verifica tu cuenta - Fidelidad Amigo',
+    `Tu código de verificación es ${codigo}. Expira en ${expiracionMinutos} minutos.`
+  );
+}
+
+/**
+ * Revisar bloqueos y retrasos de login para la cuenta y la IP
+ * @param {Object} req
+ * @param {Object} res
+ * @param {String} email - Email con el que se intenta entrar
+ * @returns {Boolean} - true si ya se respondió con un error
+ */
+async function rechazarSiExcedeIntentos(req, res, email) {
+  const { politicas } = limiteIntentosService;
+
+  const cuenta = await limiteIntentosService.verificar(
+    limiteIntentosService.claveCuenta(email),
+    politicas.cuenta
+  );
+  const ip = await limiteIntentosService.verificar(
+    limiteIntentosService.claveIp(req.ip),
+    politicas.ip
+  );
+
+  if (cuenta.permitido && ip.permitido) {
+    return false;
+  }
+
+  const esperaSegundos = Math.max(cuenta.esperaSegundos || 0, ip.esperaSegundos || 0);
+  res.set('Retry-After', String(esperaSegundos));
+
+  // Cuenta bloqueada: se desbloquea sola o restableciendo la contraseña
+  if (cuenta.motivo === 'bloqueo') {
+    res.status(423).json({
+      success: false,
+      mensaje: 'Tu cuenta está bloqueada temporalmente por demasiados intentos fallidos. Intenta más tarde o restablece tu contraseña',
+      codigo: 'ACCOUNT_LOCKED',
+      bloqueadoHasta: cuenta.bloqueadoHasta,
+      reintentarEn: esperaSegundos
+    });
+    return true;
+  }
+
+  if (ip.motivo === 'bloqueo') {
+    res.status(429).json({
+      success: false,
+      mensaje: 'Demasiados intentos fallidos desde esta red. Intenta más tarde',
+      codigo: 'IP_BLOCKED',
+      reintentarEn: esperaSegundos
+    });
+    return true;
+  }
+
+  res.status(429).json({
+    success: false,
+    mensaje: `Demasiados intentos. Espera ${esperaSegundos} segundos antes de intentar de nuevo`,
+    codigo: 'TOO_MANY_ATTEMPTS',
+    reintentarEn: esperaSegundos
+  });
+  return true;
+}
+
+/**
+ * Revisar el límite de restablecimientos de contraseña para la cuenta y la IP
+ * @param {Object} req
+ * @param {Object} res
+ * @param {String} email
+ * @returns {Boolean} - true si ya se respondió con un error
+ */
+async function rechazarSiExcedeRestablecimientos(req, res, email) {
+  const { politicas } = limiteIntentosService;
+
+  const cuenta = await limiteIntentosService.verificar(
+    limiteIntentosService.claveRestablecimientoCuenta(email),
+    politicas.restablecimientoCuenta
+  );
+  const ip = await limiteIntentosService.verificar(
+    limiteIntentosService.claveRestablecimientoIp(req.ip),
+    politicas.restablecimientoIp
+  );
+
+  if (cuenta.permitido && ip.permitido) {
+    return false;
+  }
+
+  const esperaSegundos = Math.max(cuenta.esperaSegundos || 0, ip.esperaSegundos || 0);
+  res.set('Retry-After', String(esperaSegundos));
+
+  res.status(429).json({
+    success: false,
+    mensaje: `Demasiados intentos de restablecer la contraseña. Espera ${esperaSegundos} segundos antes de intentar de nuevo`,
+    codigo: 'TOO_MANY_RESET_ATTEMPTS',
+    reintentarEn: esperaSegundos
+  });
+  return true;
+}
+
+/**
+ * Contar un intento de restablecimiento (código solicitado o incorrecto)
+ * para la cuenta y la IP
+ * @param {Object} req
+ * @param {String} email
+ */
+async function registrarIntentoRestablecimiento(req, email) {
+  const { politicas } = limiteIntentosService;
+  await limiteIntentosService.registrarFallo(
+    limiteIntentosService.claveRestablecimientoCuenta(email),
+    politicas.restablecimientoCuenta
+  );
+  await limiteIntentosService.registrarFallo(
+    limiteIntentosService.claveRestablecimientoIp(req.ip),
+    politicas.restablecimientoIp
+  );
+}
+
+/**
+ * Registrar un intento de login fallido para la cuenta y la IP
+ * @param {Object} req
+ * @param {String} email
+ * @param {Object|null} usuario - Cuenta atacada, si existe
+ * @param {String} motivo - Motivo del fallo (para auditoría)
+ */
+async function registrarLoginFallido(req, email, usuario, motivo) {
+  const { politicas } = limiteIntentosService;
+  await limiteIntentosService.registrarFallo(limiteIntentosService.claveCuenta(email), politicas.cuenta);
+  await limiteIntentosService.registrarFallo(limiteIntentosService.claveIp(req.ip), politicas.ip);
+
+  await auditoriaService.registrar(req, acciones.LOGIN_FALLIDO, {
+    actor: null,
+    empresa: null,
+    resultado: 'fallo',
+    objetivo: usuario ? { tipo: 'Usuario', id: usuario._id } : undefined,
+    detalles: { email: String(email).toLowerCase(), motivo }
+  });
+}
+
+/**
+ * Abrir sesión y responder con los datos del usuario
+ * Usado por el login directo y por el segundo paso (2FA)
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} usuario - Documento del usuario
+ */
+async function responderInicioSesion(req, res, usuario) {
+  // Abrir sesión (access token + refresh token)
+  const sesion = await sesionService.crearSesion(usuario, req);
+
+  await auditoriaService.registrar(req, acciones.LOGIN, {
+    actor: usuario,
+    objetivo: { tipo: 'Usuario', id: usuario._id },
+    detalles: { dosFactores: Boolean(usuario.dosFactores && usuario.dosFactores.activo) }
+  });
+
+  // Preparar respuesta (sin password)
+  const usuarioResponse = usuario.toObject();
+  delete usuarioResponse.password;
+
+  const data = {
+    usuario: usuarioResponse,
+    ...sesion
+  };
+
+  // Avisar si el despliegue exige 2FA y la empresa aún no lo activa
+  if (usuario.esCuentaEmpresa() && dosFactoresObligatorio() && !usuario.dosFactores.activo) {
+    data.debeConfigurar2FA = true;
+  }
+
+  return res.status(200).json({
+    success: true,
+    mensaje: `¡Bienvenido ${usuario.getNombreMostrar()}!`,
+    data
+  });
+}
 
 class AuthController {
   /**
@@ -68,8 +271,18 @@ class AuthController {
           });
         }
 
+        // Validar estructura y dígito verificador
+        const validacionCurp = validacionService.validarCurp(curp);
+        if (!validacionCurp.valido) {
+          return res.status(400).json({
+            success: false,
+            mensaje: validacionCurp.mensaje,
+            codigo: validacionCurp.codigo
+          });
+        }
+
         // Verificar CURP único
-        const curpExistente = await Usuario.findOne({ curp: curp.toUpperCase() });
+        const curpExistente = await Usuario.findOne({ curp: validacionCurp.curp });
         if (curpExistente) {
           return res.status(409).json({
             success: false,
@@ -80,7 +293,10 @@ class AuthController {
         datosUsuario = {
           ...datosUsuario,
           nombre,
-          curp: curp.toUpperCase(),
+          curp: validacionCurp.curp,
+          fechaNacimiento: validacionCurp.datos.fechaNacimiento,
+          sexo: validacionCurp.datos.sexo,
+          entidadNacimiento: validacionCurp.datos.entidad,
           puntos: 0
         };
       }
@@ -96,8 +312,18 @@ class AuthController {
           });
         }
 
+        // Validar estructura y homoclave
+        const validacionRfc = validacionService.validarRfc(rfc);
+        if (!validacionRfc.valido) {
+          return res.status(400).json({
+            success: false,
+            mensaje: validacionRfc.mensaje,
+            codigo: validacionRfc.codigo
+          });
+        }
+
         // Verificar RFC único
-        const rfcExistente = await Usuario.findOne({ rfc: rfc.toUpperCase() });
+        const rfcExistente = await Usuario.findOne({ rfc: validacionRfc.rfc });
         if (rfcExistente) {
           return res.status(409).json({
             success: false,
@@ -108,7 +334,8 @@ class AuthController {
         datosUsuario = {
           ...datosUsuario,
           nombreEmpresa,
-          rfc: rfc.toUpperCase(),
+          rfc: validacionRfc.rfc,
+          tipoPersona: validacionRfc.datos.tipoPersona,
           totalTransacciones: 0,
           totalIngresos: 0
         };
@@ -118,8 +345,17 @@ class AuthController {
       const nuevoUsuario = new Usuario(datosUsuario);
       await nuevoUsuario.save();
 
-      // Generar token JWT
-      const token = generarToken(nuevoUsuario._id);
+      // Enviar códigos para verificar email y teléfono
+      await enviarCodigoVerificacion(nuevoUsuario, 'email');
+      await enviarCodigoVerificacion(nuevoUsuario, 'telefono');
+
+      // Abrir sesión (access token + refresh token)
+      const sesion = await sesionService.crearSesion(nuevoUsuario, req);
+
+      await auditoriaService.registrar(req, acciones.REGISTRO, {
+        actor: nuevoUsuario,
+        objetivo: { tipo: 'Usuario', id: nuevoUsuario._id }
+      });
 
       // Preparar respuesta (sin password)
       const usuarioResponse = nuevoUsuario.toObject();
@@ -127,10 +363,10 @@ class AuthController {
 
       res.status(201).json({
         success: true,
-        mensaje: 'Registro exitoso. ¡Bienvenido a Fidelidad Amigo!',
+        mensaje: 'Registro exitoso. ¡Bienvenido a Fidelidad Amigo! Te enviamos códigos para verificar tu email y teléfono',
         data: {
           usuario: usuarioResponse,
-          token
+          ...sesion
         }
       });
 
@@ -169,6 +405,11 @@ class AuthController {
         });
       }
 
+      // Protección contra fuerza bruta (por cuenta y por IP)
+      if (await rechazarSiExcedeIntentos(req, res, email)) {
+        return;
+      }
+
       // Buscar usuario (incluir password para comparar)
       const usuario = await Usuario.findOne({ 
         email: email.toLowerCase() 
@@ -176,6 +417,7 @@ class AuthController {
 
       // Usuario no encontrado
       if (!usuario) {
+        await registrarLoginFallido(req, email, null, 'cuenta_inexistente');
         return res.status(401).json({
           success: false,
           mensaje: 'Credenciales inválidas'
@@ -186,12 +428,16 @@ class AuthController {
       const passwordCorrecta = await usuario.compararPassword(password);
 
       if (!passwordCorrecta) {
+        await registrarLoginFallido(req, email, usuario, 'password_incorrecta');
         return res.status(401).json({
           success: false,
           mensaje: 'Credenciales inválidas'
         });
       }
 
+      // Contraseña correcta: se olvidan los fallos de la cuenta
+      await limiteIntentosService.limpiar(limiteIntentosService.claveCuenta(email));
+
       // Verificar que esté activo
       if (!usuario.activo) {
         return res.status(401).json({
@@ -200,24 +446,92 @@ class AuthController {
         });
       }
 
-      // Generar token JWT
-      const token = generarToken(usuario._id);
+      // Con 2FA activo se pide el segundo paso antes de abrir sesión
+      if (usuario.dosFactores && usuario.dosFactores.activo) {
+        return res.status(200).json({
+          success: true,
+          mensaje: 'Ingresa el código de tu app autenticadora',
+          data: {
+            requiere2FA: true,
+            tokenTemporal: generarTokenTemporal(usuario._id, 'login_2fa')
+          }
+        });
+      }
 
-      // Preparar respuesta (sin password)
-      const usuarioResponse = usuario.toObject();
-      delete usuarioResponse.password;
+      await responderInicioSesion(req, res, usuario);
 
-      res.status(200).json({
-        success: true,
-        mensaje: `¡Bienvenido ${usuario.getNombreMostrar()}!`,
-        data: {
-          usuario: usuarioResponse,
-          token
-        }
+    } catch (error) {
+      console.error('Error en login:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
       });
+    }
+  }
+
+  /**
+   * Segundo paso del login con 2FA
+   * POST /api/auth/login/2fa
+   */
+  async loginDosFactores(req, res) {
+    try {
+      const { tokenTemporal, codigo, codigoRecuperacion } = req.body;
+
+      if (!tokenTemporal || (!codigo && !codigoRecuperacion)) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Se requiere tokenTemporal y código (o código de recuperación)'
+        });
+      }
+
+      const decoded = verificarTokenTemporal(tokenTemporal, 'login_2fa');
+
+      if (!decoded) {
+        return res.status(401).json({
+          success: false,
+          mensaje: 'El inicio de sesión expiró. Ingresa tu email y contraseña nuevamente',
+          codigo: 'INVALID_TOKEN'
+        });
+      }
+
+      const usuario = await Usuario.findById(decoded.id);
+
+      if (!usuario) {
+        return res.status(401).json({
+          success: false,
+          mensaje: 'Credenciales inválidas'
+        });
+      }
+
+      // Los códigos de 2FA cuentan como intentos de login
+      if (await rechazarSiExcedeIntentos(req, res, usuario.email)) {
+        return;
+      }
+
+      const resultado = await dosFactoresService.verificar(usuario._id, { codigo, codigoRecuperacion });
+
+      if (!resultado.valido) {
+        await registrarLoginFallido(req, usuario.email, usuario, resultado.codigo);
+        return res.status(401).json({
+          success: false,
+          mensaje: resultado.mensaje,
+          codigo: resultado.codigo
+        });
+      }
+
+      await limiteIntentosService.limpiar(limiteIntentosService.claveCuenta(usuario.email));
+
+      if (!resultado.usuario.activo) {
+        return res.status(401).json({
+          success: false,
+          mensaje: 'Tu cuenta ha sido desactivada. Contacta a soporte.'
+        });
+      }
+
+      await responderInicioSesion(req, res, resultado.usuario);
 
     } catch (error) {
-      console.error('Error en login:', error);
+      console.error('Error en login 2FA:', error);
       res.status(500).json({
         success: false,
         mensaje: 'Error interno del servidor'
@@ -266,7 +580,12 @@ class AuthController {
       // Campos actualizables según tipo
       const actualizaciones = { telefono };
 
-      if (usuario.tipoUsuario === 'cliente' && nombre) {
+      // Un teléfono nuevo debe verificarse de nuevo
+      if (telefono && telefono !== usuario.telefono) {
+        actualizaciones.telefonoVerificado = false;
+      }
+
+      if (['cliente', 'empleado', 'admin'].includes(usuario.tipoUsuario) && nombre) {
         actualizaciones.nombre = nombre;
       }
 
@@ -280,6 +599,19 @@ class AuthController {
         { new: true, runValidators: true }
       );
 
+      // Solo se registran los campos que realmente cambiaron
+      const cambios = {};
+      for (const campo of ['nombre', 'nombreEmpresa', 'telefono']) {
+        if (actualizaciones[campo] !== undefined && actualizaciones[campo] !== usuario[campo]) {
+          cambios[campo] = { anterior: usuario[campo], nuevo: actualizaciones[campo] };
+        }
+      }
+
+      await auditoriaService.registrar(req, acciones.PERFIL_ACTUALIZADO, {
+        objetivo: { tipo: 'Usuario', id: usuario._id },
+        detalles: { cambios }
+      });
+
       res.status(200).json({
         success: true,
         mensaje: 'Perfil actualizado correctamente',
@@ -324,6 +656,12 @@ class AuthController {
       const passwordCorrecta = await usuario.compararPassword(passwordActual);
 
       if (!passwordCorrecta) {
+        await auditoriaService.registrar(req, acciones.PASSWORD_CAMBIADO, {
+          resultado: 'fallo',
+          objetivo: { tipo: 'Usuario', id: usuario._id },
+          detalles: { motivo: 'password_actual_incorrecta' }
+        });
+
         return res.status(401).json({
           success: false,
           mensaje: 'Contraseña actual incorrecta'
@@ -334,13 +672,18 @@ class AuthController {
       usuario.password = passwordNueva;
       await usuario.save();
 
-      // Generar nuevo token
-      const token = generarToken(usuario._id);
+      // Cerrar todas las sesiones y abrir una nueva para este dispositivo
+      await sesionService.revocarTodas(usuario._id);
+      const sesion = await sesionService.crearSesion(usuario, req);
+
+      await auditoriaService.registrar(req, acciones.PASSWORD_CAMBIADO, {
+        objetivo: { tipo: 'Usuario', id: usuario._id }
+      });
 
       res.status(200).json({
         success: true,
-        mensaje: 'Contraseña actualizada correctamente',
-        data: { token }
+        mensaje: 'Contraseña actualizada correctamente. Se cerraron tus demás sesiones',
+        data: sesion
       });
 
     } catch (error) {
@@ -351,6 +694,450 @@ class AuthController {
       });
     }
   }
+
+  /**
+   * Reenviar código de verificación
+   * POST /api/auth/verificacion/enviar
+   */
+  async enviarVerificacion(req, res) {
+    try {
+      const { medio } = req.body;
+      const usuario = req.usuario;
+
+      if (!['email', 'telefono'].includes(medio)) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Medio inválido. Debe ser "email" o "telefono"'
+        });
+      }
+
+      if (usuario[`${medio}Verificado`]) {
+        return res.status(400).json({
+          success: false,
+          mensaje: `Tu ${medio} ya está verificado`,
+          codigo: 'ALREADY_VERIFIED'
+        });
+      }
+
+      const espera = await codigoService.tiempoEsperaReenvio(usuario, `verificar_${medio}`);
+      if (espera > 0) {
+        return res.status(429).json({
+          success: false,
+          mensaje: `Espera ${espera} segundos para solicitar otro código`,
+          codigo: 'CODE_RESEND_TOO_SOON',
+          reintentarEn: espera
+        });
+      }
+
+      await enviarCodigoVerificacion(usuario, medio);
+
+      res.status(200).json({
+        success: true,
+        mensaje: medio === 'email'
+          ? `Código enviado a ${usuario.email}`
+          : `Código enviado por SMS a ${usuario.telefono}`
+      });
+
+    } catch (error) {
+      console.error('Error al enviar verificación:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Confirmar email o teléfono con el código recibido
+   * POST /api/auth/verificacion/confirmar
+   */
+  async confirmarVerificacion(req, res) {
+    try {
+      const { medio, codigo } = req.body;
+      const usuario = req.usuario;
+
+      if (!['email', 'telefono'].includes(medio) || !codigo) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Campos obligatorios: medio ("email" o "telefono"), codigo'
+        });
+      }
+
+      if (usuario[`${medio}Verificado`]) {
+        return res.status(400).json({
+          success: false,
+          mensaje: `Tu ${medio} ya está verificado`,
+          codigo: 'ALREADY_VERIFIED'
+        });
+      }
+
+      const resultado = await codigoService.verificarCodigo(usuario, `verificar_${medio}`, codigo);
+
+      if (!resultado.valido) {
+        return res.status(400).json({
+          success: false,
+          mensaje: resultado.mensaje,
+          codigo: resultado.codigo
+        });
+      }
+
+      const usuarioActualizado = await Usuario.findByIdAndUpdate(
+        usuario._id,
+        { [`${medio}Verificado`]: true },
+        { new: true }
+      );
+
+      await auditoriaService.registrar(req, acciones.CONTACTO_VERIFICADO, {
+        objetivo: { tipo: 'Usuario', id: usuario._id },
+        detalles: { medio }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: medio === 'email' ? 'Email verificado correctamente' : 'Teléfono verificado correctamente',
+        data: {
+          emailVerificado: usuarioActualizado.emailVerificado,
+          telefonoVerificado: usuarioActualizado.telefonoVerificado
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al confirmar verificación:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Solicitar código para restablecer contraseña
+   * POST /api/auth/olvide-password
+   */
+  async olvidePassword(req, res) {
+    try {
+      const { email, canal = 'email' } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'El email es obligatorio'
+        });
+      }
+
+      if (!['email', 'sms'].includes(canal)) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Canal inválido. Debe ser "email" o "sms"'
+        });
+      }
+
+      // Límite por cuenta y por IP (exista o no la cuenta)
+      if (await rechazarSiExcedeRestablecimientos(req, res, email)) {
+        return;
+      }
+      await registrarIntentoRestablecimiento(req, email);
+
+      const usuario = await Usuario.findOne({ email: email.toLowerCase() });
+
+      // Solo se envía el código a cuentas activas (respetando la espera
+      // entre envíos), pero la respuesta es la misma para no revelar
+      // qué emails están registrados
+      const puedeEnviar = usuario && usuario.activo &&
+        await codigoService.tiempoEsperaReenvio(usuario, 'restablecer_password') === 0;
+
+      if (puedeEnviar) {
+        const { codigo, expiracionMinutos } = await codigoService.generarCodigo(
+          usuario,
+          'restablecer_password',
+          canal
+        );
+
+        await mensajeriaService.enviarCodigo(
+          usuario,
+          canal,
+          'Restablece tu contraseña - Fidelidad Amigo',
+          `Tu código para restablecer la contraseña es ${codigo}. Expira en ${expiracionMinutos} minutos. Si no lo solicitaste, ignora este mensaje.`
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Si la cuenta existe, enviamos un código para restablecer la contraseña'
+      });
+
+    } catch (error) {
+      console.error('Error en olvide-password:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Restablecer contraseña con el código recibido
+   * POST /api/auth/restablecer-password
+   */
+  async restablecerPassword(req, res) {
+    try {
+      const { email, codigo, passwordNueva } = req.body;
+
+      if (!email || !codigo || !passwordNueva) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Campos obligatorios: email, codigo, passwordNueva'
+        });
+      }
+
+      if (passwordNueva.length < 6) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'La nueva contraseña debe tener al menos 6 caracteres'
+        });
+      }
+
+      if (await rechazarSiExcedeRestablecimientos(req, res, email)) {
+        return;
+      }
+
+      const usuario = await Usuario.findOne({ email: email.toLowerCase() }).select('+password');
+
+      if (!usuario || !usuario.activo) {
+        await registrarIntentoRestablecimiento(req, email);
+        return res.status(400).json({
+          success: false,
+          mensaje: 'El código es inválido o ha expirado. Solicita uno nuevo',
+          codigo: 'CODE_INVALID'
+        });
+      }
+
+      const resultado = await codigoService.verificarCodigo(usuario, 'restablecer_password', codigo);
+
+      if (!resultado.valido) {
+        await registrarIntentoRestablecimiento(req, email);
+        return res.status(400).json({
+          success: false,
+          mensaje: resultado.mensaje,
+          codigo: resultado.codigo
+        });
+      }
+
+      // Actualizar contraseña (se encriptará automáticamente)
+      usuario.password = passwordNueva;
+      await usuario.save();
+
+      // Cerrar todas las sesiones abiertas con la contraseña anterior
+      await sesionService.revocarTodas(usuario._id);
+
+      // Restablecer la contraseña también desbloquea el login
+      await limiteIntentosService.limpiar(limiteIntentosService.claveCuenta(usuario.email));
+      await limiteIntentosService.limpiar(limiteIntentosService.claveRestablecimientoCuenta(usuario.email));
+
+      await auditoriaService.registrar(req, acciones.PASSWORD_RESTABLECIDO, {
+        actor: usuario,
+        objetivo: { tipo: 'Usuario', id: usuario._id }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Contraseña restablecida. Inicia sesión con tu nueva contraseña'
+      });
+
+    } catch (error) {
+      console.error('Error al restablecer contraseña:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Renovar access token usando el refresh token
+   * POST /api/auth/refresh
+   */
+  async refrescarToken(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'El refresh token es requerido'
+        });
+      }
+
+      const resultado = await sesionService.rotarSesion(refreshToken);
+
+      if (!resultado.valido) {
+        return res.status(401).json({
+          success: false,
+          mensaje: resultado.mensaje,
+          codigo: resultado.codigo
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Sesión renovada',
+        data: {
+          token: resultado.token,
+          refreshToken: resultado.refreshToken,
+          refreshTokenExpiraEn: resultado.refreshTokenExpiraEn
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al renovar token:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Cerrar la sesión actual
+   * POST /api/auth/logout
+   */
+  async logout(req, res) {
+    try {
+      await sesionService.revocarSesion(req.sesion._id);
+
+      await auditoriaService.registrar(req, acciones.LOGOUT, {
+        objetivo: { tipo: 'Sesion', id: req.sesion._id }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Sesión cerrada correctamente'
+      });
+
+    } catch (error) {
+      console.error('Error al cerrar sesión:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Cerrar todas las sesiones del usuario (todos los dispositivos)
+   * POST /api/auth/logout-todas
+   */
+  async logoutTodas(req, res) {
+    try {
+      const sesionesCerradas = await sesionService.revocarTodas(req.usuario._id);
+
+      await auditoriaService.registrar(req, acciones.LOGOUT_TODAS, {
+        objetivo: { tipo: 'Usuario', id: req.usuario._id },
+        detalles: { sesionesCerradas }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Se cerraron todas tus sesiones',
+        data: { sesionesCerradas }
+      });
+
+    } catch (error) {
+      console.error('Error al cerrar sesiones:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Consultar eventos de auditoría de la cuenta
+   * El dueño de una empresa ve también las acciones de su personal
+   * GET /api/auth/auditoria
+   */
+  async obtenerAuditoria(req, res) {
+    try {
+      const usuario = req.usuario;
+
+      const condiciones = [
+        { actor: usuario._id },
+        { 'objetivo.id': usuario._id }
+      ];
+      if (usuario.tipoUsuario === 'empresa') {
+        condiciones.push({ empresa: usuario._id });
+      }
+
+      const resultado = await auditoriaService.consultar({ $or: condiciones }, req.query);
+
+      if (!resultado.valido) {
+        return res.status(400).json({
+          success: false,
+          mensaje: resultado.mensaje,
+          codigo: resultado.codigo
+        });
+      }
+
+      // IP y dispositivo de otros clientes (ej: al reclamar un cobro) no son
+      // datos de la empresa
+      const eventos = resultado.eventos.map(evento => {
+        const datos = evento.toObject();
+        const esOtroCliente = datos.actorTipo === 'cliente' &&
+          !(datos.actor && (datos.actor._id || datos.actor).equals(usuario._id));
+
+        if (esOtroCliente) {
+          delete datos.ip;
+          delete datos.userAgent;
+        }
+        return datos;
+      });
+
+      res.status(200).json({
+        success: true,
+        data: { eventos, paginacion: resultado.paginacion }
+      });
+
+    } catch (error) {
+      console.error('Error al consultar auditoría:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Listar sesiones activas del usuario
+   * GET /api/auth/sesiones
+   */
+  async listarSesiones(req, res) {
+    try {
+      const sesiones = await sesionService.listarActivas(req.usuario._id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          sesiones: sesiones.map(s => ({
+            id: s._id,
+            ip: s.ip,
+            userAgent: s.userAgent,
+            creadaEn: s.createdAt,
+            ultimoUso: s.ultimoUso,
+            expiraEn: s.expiraEn,
+            actual: s._id.equals(req.sesion._id)
+          })),
+          total: sesiones.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al listar sesiones:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
 }
 
 module.exports = new AuthController();
\ No newline at end of file
@@ -9,10 +9,15 @@
  * =====================================================
  */
 
+const mongoose = require('mongoose');
 const Canje = require('../models/Canje');
 const Recompensa = require('../models/Recompensa');
 const Usuario = require('../models/Usuario');
 const notificacionService = require('../services/notificacionService');
+const auditoriaService = require('../services/auditoriaService');
+const puntosService = require('../services/puntosService');
+const walletService = require('../services/walletService');
+const { ejecutarTransaccion } = require('../config/database');
 const crypto = require('crypto');
 
 function generarCodigoCanje() {
@@ -117,49 +122,99 @@ class CanjeController {
       }
 
       // ===== PROCESAR CANJE =====
-      
-      const puntosAnteriores = clienteActualizado.puntos;
-      const puntosRestantes = puntosAnteriores - recompensa.puntosRequeridos;
+
+      // El ID del canje se conoce antes de crearlo: el movimiento lo referencia
+      const canjeId = new mongoose.Types.ObjectId();
       const codigoCanje = generarCodigoCanje();
 
-      // Crear registro de canje
-      const canje = new Canje({
-        cliente: cliente._id,
-        recompensa: recompensa._id,
-        empresa: recompensa.empresa._id,
-        puntosCanjeados: recompensa.puntosRequeridos,
-        puntosAnteriores,
-        puntosRestantes,
-        codigoCanje,
-        detalleRecompensa: {
-          nombre: recompensa.nombre,
-          descripcion: recompensa.descripcion,
-          categoria: recompensa.categoria
-        }
-      });
-      await canje.save();
+      // Stock, puntos y canje: todo o nada
+      const resultado = await ejecutarTransaccion(async (session) => {
+        // ===== APARTAR STOCK =====
+        // Atómico: si otro canje tomó la última unidad, este se rechaza
+        const stockApartado = await Recompensa.findOneAndUpdate(
+          recompensa.stock === -1
+            ? { _id: recompensa._id, activo: true, stock: -1 }
+            : { _id: recompensa._id, activo: true, stock: { $gt: 0 } },
+          {
+            $inc: recompensa.stock === -1
+              ? { canjesRealizados: 1 }
+              : { stock: -1, canjesRealizados: 1 }
+          },
+          { new: true, session }
+        );
 
-      // ===== RESTAR PUNTOS TOTALES =====
-      clienteActualizado.puntos = puntosRestantes;
+        if (!stockApartado) {
+          await session.abortTransaction();
+          return { valido: false, mensaje: 'Recompensa agotada', codigo: 'REWARD_OUT_OF_STOCK' };
+        }
 
-      // ===== RESTAR PUNTOS DE LA EMPRESA ESPECÍFICA =====
-      if (indexEmpresa >= 0) {
-        clienteActualizado.puntosPorEmpresa[indexEmpresa].puntos -= recompensa.puntosRequeridos;
-        
-        // Si quedó en cero o negativo, dejarlo en 0
-        if (clienteActualizado.puntosPorEmpresa[indexEmpresa].puntos < 0) {
-          clienteActualizado.puntosPorEmpresa[indexEmpresa].puntos = 0;
+        // ===== RESTAR PUNTOS =====
+        // Atómico: si otro canje gastó los puntos mientras tanto, este se rechaza
+        const movimiento = await puntosService.registrarMovimiento({
+          clienteId: cliente._id,
+          empresaId: recompensa.empresa._id,
+          tipo: 'canje',
+          puntos: -recompensa.puntosRequeridos,
+          referencia: { tipo: 'Canje', id: canjeId },
+          descripcion: `Canje: ${recompensa.nombre}`
+        }, session);
+
+        if (!movimiento.valido) {
+          // Devuelve también el stock apartado
+          await session.abortTransaction();
+          return {
+            valido: false,
+            mensaje: `Puntos insuficientes en ${recompensa.empresa.nombreEmpresa}`,
+            codigo: movimiento.codigo
+          };
         }
-      }
 
-      await clienteActualizado.save();
+        // Crear registro de canje
+        const canje = new Canje({
+          _id: canjeId,
+          cliente: cliente._id,
+          recompensa: recompensa._id,
+          empresa: recompensa.empresa._id,
+          puntosCanjeados: recompensa.puntosRequeridos,
+          puntosAnteriores: movimiento.puntosAnteriores,
+          puntosRestantes: movimiento.cliente.puntos,
+          codigoCanje,
+          detalleRecompensa: {
+            nombre: recompensa.nombre,
+            descripcion: recompensa.descripcion,
+            categoria: recompensa.categoria
+          },
+          lotesConsumidos: movimiento.lotes
+        });
+        await canje.save({ session });
 
-      // Actualizar stock de la recompensa
-      if (recompensa.stock !== -1) {
-        recompensa.stock -= 1;
+        return { valido: true, canje, movimiento };
+      });
+
+      if (!resultado.valido) {
+        return res.status(400).json({
+          success: false,
+          mensaje: resultado.mensaje,
+          codigo: resultado.codigo
+        });
       }
-      recompensa.canjesRealizados += 1;
-      await recompensa.save();
+
+      const { canje, movimiento } = resultado;
+      const puntosAnteriores = movimiento.puntosAnteriores;
+      const puntosRestantes = movimiento.cliente.puntos;
+
+      // No se espera: puede tardar
+      walletService.actualizarPases(cliente._id);
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.CANJE_CREADO, {
+        empresa: recompensa.empresa,
+        objetivo: { tipo: 'Canje', id: canje._id },
+        detalles: {
+          codigoCanje,
+          recompensa: recompensa._id,
+          puntosCanjeados: recompensa.puntosRequeridos
+        }
+      });
 
       // Notificar a la empresa
       await notificacionService.notificarNuevoCanje(recompensa.empresa._id, {
@@ -262,7 +317,7 @@ class CanjeController {
       const { estado, page = 1, limit = 20 } = req.query;
       const skip = (page - 1) * limit;
 
-      const filtro = { empresa: req.usuario._id };
+      const filtro = { empresa: req.empresa._id };
       if (estado) {
         filtro.estado = estado;
       }
@@ -271,11 +326,12 @@ class CanjeController {
         Canje.find(filtro)
           .populate('cliente', 'nombre email telefono')
           .populate('recompensa', 'nombre')
+          .populate('entregadoPor canceladoPor', 'nombre nombreEmpresa rolEmpleado')
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(parseInt(limit)),
         Canje.countDocuments(filtro),
-        Canje.countDocuments({ empresa: req.usuario._id, estado: 'pendiente' })
+        Canje.countDocuments({ empresa: req.empresa._id, estado: 'pendiente' })
       ]);
 
       res.status(200).json({
@@ -311,7 +367,7 @@ class CanjeController {
 
       const canje = await Canje.findOne({
         codigoCanje: codigo.toUpperCase(),
-        empresa: req.usuario._id
+        empresa: req.empresa._id
       })
         .populate('cliente', 'nombre email telefono')
         .populate('recompensa', 'nombre descripcion imagen');
@@ -370,7 +426,7 @@ class CanjeController {
     try {
       const canje = await Canje.findOne({
         _id: req.params.id,
-        empresa: req.usuario._id
+        empresa: req.empresa._id
       });
 
       if (!canje) {
@@ -397,8 +453,14 @@ class CanjeController {
       // Marcar como entregado
       canje.estado = 'entregado';
       canje.fechaEntrega = new Date();
+      canje.entregadoPor = req.usuario._id;
       await canje.save();
 
+      await auditoriaService.registrar(req, auditoriaService.acciones.CANJE_ENTREGADO, {
+        objetivo: { tipo: 'Canje', id: canje._id },
+        detalles: { codigoCanje: canje.codigoCanje, cliente: canje.cliente }
+      });
+
       // Notificar al cliente
       await notificacionService.notificarCanjeEntregado(canje.cliente, {
         recompensaNombre: canje.detalleRecompensa.nombre,
@@ -422,14 +484,58 @@ class CanjeController {
 
   /**
    * Cancelar canje (devuelve puntos al cliente)
+   * Si la cuenta del cliente fue eliminada sus saldos están cerrados:
+   * solo se cancela el canje y se restaura el stock
    * PUT /api/canjes/:id/cancelar
    */
   async cancelar(req, res) {
     try {
-      const canje = await Canje.findOne({
-        _id: req.params.id,
-        empresa: req.usuario._id,
-        estado: 'pendiente'
+      // Cuenta del cliente eliminada (no se le devuelven puntos)
+      let cuentaEliminada = false;
+
+      // Estado del canje, puntos y stock: todo o nada
+      const canje = await ejecutarTransaccion(async (session) => {
+        // Atómico: dos cancelaciones simultáneas no devuelven dos veces
+        const cancelado = await Canje.findOneAndUpdate(
+          { _id: req.params.id, empresa: req.empresa._id, estado: 'pendiente' },
+          { estado: 'cancelado', canceladoPor: req.usuario._id },
+          { new: true, session }
+        );
+
+        if (!cancelado) {
+          return null;
+        }
+
+        const cliente = await Usuario.findById(cancelado.cliente).select('eliminadoEn').session(session);
+        cuentaEliminada = !cliente || Boolean(cliente.eliminadoEn);
+
+        // ===== DEVOLVER PUNTOS =====
+        // A los mismos lotes: conservan su fecha de vencimiento
+        if (!cuentaEliminada) {
+          await puntosService.registrarMovimiento({
+            clienteId: cancelado.cliente,
+            empresaId: cancelado.empresa,
+            tipo: 'reembolso',
+            puntos: cancelado.puntosCanjeados,
+            referencia: { tipo: 'Canje', id: cancelado._id },
+            descripcion: `Canje cancelado: ${cancelado.detalleRecompensa.nombre}`,
+            lotes: cancelado.lotesConsumidos
+          }, session);
+        }
+
+        // Restaurar stock de la recompensa (-1 = ilimitado)
+        await Recompensa.updateOne(
+          { _id: cancelado.recompensa },
+          [{
+            $set: {
+              stock: { $cond: [{ $eq: ['$stock', -1] }, -1, { $add: ['$stock', 1] }] },
+              canjesRealizados: { $max: [0, { $subtract: ['$canjesRealizados', 1] }] }
+            }
+          }],
+          { session }
+        );
+
+        return cancelado;
       });
 
       if (!canje) {
@@ -439,55 +545,34 @@ class CanjeController {
         });
       }
 
-      const empresaId = canje.empresa.toString();
+      const puntosDevueltos = cuentaEliminada ? 0 : canje.puntosCanjeados;
 
-      // Obtener cliente para actualizar puntosPorEmpresa
-      const cliente = await Usuario.findById(canje.cliente);
-
-      // ===== DEVOLVER PUNTOS TOTALES =====
-      cliente.puntos += canje.puntosCanjeados;
-
-      // ===== DEVOLVER PUNTOS A LA EMPRESA ESPECÍFICA =====
-      if (!cliente.puntosPorEmpresa) {
-        cliente.puntosPorEmpresa = [];
-      }
-
-      const indexEmpresa = cliente.puntosPorEmpresa.findIndex(
-        pe => pe.empresa && pe.empresa.toString() === empresaId
-      );
+      await auditoriaService.registrar(req, auditoriaService.acciones.CANJE_CANCELADO, {
+        objetivo: { tipo: 'Canje', id: canje._id },
+        detalles: {
+          codigoCanje: canje.codigoCanje,
+          cliente: canje.cliente,
+          puntosDevueltos,
+          ...(cuentaEliminada && { cuentaEliminada })
+        }
+      });
 
-      if (indexEmpresa >= 0) {
-        // Ya existe, sumar puntos devueltos
-        cliente.puntosPorEmpresa[indexEmpresa].puntos += canje.puntosCanjeados;
-        cliente.puntosPorEmpresa[indexEmpresa].ultimaTransaccion = new Date();
-      } else {
-        // No existe (caso raro), crear entrada
-        cliente.puntosPorEmpresa.push({
-          empresa: empresaId,
-          puntos: canje.puntosCanjeados,
-          ultimaTransaccion: new Date()
+      if (cuentaEliminada) {
+        return res.status(200).json({
+          success: true,
+          mensaje: 'Canje cancelado. La cuenta del cliente fue eliminada: no se devolvieron puntos.',
+          data: {
+            puntosDevueltos
+          }
         });
       }
 
-      await cliente.save();
-
-      // Restaurar stock de la recompensa
-      const recompensa = await Recompensa.findById(canje.recompensa);
-      if (recompensa) {
-        if (recompensa.stock !== -1) {
-          recompensa.stock += 1;
-        }
-        recompensa.canjesRealizados = Math.max(0, recompensa.canjesRealizados - 1);
-        await recompensa.save();
-      }
-
-      // Actualizar estado del canje
-      canje.estado = 'cancelado';
-      await canje.save();
+      // No se espera: puede tardar
+      walletService.actualizarPases(canje.cliente);
 
       // Notificar al cliente
       await notificacionService.notificarCanjeCancelado(canje.cliente, {
-        puntosDevueltos: canje.puntosCanjeados,
+        puntosDevueltos,
         recompensaNombre: canje.detalleRecompensa.nombre
       });
 
@@ -495,7 +580,7 @@ class CanjeController {
         success: true,
         mensaje: 'Canje cancelado. Los puntos fueron devueltos al cliente.',
         data: {
-          puntosDevueltos: canje.puntosCanjeados
+          puntosDevueltos
         }
       });
 
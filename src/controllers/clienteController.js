@@ -7,6 +7,7 @@
  *              - Generar QR
  *              - Ver puntos
  *              - Historial de transacciones
+ *              - Exportar y eliminar datos personales
  * =====================================================
  */
 
@@ -14,6 +15,11 @@ const Usuario = require('../models/Usuario');
 const Transaccion = require('../models/Transaccion');
 const Canje = require('../models/Canje');
 const qrService = require('../services/qrService');
+const privacidadService = require('../services/privacidadService');
+const qrOfflineService = require('../services/qrOfflineService');
+const expiracionService = require('../services/expiracionService');
+const nivelService = require('../services/nivelService');
+const puntosService = require('../services/puntosService');
 
 class ClienteController {
   /**
@@ -37,7 +43,7 @@ class ClienteController {
 
       res.status(200).json({
         success: true,
-        mensaje: `Código QR generado. Expira en ${resultadoQR.expirationSeconds} segundos`,
+        mensaje: `Código QR generado. Expira en ${resultadoQR.expirationSeconds} segundos. Si no se puede escanear, dicta el código ${resultadoQR.codigoCorto}`,
         data: resultadoQR
       });
 
@@ -50,6 +56,52 @@ class ClienteController {
     }
   }
 
+  /**
+   * Activar códigos QR sin conexión en el dispositivo
+   * Devuelve la semilla una sola vez; activar de nuevo la reemplaza
+   * POST /api/cliente/qr-offline
+   */
+  async activarQrOffline(req, res) {
+    try {
+      const datos = await qrOfflineService.activar(req.usuario);
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'QR sin conexión activado. Guarda la semilla en el dispositivo: no se volverá a mostrar',
+        data: datos
+      });
+
+    } catch (error) {
+      console.error('Error al activar QR sin conexión:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error al activar QR sin conexión'
+      });
+    }
+  }
+
+  /**
+   * Desactivar códigos QR sin conexión
+   * DELETE /api/cliente/qr-offline
+   */
+  async desactivarQrOffline(req, res) {
+    try {
+      await qrOfflineService.desactivar(req.usuario._id);
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'QR sin conexión desactivado. Los códigos del dispositivo dejaron de ser válidos'
+      });
+
+    } catch (error) {
+      console.error('Error al desactivar QR sin conexión:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error al desactivar QR sin conexión'
+      });
+    }
+  }
+
   /**
    * Obtener puntos actuales del cliente
    * GET /api/cliente/puntos
@@ -58,12 +110,13 @@ class ClienteController {
     try {
       // Obtener datos actualizados
       const cliente = await Usuario.findById(req.usuario._id);
+      const saldos = await puntosService.obtenerSaldosCliente(cliente);
 
       res.status(200).json({
         success: true,
         data: {
           nombre: cliente.nombre,
-          puntos: cliente.puntos,
+          puntos: saldos.total,
           email: cliente.email
         }
       });
@@ -125,6 +178,7 @@ class ClienteController {
   async obtenerResumen(req, res) {
     try {
       const cliente = await Usuario.findById(req.usuario._id);
+      const saldos = await puntosService.obtenerSaldosCliente(cliente);
 
       // Estadísticas agregadas
       const stats = await Transaccion.aggregate([
@@ -153,6 +207,16 @@ class ClienteController {
         estado: 'pendiente'
       });
 
+      // Nivel en cada empresa con programa de niveles (calculado ahora: puede haber bajado)
+      await cliente.populate('puntosPorEmpresa.empresa', 'nombreEmpresa programaNiveles');
+      const empresasConNiveles = cliente.puntosPorEmpresa
+        .filter(pe => pe.empresa && nivelService.obtenerPrograma(pe.empresa));
+      const niveles = await Promise.all(empresasConNiveles.map(async (pe) => ({
+        empresaId: pe.empresa._id,
+        nombreEmpresa: pe.empresa.nombreEmpresa,
+        ...nivelService.formatear(await nivelService.evaluar(cliente._id, pe.empresa))
+      })));
+
       res.status(200).json({
         success: true,
         data: {
@@ -160,7 +224,7 @@ class ClienteController {
             id: cliente._id,
             nombre: cliente.nombre,
             email: cliente.email,
-            puntos: cliente.puntos,
+            puntos: saldos.total,
             miembroDesde: cliente.createdAt
           },
           estadisticas: stats[0] || {
@@ -168,6 +232,7 @@ class ClienteController {
             totalTransacciones: 0,
             puntosAcumulados: 0
           },
+          niveles,
           canjesPendientes,
           ultimasTransacciones
         }
@@ -183,13 +248,15 @@ class ClienteController {
   }
 
   /**
-   * Obtener puntos desglosados por empresa
-   * GET /api/cliente/puntos-empresas
+   * Obtener puntos desglosados por empresa y sus próximos vencimientos
+   * GET /api/cliente/puntos-empresas?dias=30
    */
   async obtenerPuntosEmpresas(req, res) {
     try {
-      const cliente = await Usuario.findById(req.usuario._id)
-        .populate('puntosPorEmpresa.empresa', 'nombreEmpresa email telefono');
+      // Días hacia adelante para los vencimientos (1 a 365)
+      const dias = Math.min(365, Math.max(1, parseInt(req.query.dias) || 30));
+
+      const cliente = await Usuario.findById(req.usuario._id);
 
       if (!cliente) {
         return res.status(404).json({
@@ -198,34 +265,55 @@ class ClienteController {
         });
       }
 
+      // Saldos desde el libro (antes de poblar las empresas)
+      const saldos = await puntosService.obtenerSaldosCliente(cliente);
+      await cliente.populate('puntosPorEmpresa.empresa', 'nombreEmpresa email telefono politicaExpiracion');
+
       // Verificar que puntosPorEmpresa existe
       if (!cliente.puntosPorEmpresa || cliente.puntosPorEmpresa.length === 0) {
         return res.status(200).json({
           success: true,
           data: {
-            puntosTotal: cliente.puntos,
+            puntosTotal: saldos.total,
+            puntosPorVencer: 0,
             empresas: [],
             totalEmpresas: 0
           }
         });
       }
 
+      const vencimientos = await expiracionService.proximosVencimientos(cliente, dias);
+
       // Formatear respuesta
       const puntosEmpresas = cliente.puntosPorEmpresa
         .filter(pe => pe.empresa) // Filtrar empresas eliminadas
-        .map(pe => ({
-          empresaId: pe.empresa._id,
-          nombreEmpresa: pe.empresa.nombreEmpresa,
-          telefono: pe.empresa.telefono,
-          puntos: pe.puntos,
-          ultimaTransaccion: pe.ultimaTransaccion
-        }))
+        .map(pe => {
+          const expiracion = vencimientos.get(pe.empresa._id.toString());
+
+          return {
+            empresaId: pe.empresa._id,
+            nombreEmpresa: pe.empresa.nombreEmpresa,
+            telefono: pe.empresa.telefono,
+            puntos: saldos.porEmpresa.get(pe.empresa._id.toString()) || 0,
+            ultimaTransaccion: pe.ultimaTransaccion,
+            // null: los puntos de esta empresa no vencen (o no hay saldo)
+            expiracion: expiracion ? {
+              politica: expiracion.politica,
+              puntosPorVencer: expiracion.puntosPorVencer,
+              proximosVencimientos: expiracion.vencimientos
+            } : null
+          };
+        })
         .sort((a, b) => b.puntos - a.puntos); // Ordenar por más puntos
 
       res.status(200).json({
         success: true,
         data: {
-          puntosTotal: cliente.puntos,
+          puntosTotal: saldos.total,
+          puntosPorVencer: puntosEmpresas.reduce(
+            (suma, pe) => suma + (pe.expiracion ? pe.expiracion.puntosPorVencer : 0), 0
+          ),
+          diasConsiderados: dias,
           empresas: puntosEmpresas,
           totalEmpresas: puntosEmpresas.length
         }
@@ -239,6 +327,97 @@ class ClienteController {
       });
     }
   }
+
+  /**
+   * Descargar todos los datos personales del cliente (derecho de acceso)
+   * GET /api/cliente/mis-datos
+   */
+  async exportarDatos(req, res) {
+    try {
+      const datos = await privacidadService.exportarDatosCliente(req.usuario._id);
+      const fecha = new Date().toISOString().slice(0, 10);
+
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="mis-datos-${req.usuario._id}-${fecha}.json"`
+      );
+      res.status(200).json({
+        success: true,
+        data: datos
+      });
+
+    } catch (error) {
+      console.error('Error al exportar datos:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error al exportar datos'
+      });
+    }
+  }
+
+  /**
+   * Eliminar la cuenta del cliente (derecho de cancelación)
+   * Los datos personales se borran; las transacciones y canjes
+   * se conservan anonimizados en el historial de las empresas
+   * DELETE /api/cliente/cuenta
+   */
+  async eliminarCuenta(req, res) {
+    try {
+      const { password, confirmacion } = req.body;
+
+      if (!password || confirmacion !== 'ELIMINAR') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Se requiere tu password y confirmacion: "ELIMINAR"'
+        });
+      }
+
+      const cliente = await Usuario.findById(req.usuario._id).select('+password');
+      const passwordValido = await cliente.compararPassword(password);
+
+      if (!passwordValido) {
+        return res.status(401).json({
+          success: false,
+          mensaje: 'Password incorrecto'
+        });
+      }
+
+      // Los canjes pendientes deben entregarse o cancelarse primero
+      const canjesPendientes = await Canje.find({
+        cliente: cliente._id,
+        estado: 'pendiente'
+      }).select('codigoCanje detalleRecompensa.nombre empresa');
+
+      if (canjesPendientes.length > 0) {
+        return res.status(409).json({
+          success: false,
+          mensaje: 'Tienes canjes pendientes. Recógelos o pide a la empresa que los cancele antes de eliminar tu cuenta',
+          codigo: 'PENDING_REDEMPTIONS',
+          data: { canjesPendientes }
+        });
+      }
+
+      await privacidadService.anonimizarCliente(
+        cliente._id,
+        'Eliminación solicitada por el titular (derecho de cancelación)'
+      );
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Tu cuenta fue eliminada. Tus datos personales y puntos fueron borrados',
+        data: {
+          transaccionesConservadas: await Transaccion.countDocuments({ cliente: cliente._id })
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al eliminar cuenta:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error al eliminar cuenta'
+      });
+    }
+  }
 }
 
 module.exports = new ClienteController();
\ No newline at end of file
@@ -0,0 +1,347 @@
+/**
+ * =====================================================
+ * CONTROLADOR DE COBRO QR
+ * =====================================================
+ * Archivo: src/controllers/cobroQrController.js
+ * Descripción: Flujo inverso al QR del cliente
+ *              - La empresa genera un QR con el monto
+ *              - El cliente lo escanea y reclama sus puntos
+ * =====================================================
+ */
+
+const CobroQr = require('../models/CobroQr');
+const cobroQrService = require('../services/cobroQrService');
+const puntosService = require('../services/puntosService');
+const nivelService = require('../services/nivelService');
+const { ejecutarTransaccion } = require('../config/database');
+const notificacionService = require('../services/notificacionService');
+const auditoriaService = require('../services/auditoriaService');
+
+/**
+ * Formatear un cobro para la respuesta a la empresa
+ * @param {Object} cobro
+ * @returns {Object}
+ */
+function formatearCobro(cobro) {
+  return {
+    id: cobro._id,
+    monto: cobro.monto,
+    descripcion: cobro.descripcion,
+    estado: cobro.estado === 'pendiente' && cobro.estaExpirado() ? 'expirado' : cobro.estado,
+    cliente: cobro.cliente,
+    reclamadoEn: cobro.reclamadoEn,
+    transaccion: cobro.transaccion,
+    expiraEn: cobro.expiraEn,
+    createdAt: cobro.createdAt
+  };
+}
+
+/**
+ * Código HTTP para un error al reclamar un cobro
+ * @param {String} codigo
+ * @returns {Number}
+ */
+function statusErrorCobro(codigo) {
+  switch (codigo) {
+    case 'COBRO_NOT_FOUND':
+      return 404;
+    case 'COBRO_ALREADY_CLAIMED':
+    case 'COBRO_CONCURRENT_CLAIM':
+      return 409;
+    case 'CLIENT_NOT_VERIFIED':
+      return 403;
+    default:
+      return 400;
+  }
+}
+
+class CobroQrController {
+  /**
+   * Generar QR de cobro para una compra
+   * POST /api/empresa/cobros-qr
+   */
+  async crear(req, res) {
+    try {
+      const { monto, descripcion } = req.body;
+      const empresa = req.empresa;
+
+      if (monto === undefined) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'El monto es requerido'
+        });
+      }
+
+      const montoNumerico = parseFloat(monto);
+      if (isNaN(montoNumerico) || montoNumerico <= 0) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'El monto debe ser un número mayor a 0'
+        });
+      }
+
+      const { cobro, contenido, qrImage } = await cobroQrService.crear({
+        empresa,
+        monto: montoNumerico,
+        descripcion,
+        creadoPor: req.usuario._id,
+        apiKey: req.apiKey ? req.apiKey._id : null
+      });
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.COBRO_CREADO, {
+        objetivo: { tipo: 'CobroQr', id: cobro._id },
+        detalles: { monto: montoNumerico }
+      });
+
+      res.status(201).json({
+        success: true,
+        mensaje: 'QR de cobro generado. Muéstralo al cliente para que reclame sus puntos',
+        data: {
+          ...formatearCobro(cobro),
+          contenido,
+          qrImage,
+          puntosEstimados: puntosService.calcularPuntos(empresa, montoNumerico),
+          expirationSeconds: cobroQrService.expirationSeconds
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errores = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Error de validación',
+          errores
+        });
+      }
+
+      console.error('Error al generar QR de cobro:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error al generar QR de cobro'
+      });
+    }
+  }
+
+  /**
+   * Consultar estado de un cobro (la caja lo consulta hasta que se reclama)
+   * GET /api/empresa/cobros-qr/:id
+   */
+  async obtener(req, res) {
+    try {
+      const cobro = await CobroQr.findOne({ _id: req.params.id, empresa: req.empresa._id })
+        .populate('cliente', 'nombre');
+
+      if (!cobro) {
+        return res.status(404).json({
+          success: false,
+          mensaje: 'Cobro no encontrado'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: formatearCobro(cobro)
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de cobro inválido'
+        });
+      }
+
+      console.error('Error al obtener cobro:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Cancelar un cobro pendiente
+   * DELETE /api/empresa/cobros-qr/:id
+   */
+  async cancelar(req, res) {
+    try {
+      const resultado = await cobroQrService.cancelar(req.params.id, req.empresa._id);
+
+      if (!resultado.valido) {
+        return res.status(resultado.codigo === 'COBRO_NOT_FOUND' ? 404 : 409).json({
+          success: false,
+          mensaje: resultado.mensaje,
+          codigo: resultado.codigo
+        });
+      }
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.COBRO_CANCELADO, {
+        objetivo: { tipo: 'CobroQr', id: resultado.cobro._id }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Cobro cancelado',
+        data: formatearCobro(resultado.cobro)
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de cobro inválido'
+        });
+      }
+
+      console.error('Error al cancelar cobro:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Reclamar los puntos de un QR de cobro escaneado por el cliente
+   * El cobro se reclama de forma atómica: un mismo QR solo otorga
+   * puntos una vez aunque lo escaneen varios clientes a la vez
+   * POST /api/cliente/reclamar-cobro
+   */
+  async reclamar(req, res) {
+    // Cobro reclamado que debe liberarse si el otorgamiento falla
+    let cobroReclamado = null;
+
+    try {
+      const { contenido } = req.body;
+
+      if (!contenido) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'El contenido del QR es requerido'
+        });
+      }
+
+      const resultadoCobro = await cobroQrService.reclamar(contenido, req.usuario._id);
+
+      if (!resultadoCobro.valido) {
+        return res.status(statusErrorCobro(resultadoCobro.codigo)).json({
+          success: false,
+          mensaje: resultadoCobro.mensaje,
+          codigo: resultadoCobro.codigo
+        });
+      }
+
+      const { cobro, empresa } = resultadoCobro;
+      cobroReclamado = cobro;
+
+      // Puntos, transacción y cobro reclamado: todo o nada
+      const resultado = await ejecutarTransaccion(async (session) => {
+        const otorgamiento = await puntosService.otorgar({
+          clienteId: req.usuario._id,
+          empresa,
+          monto: cobro.monto,
+          qrToken: `cobro:${cobro.token}`,
+          origen: 'qr_empresa',
+          registradoPor: cobro.creadoPor,
+          apiKey: cobro.apiKey,
+          descripcion: cobro.descripcion
+        }, session);
+
+        if (!otorgamiento.valido) {
+          return otorgamiento;
+        }
+
+        const confirmado = await cobroQrService.confirmar(cobroReclamado, otorgamiento.transaccion._id, session);
+        if (!confirmado) {
+          await session.abortTransaction();
+          return {
+            valido: false,
+            mensaje: 'Este cobro se está procesando en otro dispositivo',
+            codigo: 'COBRO_CONCURRENT_CLAIM'
+          };
+        }
+
+        return otorgamiento;
+      });
+
+      if (!resultado.valido) {
+        // El cobro ya no está reservado por esta petición: no liberarlo
+        if (resultado.codigo !== 'COBRO_CONCURRENT_CLAIM') {
+          await cobroQrService.liberar(cobroReclamado);
+        }
+        cobroReclamado = null;
+
+        return res.status(statusErrorCobro(resultado.codigo)).json({
+          success: false,
+          mensaje: resultado.mensaje,
+          codigo: resultado.codigo
+        });
+      }
+
+      // Confirmado: el cobro ya quedó reclamado
+      cobroReclamado = null;
+
+      const { cliente, transaccion, puntosAnteriores, puntosCalculados } = resultado;
+
+      await puntosService.notificarOtorgamiento(resultado, empresa, cobro.monto);
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.PUNTOS_OTORGADOS, {
+        empresa,
+        objetivo: { tipo: 'Transaccion', id: transaccion._id },
+        detalles: {
+          cliente: cliente._id,
+          monto: cobro.monto,
+          puntosOtorgados: puntosCalculados,
+          origen: 'qr_empresa',
+          cobro: cobro._id
+        }
+      });
+
+      await notificacionService.notificarCobroReclamado(empresa._id, {
+        cobroId: cobro._id,
+        clienteNombre: cliente.nombre,
+        monto: cobro.monto,
+        puntosOtorgados: puntosCalculados
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: '¡Puntos agregados exitosamente!',
+        data: {
+          empresa: {
+            id: empresa._id,
+            nombre: empresa.nombreEmpresa
+          },
+          puntosAnteriores,
+          puntosOtorgados: puntosCalculados,
+          puntosNuevos: cliente.puntos,
+          multiplicadorNivel: resultado.multiplicador,
+          promocionesAplicadas: resultado.promocionesAplicadas,
+          nivel: nivelService.formatear(resultado.nivel),
+          transaccion: {
+            id: transaccion._id,
+            monto: cobro.monto,
+            fecha: transaccion.createdAt
+          }
+        }
+      });
+
+    } catch (error) {
+      // El otorgamiento no se completó: el cobro puede volver a reclamarse
+      if (cobroReclamado) {
+        await cobroQrService.liberar(cobroReclamado).catch(errorLiberar => {
+          console.error('Error al liberar cobro:', errorLiberar.message);
+        });
+      }
+
+      console.error('Error al reclamar cobro:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error al reclamar los puntos'
+      });
+    }
+  }
+}
+
+module.exports = new CobroQrController();
\ No newline at end of file
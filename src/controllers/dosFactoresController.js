@@ -0,0 +1,296 @@
+/**
+ * =====================================================
+ * CONTROLADOR DE AUTENTICACIÓN EN DOS PASOS
+ * =====================================================
+ * Archivo: src/controllers/dosFactoresController.js
+ * Descripción: Alta y baja de 2FA (TOTP) para empresas y su personal
+ *              - QR de enrolamiento
+ *              - Códigos de recuperación
+ * =====================================================
+ */
+
+const QRCode = require('qrcode');
+const Usuario = require('../models/Usuario');
+const totpService = require('../services/totpService');
+const dosFactoresService = require('../services/dosFactoresService');
+const auditoriaService = require('../services/auditoriaService');
+const { dosFactoresObligatorio } = require('../middleware/auth');
+
+const { acciones } = auditoriaService;
+
+/**
+ * Respuesta estándar cuando el usuario no es cuenta de empresa
+ */
+function soloEmpresas(res) {
+  return res.status(403).json({
+    success: false,
+    mensaje: 'La autenticación en dos pasos solo está disponible para empresas y su personal',
+    codigo: 'ACCESS_DENIED'
+  });
+}
+
+class DosFactoresController {
+  /**
+   * Consultar estado de 2FA
+   * GET /api/auth/2fa
+   */
+  async obtenerEstado(req, res) {
+    try {
+      const usuario = await Usuario.findById(req.usuario._id)
+        .select('+dosFactores.codigosRecuperacion');
+
+      res.status(200).json({
+        success: true,
+        data: {
+          activo: usuario.dosFactores.activo,
+          activadoEn: usuario.dosFactores.activadoEn,
+          obligatorio: usuario.esCuentaEmpresa() && dosFactoresObligatorio(),
+          codigosRecuperacionRestantes: usuario.dosFactores.codigosRecuperacion.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al obtener estado 2FA:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Iniciar enrolamiento: genera secreto y QR para la app autenticadora
+   * POST /api/auth/2fa/configurar
+   */
+  async configurar(req, res) {
+    try {
+      const usuario = req.usuario;
+
+      if (!usuario.esCuentaEmpresa()) {
+        return soloEmpresas(res);
+      }
+
+      if (usuario.dosFactores.activo) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'La autenticación en dos pasos ya está activa',
+          codigo: 'TWO_FACTOR_ALREADY_ENABLED'
+        });
+      }
+
+      const secreto = totpService.generarSecreto();
+      const otpauthUrl = totpService.generarUriOtpauth(secreto, usuario.email);
+
+      await Usuario.findByIdAndUpdate(usuario._id, {
+        'dosFactores.secretoPendiente': secreto
+      });
+
+      // QR para escanear con la app autenticadora
+      const qrImage = await QRCode.toDataURL(otpauthUrl, {
+        errorCorrectionLevel: 'M',
+        width: 300,
+        margin: 2
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Escanea el código QR con tu app autenticadora y confirma con un código',
+        data: {
+          secreto,
+          otpauthUrl,
+          qrImage
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al configurar 2FA:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Confirmar enrolamiento con el primer código y activar 2FA
+   * POST /api/auth/2fa/activar
+   */
+  async activar(req, res) {
+    try {
+      const { codigo } = req.body;
+
+      if (!req.usuario.esCuentaEmpresa()) {
+        return soloEmpresas(res);
+      }
+
+      const usuario = await Usuario.findById(req.usuario._id)
+        .select('+dosFactores.secretoPendiente');
+
+      if (!usuario.dosFactores.secretoPendiente) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Primero inicia la configuración en /api/auth/2fa/configurar',
+          codigo: 'TWO_FACTOR_NOT_CONFIGURED'
+        });
+      }
+
+      const contador = totpService.verificarCodigo(usuario.dosFactores.secretoPendiente, codigo);
+
+      if (contador === null) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Código de verificación incorrecto',
+          codigo: 'INVALID_2FA_CODE'
+        });
+      }
+
+      const { codigos, hashes } = dosFactoresService.generarCodigosRecuperacion();
+
+      await Usuario.findByIdAndUpdate(usuario._id, {
+        'dosFactores.activo': true,
+        'dosFactores.secreto': usuario.dosFactores.secretoPendiente,
+        'dosFactores.secretoPendiente': null,
+        'dosFactores.codigosRecuperacion': hashes,
+        'dosFactores.ultimoContador': contador,
+        'dosFactores.activadoEn': new Date()
+      });
+
+      await auditoriaService.registrar(req, acciones.DOS_FACTORES_ACTIVADO, {
+        objetivo: { tipo: 'Usuario', id: usuario._id }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Autenticación en dos pasos activada. Guarda tus códigos de recuperación en un lugar seguro',
+        data: {
+          codigosRecuperacion: codigos
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al activar 2FA:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Desactivar 2FA (requiere contraseña y código)
+   * POST /api/auth/2fa/desactivar
+   */
+  async desactivar(req, res) {
+    try {
+      const { password, codigo, codigoRecuperacion } = req.body;
+
+      if (dosFactoresObligatorio() && req.usuario.esCuentaEmpresa()) {
+        return res.status(403).json({
+          success: false,
+          mensaje: 'La autenticación en dos pasos es obligatoria para empresas',
+          codigo: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+
+      if (!password || (!codigo && !codigoRecuperacion)) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Se requiere contraseña y código (o código de recuperación)'
+        });
+      }
+
+      const usuario = await Usuario.findById(req.usuario._id).select('+password');
+      const passwordCorrecta = await usuario.compararPassword(password);
+
+      if (!passwordCorrecta) {
+        return res.status(401).json({
+          success: false,
+          mensaje: 'Contraseña incorrecta'
+        });
+      }
+
+      const resultado = await dosFactoresService.verificar(usuario._id, { codigo, codigoRecuperacion });
+
+      if (!resultado.valido) {
+        return res.status(400).json({
+          success: false,
+          mensaje: resultado.mensaje,
+          codigo: resultado.codigo
+        });
+      }
+
+      await Usuario.findByIdAndUpdate(usuario._id, {
+        'dosFactores.activo': false,
+        'dosFactores.secreto': null,
+        'dosFactores.secretoPendiente': null,
+        'dosFactores.codigosRecuperacion': [],
+        'dosFactores.ultimoContador': 0,
+        'dosFactores.activadoEn': null
+      });
+
+      await auditoriaService.registrar(req, acciones.DOS_FACTORES_DESACTIVADO, {
+        objetivo: { tipo: 'Usuario', id: usuario._id },
+        detalles: { conCodigoRecuperacion: !codigo }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Autenticación en dos pasos desactivada'
+      });
+
+    } catch (error) {
+      console.error('Error al desactivar 2FA:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Regenerar códigos de recuperación (invalida los anteriores)
+   * POST /api/auth/2fa/codigos-recuperacion
+   */
+  async regenerarCodigosRecuperacion(req, res) {
+    try {
+      const { codigo } = req.body;
+
+      const resultado = await dosFactoresService.verificar(req.usuario._id, { codigo });
+
+      if (!resultado.valido) {
+        return res.status(400).json({
+          success: false,
+          mensaje: resultado.mensaje,
+          codigo: resultado.codigo
+        });
+      }
+
+      const { codigos, hashes } = dosFactoresService.generarCodigosRecuperacion();
+
+      await Usuario.findByIdAndUpdate(req.usuario._id, {
+        'dosFactores.codigosRecuperacion': hashes
+      });
+
+      await auditoriaService.registrar(req, acciones.CODIGOS_RECUPERACION_REGENERADOS, {
+        objetivo: { tipo: 'Usuario', id: req.usuario._id }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Códigos de recuperación regenerados. Los anteriores ya no funcionan',
+        data: {
+          codigosRecuperacion: codigos
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al regenerar códigos de recuperación:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new DosFactoresController();
\ No newline at end of file
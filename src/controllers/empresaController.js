@@ -14,14 +14,45 @@ const Usuario = require('../models/Usuario');
 const Transaccion = require('../models/Transaccion');
 const Canje = require('../models/Canje');
 const qrService = require('../services/qrService');
-const notificacionService = require('../services/notificacionService');
+const puntosService = require('../services/puntosService');
+const expiracionService = require('../services/expiracionService');
+const nivelService = require('../services/nivelService');
+const qrRenderService = require('../services/qrRenderService');
+const auditoriaService = require('../services/auditoriaService');
+const { ejecutarTransaccion } = require('../config/database');
+
+/**
+ * Responder con el error de validación de un QR
+ * @param {Object} res
+ * @param {Object} resultado - Resultado de qrService (valido: false)
+ */
+function responderErrorQR(res, resultado) {
+  let status = 400;
+
+  if (resultado.codigo === 'QR_CONCURRENT_SCAN') {
+    status = 409;
+  } else if (resultado.codigo === 'SHORT_CODE_RATE_LIMITED' || resultado.codigo === 'OFFLINE_CODE_RATE_LIMITED') {
+    status = 429;
+    res.set('Retry-After', String(resultado.reintentarEn));
+  }
+
+  return res.status(status).json({
+    success: false,
+    mensaje: resultado.mensaje,
+    codigo: resultado.codigo
+  });
+}
 
 class EmpresaController {
   /**
    * Validar/Leer código QR de un cliente
    * POST /api/empresa/leer-qr
+   * body.token: contenido firmado tal como se escaneó del QR,
+   *             o el código corto que dicta el cliente
    */
   async leerQR(req, res) {
+    const inicio = Date.now();
+
     try {
       const { token } = req.body;
 
@@ -33,22 +64,27 @@ class EmpresaController {
       }
 
       // Validar el QR usando el servicio
-      const resultado = await qrService.validarQR(token);
+      const resultado = await qrService.validarQR(token, req.empresa._id);
+
+      await qrService.registrarEscaneo({ req, operacion: 'leer', contenido: token, resultado, inicio });
 
       if (!resultado.valido) {
-        return res.status(400).json({
-          success: false,
-          mensaje: resultado.mensaje,
-          codigo: resultado.codigo
-        });
+        return responderErrorQR(res, resultado);
       }
 
+      // Nivel del cliente en esta empresa (el que aplicará a la compra)
+      // Solo lectura: el nivel guardado cambia al otorgar puntos
+      const nivel = await nivelService.evaluar(resultado.cliente.id, req.empresa);
+
       res.status(200).json({
         success: true,
         mensaje: 'Código QR válido',
         data: {
-          cliente: resultado.cliente,
-          token: resultado.token
+          cliente: {
+            ...resultado.cliente,
+            nivel: nivelService.formatear(nivel)
+          },
+          token
         }
       });
 
@@ -63,13 +99,21 @@ class EmpresaController {
 
   /**
    * Agregar puntos a un cliente después de validar QR
+   * El QR se reclama de forma atómica: si dos cajas lo escanean a la vez,
+   * solo una otorga puntos y la otra recibe QR_CONCURRENT_SCAN
    * POST /api/empresa/agregar-puntos
    */
   async agregarPuntos(req, res) {
+    const inicio = Date.now();
+    // Token reclamado que debe liberarse si el otorgamiento falla
+    let tokenReclamado = null;
+    // Resultado del escaneo (se registra si la petición falla a la mitad)
+    let resultadoQR = null;
+
     try {
       const { token, monto } = req.body;
-      const empresa = req.usuario;
-      const empresaId = req.usuario._id;
+      const empresa = req.empresa;
+      const empresaId = req.empresa._id;
 
       // ===== VALIDACIONES =====
       if (!token || monto === undefined) {
@@ -87,87 +131,90 @@ class EmpresaController {
         });
       }
 
-      // Validar QR usando el servicio
-      const resultadoQR = await qrService.validarQR(token);
+      // Validar y reclamar el QR en un solo paso
+      resultadoQR = await qrService.reclamarQR(token, empresaId);
 
       if (!resultadoQR.valido) {
-        return res.status(400).json({
-          success: false,
-          mensaje: resultadoQR.mensaje,
-          codigo: resultadoQR.codigo
-        });
+        await qrService.registrarEscaneo({ req, operacion: 'otorgar', contenido: token, resultado: resultadoQR, inicio });
+        return responderErrorQR(res, resultadoQR);
       }
 
-      // ===== CALCULAR PUNTOS =====
-      const { gastoRequerido, puntosOtorgados } = empresa.configuracionPuntos || { 
-        gastoRequerido: 100, 
-        puntosOtorgados: 1 
-      };
-      
-      const puntosCalculados = Math.floor(montoNumerico / gastoRequerido) * puntosOtorgados;
+      tokenReclamado = resultadoQR.token;
+
+      // Puntos, transacción y QR usado: todo o nada
+      const resultado = await ejecutarTransaccion(async (session) => {
+        const otorgamiento = await puntosService.otorgar({
+          clienteId: resultadoQR.cliente.id,
+          empresa,
+          monto: montoNumerico,
+          qrToken: resultadoQR.token,
+          origen: 'qr_cliente',
+          registradoPor: req.usuario._id,
+          apiKey: req.apiKey ? req.apiKey._id : null
+        }, session);
+
+        if (!otorgamiento.valido) {
+          return otorgamiento;
+        }
 
-      // Obtener cliente actualizado
-      const cliente = await Usuario.findById(resultadoQR.cliente.id);
-      const puntosAnteriores = cliente.puntos;
+        // La reserva pudo liberarse o pasar a otra caja mientras tanto
+        const confirmado = await qrService.confirmarQR(tokenReclamado, resultadoQR.reclamadoEn, session);
+        if (!confirmado) {
+          await session.abortTransaction();
+          return {
+            valido: false,
+            mensaje: 'Este código QR se está procesando en otra caja en este momento',
+            codigo: 'QR_CONCURRENT_SCAN'
+          };
+        }
 
-      // ===== ACTUALIZAR PUNTOS TOTALES =====
-      cliente.puntos += puntosCalculados;
+        return otorgamiento;
+      });
 
-      // ===== ACTUALIZAR PUNTOS POR EMPRESA =====
-      // Inicializar array si no existe
-      if (!cliente.puntosPorEmpresa) {
-        cliente.puntosPorEmpresa = [];
-      }
+      if (!resultado.valido) {
+        // La reserva ya no es de esta petición: no liberarla
+        if (resultado.codigo !== 'QR_CONCURRENT_SCAN') {
+          await qrService.liberarQR(tokenReclamado, resultadoQR.reclamadoEn);
+        }
+        tokenReclamado = null;
+
+        await qrService.registrarEscaneo({
+          req,
+          operacion: 'otorgar',
+          contenido: token,
+          resultado: { ...resultadoQR, valido: false, codigo: resultado.codigo },
+          inicio
+        });
 
-      const indexEmpresa = cliente.puntosPorEmpresa.findIndex(
-        pe => pe.empresa && pe.empresa.toString() === empresaId.toString()
-      );
+        if (resultado.codigo === 'QR_CONCURRENT_SCAN') {
+          return responderErrorQR(res, resultado);
+        }
 
-      if (indexEmpresa >= 0) {
-        // Ya existe, actualizar puntos de esta empresa
-        cliente.puntosPorEmpresa[indexEmpresa].puntos += puntosCalculados;
-        cliente.puntosPorEmpresa[indexEmpresa].ultimaTransaccion = new Date();
-      } else {
-        // Primera vez con esta empresa
-        cliente.puntosPorEmpresa.push({
-          empresa: empresaId,
-          puntos: puntosCalculados,
-          ultimaTransaccion: new Date()
+        return res.status(403).json({
+          success: false,
+          mensaje: resultado.mensaje,
+          codigo: resultado.codigo
         });
       }
 
-      await cliente.save();
+      // Confirmado: el QR ya quedó usado
+      tokenReclamado = null;
 
-      // ===== ACTUALIZAR ESTADÍSTICAS DE LA EMPRESA =====
-      await Usuario.findByIdAndUpdate(empresaId, {
-        $inc: {
-          totalTransacciones: 1,
-          totalIngresos: montoNumerico
-        }
-      });
+      const { cliente, transaccion, puntosAnteriores, puntosBase, multiplicador, promocionesAplicadas, puntosCalculados } = resultado;
+      const { gastoRequerido, puntosOtorgados } = resultado.configuracion;
 
-      // ===== CREAR REGISTRO DE TRANSACCIÓN =====
-      const transaccion = new Transaccion({
-        cliente: cliente._id,
-        empresa: empresaId,
-        monto: montoNumerico,
-        puntosOtorgados: puntosCalculados,
-        puntosAnteriores,
-        puntosNuevos: cliente.puntos,
-        qrToken: token
-      });
-      await transaccion.save();
+      await puntosService.notificarOtorgamiento(resultado, empresa, montoNumerico);
 
-      // Marcar QR como usado
-      await qrService.marcarComoUsado(token, empresaId);
+      await qrService.registrarEscaneo({ req, operacion: 'otorgar', contenido: token, resultado: resultadoQR, inicio });
 
-      // ===== NOTIFICAR AL CLIENTE =====
-      await notificacionService.notificarPuntosAgregados(cliente._id, {
-        puntosOtorgados: puntosCalculados,
-        puntosAnteriores,
-        puntosNuevos: cliente.puntos,
-        nombreEmpresa: empresa.nombreEmpresa,
-        monto: montoNumerico
+      await auditoriaService.registrar(req, auditoriaService.acciones.PUNTOS_OTORGADOS, {
+        objetivo: { tipo: 'Transaccion', id: transaccion._id },
+        detalles: {
+          cliente: cliente._id,
+          monto: montoNumerico,
+          puntosOtorgados: puntosCalculados,
+          origen: 'qr_cliente'
+        }
       });
 
       res.status(200).json({
@@ -179,22 +226,45 @@ class EmpresaController {
             nombre: cliente.nombre,
             puntosAnteriores,
             puntosOtorgados: puntosCalculados,
-            puntosNuevos: cliente.puntos
+            puntosNuevos: cliente.puntos,
+            // Nivel después de la compra (puede haber subido)
+            nivel: nivelService.formatear(resultado.nivel)
           },
           transaccion: {
             id: transaccion._id,
             monto: montoNumerico,
             fecha: transaccion.createdAt
           },
+          promocionesAplicadas,
           configuracion: {
             gastoRequerido,
             puntosOtorgados,
-            explicacion: `Por cada $${gastoRequerido} MXN = ${puntosOtorgados} punto(s)`
+            puntosBase,
+            multiplicadorNivel: multiplicador,
+            explicacion: `Por cada $${gastoRequerido} MXN = ${puntosOtorgados} punto(s)` +
+              (multiplicador !== 1 ? ` × ${multiplicador} por nivel ${transaccion.nivel.nombre}` : '')
           }
         }
       });
 
     } catch (error) {
+      // El otorgamiento no se completó: el cliente puede volver a usar el QR
+      if (tokenReclamado) {
+        await qrService.liberarQR(tokenReclamado, resultadoQR.reclamadoEn).catch(errorLiberar => {
+          console.error('Error al liberar QR:', errorLiberar.message);
+        });
+      }
+
+      if (resultadoQR && resultadoQR.valido) {
+        await qrService.registrarEscaneo({
+          req,
+          operacion: 'otorgar',
+          contenido: req.body.token,
+          resultado: { ...resultadoQR, valido: false, codigo: 'INTERNAL_ERROR' },
+          inicio
+        });
+      }
+
       console.error('Error al agregar puntos:', error);
       res.status(500).json({
         success: false,
@@ -209,7 +279,7 @@ class EmpresaController {
    */
   async configurarPuntos(req, res) {
     try {
-      const { gastoRequerido, puntosOtorgados } = req.body;
+      const { gastoRequerido, puntosOtorgados, soloClientesVerificados } = req.body;
 
       // Validaciones
       if (gastoRequerido === undefined || puntosOtorgados === undefined) {
@@ -241,18 +311,34 @@ class EmpresaController {
         });
       }
 
+      // Si no se envía, se conserva la preferencia actual
+      const soloVerificados = soloClientesVerificados !== undefined
+        ? soloClientesVerificados === true || soloClientesVerificados === 'true'
+        : Boolean(req.empresa.configuracionPuntos && req.empresa.configuracionPuntos.soloClientesVerificados);
+
+      const configuracionAnterior = req.empresa.configuracionPuntos;
+
       // Actualizar configuración
       const empresa = await Usuario.findByIdAndUpdate(
-        req.usuario._id,
+        req.empresa._id,
         {
           configuracionPuntos: {
             gastoRequerido: gastoNum,
-            puntosOtorgados: puntosNum
+            puntosOtorgados: puntosNum,
+            soloClientesVerificados: soloVerificados
           }
         },
         { new: true }
       );
 
+      await auditoriaService.registrar(req, auditoriaService.acciones.CONFIGURACION_PUNTOS, {
+        objetivo: { tipo: 'Usuario', id: empresa._id },
+        detalles: {
+          anterior: configuracionAnterior,
+          nuevo: empresa.configuracionPuntos
+        }
+      });
+
       res.status(200).json({
         success: true,
         mensaje: 'Configuración de puntos actualizada',
@@ -283,7 +369,7 @@ class EmpresaController {
    */
   async obtenerConfiguracionPuntos(req, res) {
     try {
-      const empresa = await Usuario.findById(req.usuario._id);
+      const empresa = await Usuario.findById(req.empresa._id);
       
       const config = empresa.configuracionPuntos || {
         gastoRequerido: 100,
@@ -294,6 +380,7 @@ class EmpresaController {
         success: true,
         data: {
           configuracionPuntos: config,
+          politicaExpiracion: expiracionService.obtenerPolitica(empresa),
           explicacion: `Por cada $${config.gastoRequerido} MXN gastados = ${config.puntosOtorgados} punto(s)`,
           ejemplos: [
             { gasto: 50, puntos: Math.floor(50 / config.gastoRequerido) * config.puntosOtorgados },
@@ -314,13 +401,297 @@ class EmpresaController {
     }
   }
 
+  /**
+   * Configurar el vencimiento de los puntos de la empresa
+   * PUT /api/empresa/politica-expiracion
+   */
+  async actualizarPoliticaExpiracion(req, res) {
+    try {
+      const { tipo, meses } = req.body;
+
+      if (!expiracionService.politicas.includes(tipo)) {
+        return res.status(400).json({
+          success: false,
+          mensaje: `tipo debe ser uno de: ${expiracionService.politicas.join(', ')}`,
+          ejemplo: {
+            tipo: 'desde_acumulacion',
+            meses: 12,
+            explicacion: 'Los puntos vencen 12 meses después de acumularse'
+          }
+        });
+      }
+
+      const politicaAnterior = expiracionService.obtenerPolitica(req.empresa);
+      const mesesNum = meses !== undefined ? parseInt(meses) : politicaAnterior.meses;
+
+      if (isNaN(mesesNum) || mesesNum < 1 || mesesNum > 120) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'meses debe ser un número entero entre 1 y 120'
+        });
+      }
+
+      // Un tipo nuevo rige desde hoy: el tiempo anterior no cuenta para vencer
+      const vigenteDesde = tipo !== politicaAnterior.tipo ? new Date() : politicaAnterior.vigenteDesde;
+
+      const empresa = await Usuario.findByIdAndUpdate(
+        req.empresa._id,
+        { politicaExpiracion: { tipo, meses: mesesNum, vigenteDesde } },
+        { new: true }
+      );
+      const politica = expiracionService.obtenerPolitica(empresa);
+
+      // Los saldos anteriores a los lotes también deben poder vencer
+      // No se espera: puede tardar con muchos clientes
+      if (politica.tipo === 'desde_acumulacion' && politicaAnterior.tipo !== 'desde_acumulacion') {
+        expiracionService.inicializarLotesEmpresa(empresa._id).catch(error => {
+          console.error('Error al crear lotes de la empresa:', error.message);
+        });
+      }
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.POLITICA_EXPIRACION, {
+        objetivo: { tipo: 'Usuario', id: empresa._id },
+        detalles: {
+          anterior: politicaAnterior,
+          nuevo: politica
+        }
+      });
+
+      const explicaciones = {
+        ninguna: 'Los puntos no vencen',
+        desde_acumulacion: `Los puntos vencen ${politica.meses} mes(es) después de acumularse`,
+        inactividad: `Todos los puntos vencen tras ${politica.meses} mes(es) sin compras ni canjes`
+      };
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Política de expiración actualizada',
+        data: {
+          politicaExpiracion: politica,
+          explicacion: explicaciones[politica.tipo]
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al configurar expiración:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener el programa de niveles de la empresa
+   * GET /api/empresa/niveles
+   */
+  async obtenerNiveles(req, res) {
+    try {
+      const empresa = await Usuario.findById(req.empresa._id).select('programaNiveles');
+      const programa = empresa.programaNiveles || {};
+
+      res.status(200).json({
+        success: true,
+        data: {
+          programaNiveles: {
+            activo: Boolean(programa.activo),
+            criterio: programa.criterio || 'puntos',
+            ventanaDias: programa.ventanaDias || 365,
+            niveles: [...(programa.niveles || [])].sort((a, b) => a.minimo - b.minimo)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al obtener niveles:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Configurar el programa de niveles de la empresa
+   * Enviar solo { activo: false } lo desactiva conservando los niveles
+   * PUT /api/empresa/niveles
+   */
+  async actualizarNiveles(req, res) {
+    try {
+      const programaAnterior = req.empresa.toObject().programaNiveles;
+      let programa;
+
+      if (req.body.activo === false && req.body.niveles === undefined) {
+        programa = { ...programaAnterior, activo: false };
+      } else {
+        const resultado = nivelService.validarPrograma({
+          activo: req.body.activo,
+          criterio: req.body.criterio || 'puntos',
+          ventanaDias: req.body.ventanaDias === undefined ? 365 : req.body.ventanaDias,
+          niveles: req.body.niveles
+        });
+
+        if (!resultado.valido) {
+          return res.status(400).json({
+            success: false,
+            mensaje: resultado.mensaje,
+            ejemplo: {
+              criterio: 'puntos',
+              ventanaDias: 365,
+              niveles: [
+                { nombre: 'Bronce', minimo: 0, multiplicador: 1 },
+                { nombre: 'Plata', minimo: 500, multiplicador: 1.25 },
+                { nombre: 'Oro', minimo: 1500, multiplicador: 1.5 }
+              ]
+            }
+          });
+        }
+
+        programa = resultado.programa;
+      }
+
+      const empresa = await Usuario.findByIdAndUpdate(
+        req.empresa._id,
+        { programaNiveles: programa },
+        { new: true, runValidators: true }
+      );
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.NIVELES_ACTUALIZADOS, {
+        objetivo: { tipo: 'Usuario', id: empresa._id },
+        detalles: {
+          anterior: programaAnterior,
+          nuevo: empresa.programaNiveles
+        }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: empresa.programaNiveles.activo
+          ? 'Programa de niveles actualizado. Los clientes cambian de nivel en su siguiente compra o consulta'
+          : 'Programa de niveles desactivado',
+        data: {
+          programaNiveles: empresa.programaNiveles
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al configurar niveles:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener la marca de la empresa (logo y colores de sus QR)
+   * GET /api/empresa/marca
+   */
+  async obtenerMarca(req, res) {
+    try {
+      const empresa = await Usuario.findById(req.empresa._id).select('+marca.logo');
+
+      res.status(200).json({
+        success: true,
+        data: {
+          marca: empresa.marca || {}
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al obtener marca:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Actualizar la marca de la empresa
+   * Enviar null en un campo lo elimina; omitirlo lo conserva
+   * PUT /api/empresa/marca
+   */
+  async actualizarMarca(req, res) {
+    try {
+      const { logo, colorOscuro, colorClaro } = req.body;
+      const cambios = {};
+
+      if (logo !== undefined) {
+        if (logo !== null) {
+          const validacion = qrRenderService.validarLogo(logo);
+          if (!validacion.valido) {
+            return res.status(400).json({
+              success: false,
+              mensaje: validacion.mensaje,
+              codigo: validacion.codigo
+            });
+          }
+        }
+        cambios['marca.logo'] = logo;
+      }
+
+      for (const [campo, valor] of Object.entries({ colorOscuro, colorClaro })) {
+        if (valor === undefined) continue;
+
+        if (valor !== null && !qrRenderService.esColorValido(valor)) {
+          return res.status(400).json({
+            success: false,
+            mensaje: `${campo} debe tener formato #RRGGBB o #RRGGBBAA`,
+            codigo: 'INVALID_COLOR'
+          });
+        }
+        cambios[`marca.${campo}`] = valor;
+      }
+
+      if (Object.keys(cambios).length === 0) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Envía al menos uno de: logo, colorOscuro, colorClaro'
+        });
+      }
+
+      cambios['marca.actualizadaEn'] = new Date();
+
+      const empresa = await Usuario.findByIdAndUpdate(
+        req.empresa._id,
+        { $set: cambios },
+        { new: true }
+      ).select('+marca.logo');
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.MARCA_ACTUALIZADA, {
+        objetivo: { tipo: 'Usuario', id: empresa._id },
+        detalles: {
+          campos: Object.keys(cambios)
+            .filter(c => c !== 'marca.actualizadaEn')
+            .map(c => c.replace('marca.', ''))
+        }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Marca actualizada',
+        data: {
+          marca: empresa.marca
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al actualizar marca:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
   /**
    * Obtener resumen de la empresa (dashboard)
    * GET /api/empresa/resumen
    */
   async obtenerResumen(req, res) {
     try {
-      const empresa = await Usuario.findById(req.usuario._id);
+      const empresa = await Usuario.findById(req.empresa._id);
 
       // Estadísticas del día
       const hoy = new Date();
@@ -348,6 +719,8 @@ class EmpresaController {
         empresa: empresa._id 
       })
         .populate('cliente', 'nombre email')
+        .populate('registradoPor', 'nombre nombreEmpresa rolEmpleado')
+        .populate('apiKey', 'nombre prefijo')
         .sort({ createdAt: -1 })
         .limit(10);
 
@@ -399,7 +772,7 @@ class EmpresaController {
       const skip = (page - 1) * limit;
 
       // Filtro base
-      const filtro = { empresa: req.usuario._id };
+      const filtro = { empresa: req.empresa._id };
 
       // Filtro por fechas
       if (desde || hasta) {
@@ -411,6 +784,8 @@ class EmpresaController {
       const [transacciones, total] = await Promise.all([
         Transaccion.find(filtro)
           .populate('cliente', 'nombre email telefono')
+          .populate('registradoPor', 'nombre nombreEmpresa rolEmpleado')
+          .populate('apiKey', 'nombre prefijo')
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(parseInt(limit)),
@@ -438,6 +813,51 @@ class EmpresaController {
       });
     }
   }
+
+  /**
+   * Estadísticas de escaneo de QR de la empresa
+   * Tasa de éxito, latencia, tiempo hasta el escaneo y fallos frecuentes
+   * GET /api/empresa/estadisticas-qr
+   */
+  async obtenerEstadisticasQr(req, res) {
+    try {
+      const { desde, hasta } = req.query;
+
+      // Por defecto, los últimos 30 días
+      const fechaHasta = hasta ? new Date(hasta) : new Date();
+      const fechaDesde = desde ? new Date(desde) : new Date(fechaHasta.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+      if (isNaN(fechaDesde.getTime()) || isNaN(fechaHasta.getTime()) || fechaDesde > fechaHasta) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Rango de fechas inválido (desde y hasta en formato ISO, desde <= hasta)'
+        });
+      }
+
+      const estadisticas = await qrService.obtenerEstadisticas(req.empresa._id, {
+        desde: fechaDesde,
+        hasta: fechaHasta
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          periodo: {
+            desde: fechaDesde,
+            hasta: fechaHasta
+          },
+          ...estadisticas
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al obtener estadísticas de QR:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
 }
 
 module.exports = new EmpresaController();
\ No newline at end of file
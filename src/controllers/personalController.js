@@ -0,0 +1,275 @@
+/**
+ * =====================================================
+ * CONTROLADOR DE PERSONAL
+ * =====================================================
+ * Archivo: src/controllers/personalController.js
+ * Descripción: Cuentas de empleados de una empresa
+ *              - Alta, listado, cambio de rol y baja
+ *              - Roles: propietario, gerente, cajero
+ * =====================================================
+ */
+
+const Usuario = require('../models/Usuario');
+const sesionService = require('../services/sesionService');
+const auditoriaService = require('../services/auditoriaService');
+const { ROLES } = require('../config/permisos');
+
+// Campos que se devuelven de cada empleado
+const CAMPOS_EMPLEADO = 'nombre email telefono rolEmpleado activo createdAt';
+
+class PersonalController {
+  /**
+   * Crear cuenta de empleado
+   * POST /api/empresa/personal
+   */
+  async crear(req, res) {
+    try {
+      const { nombre, email, telefono, password, rol } = req.body;
+
+      if (!nombre || !email || !telefono || !password || !rol) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Campos obligatorios: nombre, email, telefono, password, rol'
+        });
+      }
+
+      if (!ROLES[rol]) {
+        return res.status(400).json({
+          success: false,
+          mensaje: `Rol inválido. Debe ser: ${Object.keys(ROLES).join(', ')}`
+        });
+      }
+
+      const emailExistente = await Usuario.findOne({ email: email.toLowerCase() });
+      if (emailExistente) {
+        return res.status(409).json({
+          success: false,
+          mensaje: 'Ya existe una cuenta con este email'
+        });
+      }
+
+      const empleado = new Usuario({
+        tipoUsuario: 'empleado',
+        empresa: req.empresa._id,
+        rolEmpleado: rol,
+        nombre,
+        email,
+        telefono,
+        password
+      });
+      await empleado.save();
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.EMPLEADO_CREADO, {
+        objetivo: { tipo: 'Usuario', id: empleado._id },
+        detalles: { rol }
+      });
+
+      res.status(201).json({
+        success: true,
+        mensaje: `Cuenta de ${rol} creada para ${nombre}`,
+        data: {
+          id: empleado._id,
+          nombre: empleado.nombre,
+          email: empleado.email,
+          telefono: empleado.telefono,
+          rol: empleado.rolEmpleado,
+          permisos: ROLES[rol]
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errores = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Error de validación',
+          errores
+        });
+      }
+
+      console.error('Error al crear empleado:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Listar personal de la empresa
+   * GET /api/empresa/personal
+   */
+  async listar(req, res) {
+    try {
+      const { activo, rol } = req.query;
+
+      const filtro = { tipoUsuario: 'empleado', empresa: req.empresa._id };
+      if (activo !== undefined) {
+        filtro.activo = activo === 'true';
+      }
+      if (rol) {
+        filtro.rolEmpleado = rol;
+      }
+
+      const personal = await Usuario.find(filtro)
+        .select(CAMPOS_EMPLEADO)
+        .sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          personal,
+          total: personal.length,
+          roles: ROLES
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al listar personal:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Actualizar empleado (rol, estado, nombre, teléfono)
+   * PUT /api/empresa/personal/:id
+   */
+  async actualizar(req, res) {
+    try {
+      const { rol, activo, nombre, telefono } = req.body;
+
+      const empleado = await Usuario.findOne({
+        _id: req.params.id,
+        tipoUsuario: 'empleado',
+        empresa: req.empresa._id
+      });
+
+      if (!empleado) {
+        return res.status(404).json({
+          success: false,
+          mensaje: 'Empleado no encontrado'
+        });
+      }
+
+      if (rol !== undefined && !ROLES[rol]) {
+        return res.status(400).json({
+          success: false,
+          mensaje: `Rol inválido. Debe ser: ${Object.keys(ROLES).join(', ')}`
+        });
+      }
+
+      // Rol y estado anteriores (auditoría)
+      const anterior = { rol: empleado.rolEmpleado, activo: empleado.activo };
+
+      if (rol !== undefined) empleado.rolEmpleado = rol;
+      if (activo !== undefined) empleado.activo = activo;
+      if (nombre !== undefined) empleado.nombre = nombre;
+      if (telefono !== undefined) empleado.telefono = telefono;
+
+      await empleado.save();
+
+      // Un empleado desactivado pierde sus sesiones de inmediato
+      if (!empleado.activo) {
+        await sesionService.revocarTodas(empleado._id);
+      }
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.EMPLEADO_ACTUALIZADO, {
+        objetivo: { tipo: 'Usuario', id: empleado._id },
+        detalles: {
+          anterior,
+          nuevo: { rol: empleado.rolEmpleado, activo: empleado.activo },
+          campos: Object.keys(req.body).filter(campo => ['rol', 'activo', 'nombre', 'telefono'].includes(campo))
+        }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Empleado actualizado correctamente',
+        data: await Usuario.findById(empleado._id).select(CAMPOS_EMPLEADO)
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const errores = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          success: false,
+          mensaje: 'Error de validación',
+          errores
+        });
+      }
+
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de empleado inválido'
+        });
+      }
+
+      console.error('Error al actualizar empleado:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Dar de baja a un empleado (se desactiva para conservar su historial)
+   * DELETE /api/empresa/personal/:id
+   */
+  async eliminar(req, res) {
+    try {
+      const empleado = await Usuario.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          tipoUsuario: 'empleado',
+          empresa: req.empresa._id
+        },
+        { activo: false },
+        { new: true }
+      );
+
+      if (!empleado) {
+        return res.status(404).json({
+          success: false,
+          mensaje: 'Empleado no encontrado'
+        });
+      }
+
+      await sesionService.revocarTodas(empleado._id);
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.EMPLEADO_ELIMINADO, {
+        objetivo: { tipo: 'Usuario', id: empleado._id },
+        detalles: { rol: empleado.rolEmpleado }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Empleado dado de baja. Sus transacciones se conservan en el historial',
+        data: {
+          id: empleado._id,
+          nombre: empleado.nombre
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de empleado inválido'
+        });
+      }
+
+      console.error('Error al dar de baja empleado:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new PersonalController();
\ No newline at end of file
@@ -0,0 +1,260 @@
+/**
+ * =====================================================
+ * CONTROLADOR DE PROMOCIONES
+ * =====================================================
+ * Archivo: src/controllers/promocionController.js
+ * Descripción: CRUD de promociones de puntos extra
+ *              (solo empresas)
+ *              - Multiplicadores y puntos extra con
+ *                vigencia, días, horario, monto mínimo
+ *                o primera compra
+ * =====================================================
+ */
+
+const Promocion = require('../models/Promocion');
+const promocionService = require('../services/promocionService');
+const auditoriaService = require('../services/auditoriaService');
+
+/**
+ * Responder con error de validación de la promoción
+ * @param {Object} res
+ * @param {String} mensaje
+ */
+function responderInvalida(res, mensaje) {
+  return res.status(400).json({
+    success: false,
+    mensaje,
+    zonaHoraria: promocionService.zonaHoraria,
+    ejemplo: {
+      nombre: 'Martes de doble puntos',
+      tipo: 'multiplicador',
+      valor: 2,
+      condiciones: {
+        vigenciaDesde: '2025-01-01T00:00:00-06:00',
+        vigenciaHasta: '2025-03-31T23:59:59-06:00',
+        diasSemana: [2],
+        horaInicio: '17:00',
+        horaFin: '19:00',
+        montoMinimo: 200,
+        primeraCompra: false
+      }
+    }
+  });
+}
+
+class PromocionController {
+  /**
+   * Crear promoción
+   * POST /api/empresa/promociones
+   */
+  async crear(req, res) {
+    try {
+      const resultado = promocionService.validar(req.body);
+
+      if (!resultado.valido) {
+        return responderInvalida(res, resultado.mensaje);
+      }
+
+      const promocion = await Promocion.create({
+        ...resultado.promocion,
+        empresa: req.empresa._id
+      });
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.PROMOCION_CREADA, {
+        objetivo: { tipo: 'Promocion', id: promocion._id },
+        detalles: { nombre: promocion.nombre, tipo: promocion.tipo, valor: promocion.valor }
+      });
+
+      res.status(201).json({
+        success: true,
+        mensaje: 'Promoción creada exitosamente',
+        data: promocion
+      });
+
+    } catch (error) {
+      console.error('Error al crear promoción:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Listar promociones de la empresa
+   * GET /api/empresa/promociones?activo=true
+   */
+  async listar(req, res) {
+    try {
+      const filtro = { empresa: req.empresa._id };
+      if (req.query.activo !== undefined) {
+        filtro.activo = req.query.activo === 'true';
+      }
+
+      const promociones = await Promocion.find(filtro).sort({ createdAt: -1 });
+      const ahora = new Date();
+
+      res.status(200).json({
+        success: true,
+        data: {
+          zonaHoraria: promocionService.zonaHoraria,
+          promociones: promociones.map(promocion => ({
+            ...promocion.toObject(),
+            // Activa y dentro de su vigencia (el día y horario se revisan en cada compra)
+            vigente: promocion.activo &&
+              (!promocion.condiciones.vigenciaDesde || promocion.condiciones.vigenciaDesde <= ahora) &&
+              (!promocion.condiciones.vigenciaHasta || promocion.condiciones.vigenciaHasta >= ahora)
+          })),
+          total: promociones.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al listar promociones:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Obtener una promoción de la empresa
+   * GET /api/empresa/promociones/:id
+   */
+  async obtener(req, res) {
+    try {
+      const promocion = await Promocion.findOne({ _id: req.params.id, empresa: req.empresa._id });
+
+      if (!promocion) {
+        return res.status(404).json({
+          success: false,
+          mensaje: 'Promoción no encontrada'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: promocion
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de promoción inválido'
+        });
+      }
+
+      console.error('Error al obtener promoción:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Actualizar promoción (los campos no enviados se conservan)
+   * PUT /api/empresa/promociones/:id
+   */
+  async actualizar(req, res) {
+    try {
+      const promocion = await Promocion.findOne({ _id: req.params.id, empresa: req.empresa._id });
+
+      if (!promocion) {
+        return res.status(404).json({
+          success: false,
+          mensaje: 'Promoción no encontrada'
+        });
+      }
+
+      const actual = promocion.toObject();
+      const resultado = promocionService.validar({
+        ...actual,
+        ...req.body,
+        condiciones: { ...actual.condiciones, ...(req.body.condiciones || {}) }
+      });
+
+      if (!resultado.valido) {
+        return responderInvalida(res, resultado.mensaje);
+      }
+
+      promocion.set(resultado.promocion);
+      await promocion.save();
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.PROMOCION_ACTUALIZADA, {
+        objetivo: { tipo: 'Promocion', id: promocion._id },
+        detalles: { anterior: actual, nuevo: resultado.promocion }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Promoción actualizada correctamente',
+        data: promocion
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de promoción inválido'
+        });
+      }
+
+      console.error('Error al actualizar promoción:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Eliminar promoción
+   * Las transacciones conservan el nombre y los puntos de las promociones aplicadas
+   * DELETE /api/empresa/promociones/:id
+   */
+  async eliminar(req, res) {
+    try {
+      const promocion = await Promocion.findOneAndDelete({ _id: req.params.id, empresa: req.empresa._id });
+
+      if (!promocion) {
+        return res.status(404).json({
+          success: false,
+          mensaje: 'Promoción no encontrada'
+        });
+      }
+
+      await auditoriaService.registrar(req, auditoriaService.acciones.PROMOCION_ELIMINADA, {
+        objetivo: { tipo: 'Promocion', id: promocion._id },
+        detalles: { nombre: promocion.nombre, vecesAplicada: promocion.vecesAplicada }
+      });
+
+      res.status(200).json({
+        success: true,
+        mensaje: 'Promoción eliminada correctamente',
+        data: {
+          id: promocion._id,
+          nombre: promocion.nombre
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'ID de promoción inválido'
+        });
+      }
+
+      console.error('Error al eliminar promoción:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+}
+
+module.exports = new PromocionController();
\ No newline at end of file
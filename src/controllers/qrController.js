@@ -0,0 +1,117 @@
+/**
+ * =====================================================
+ * CONTROLADOR DE QR
+ * =====================================================
+ * Archivo: src/controllers/qrController.js
+ * Descripción: Datos públicos para los escáneres
+ *              - Clave pública para verificar QR sin conexión
+ *              - Renderizado de QR en varios formatos
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+const Usuario = require('../models/Usuario');
+const firmaQrService = require('../services/firmaQrService');
+const qrRenderService = require('../services/qrRenderService');
+
+class QrController {
+  /**
+   * Obtener la clave pública con la que se firman los QR
+   * GET /api/qr/clave-publica
+   */
+  async obtenerClavePublica(req, res) {
+    try {
+      res.set('Cache-Control', 'public, max-age=3600');
+      res.status(200).json({
+        success: true,
+        data: firmaQrService.obtenerClavePublica()
+      });
+
+    } catch (error) {
+      console.error('Error al obtener clave pública:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error interno del servidor'
+      });
+    }
+  }
+
+  /**
+   * Renderizar un QR firmado en SVG, PNG o texto
+   * Solo se dibujan contenidos firmados por este servidor y vigentes
+   * POST /api/qr/renderizar
+   */
+  async renderizar(req, res) {
+    try {
+      const { contenido, empresa: empresaId, ...opciones } = req.body;
+
+      if (!contenido) {
+        return res.status(400).json({
+          success: false,
+          mensaje: 'El contenido del QR es requerido',
+          formatos: qrRenderService.formatos,
+          nivelesCorreccion: qrRenderService.nivelesCorreccion
+        });
+      }
+
+      const verificacion = firmaQrService.verificar(contenido);
+      if (!verificacion.valido) {
+        return res.status(400).json({
+          success: false,
+          mensaje: verificacion.mensaje,
+          codigo: verificacion.codigo
+        });
+      }
+
+      // Marca de la empresa (logo y colores por defecto)
+      let marca = null;
+      if (empresaId) {
+        if (!mongoose.Types.ObjectId.isValid(empresaId)) {
+          return res.status(400).json({
+            success: false,
+            mensaje: 'ID de empresa inválido'
+          });
+        }
+
+        const empresa = await Usuario.findOne({
+          _id: empresaId,
+          tipoUsuario: 'empresa',
+          activo: true
+        }).select('+marca.logo');
+
+        if (!empresa) {
+          return res.status(404).json({
+            success: false,
+            mensaje: 'Empresa no encontrada'
+          });
+        }
+
+        marca = empresa.marca;
+      }
+
+      const normalizacion = qrRenderService.normalizarOpciones(opciones, marca);
+      if (!normalizacion.valido) {
+        return res.status(400).json({
+          success: false,
+          mensaje: normalizacion.mensaje,
+          codigo: normalizacion.codigo
+        });
+      }
+
+      const { tipo, cuerpo } = await qrRenderService.renderizar(contenido, normalizacion.opciones);
+
+      // Los QR expiran: no guardar en caché
+      res.set('Cache-Control', 'no-store');
+      res.type(tipo).status(200).send(cuerpo);
+
+    } catch (error) {
+      console.error('Error al renderizar QR:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error al renderizar QR'
+      });
+    }
+  }
+}
+
+module.exports = new QrController();
\ No newline at end of file
@@ -36,7 +36,7 @@ class RecompensaController {
 
       // Crear recompensa
       const recompensa = new Recompensa({
-        empresa: req.usuario._id,
+        empresa: req.empresa._id,
         nombre,
         descripcion: descripcion || '',
         puntosRequeridos,
@@ -80,7 +80,7 @@ class RecompensaController {
       const { activo, page = 1, limit = 20 } = req.query;
       const skip = (page - 1) * limit;
 
-      const filtro = { empresa: req.usuario._id };
+      const filtro = { empresa: req.empresa._id };
       if (activo !== undefined) {
         filtro.activo = activo === 'true';
       }
@@ -281,7 +281,7 @@ class RecompensaController {
       // Buscar recompensa (solo si pertenece a esta empresa)
       const recompensa = await Recompensa.findOne({
         _id: req.params.id,
-        empresa: req.usuario._id
+        empresa: req.empresa._id
       });
 
       if (!recompensa) {
@@ -334,7 +334,7 @@ class RecompensaController {
     try {
       const recompensa = await Recompensa.findOneAndDelete({
         _id: req.params.id,
-        empresa: req.usuario._id
+        empresa: req.empresa._id
       });
 
       if (!recompensa) {
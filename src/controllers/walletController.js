@@ -0,0 +1,212 @@
+/**
+ * =====================================================
+ * CONTROLADOR DE WALLET
+ * =====================================================
+ * Archivo: src/controllers/walletController.js
+ * Descripción: Tarjeta de fidelidad en wallets del teléfono
+ *              - Descarga del pase (Apple y Google)
+ *              - Servicio web de PassKit (Apple Wallet)
+ *                https://developer.apple.com/documentation/walletpasses
+ * =====================================================
+ */
+
+const walletService = require('../services/walletService');
+
+/**
+ * Responder que la plataforma no está configurada en el servidor
+ * @param {Object} res
+ * @param {String} nombre - Nombre de la wallet
+ */
+function responderNoConfigurado(res, nombre) {
+  return res.status(503).json({
+    success: false,
+    mensaje: `${nombre} no está disponible en este servidor`,
+    codigo: 'WALLET_NOT_CONFIGURED'
+  });
+}
+
+class WalletController {
+  /**
+   * Descargar la tarjeta para Apple Wallet (.pkpass)
+   * GET /api/cliente/wallet/apple
+   */
+  async descargarApple(req, res) {
+    try {
+      if (!walletService.estaConfigurado('apple')) {
+        return responderNoConfigurado(res, 'Apple Wallet');
+      }
+
+      const { pkpass } = await walletService.generarPaseApple(req.usuario._id);
+
+      res.set({
+        'Content-Type': 'application/vnd.apple.pkpass',
+        'Content-Disposition': 'attachment; filename="fidelidad-amigo.pkpass"',
+        'Cache-Control': 'no-store'
+      });
+      res.status(200).send(pkpass);
+
+    } catch (error) {
+      console.error('Error al generar pase de Apple Wallet:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error al generar el pase'
+      });
+    }
+  }
+
+  /**
+   * Obtener la tarjeta para Google Wallet (objeto y enlace para guardarla)
+   * GET /api/cliente/wallet/google
+   */
+  async obtenerGoogle(req, res) {
+    try {
+      if (!walletService.estaConfigurado('google')) {
+        return responderNoConfigurado(res, 'Google Wallet');
+      }
+
+      const { objeto, jwt, urlGuardar } = await walletService.generarPaseGoogle(req.usuario._id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          objeto,
+          jwt,
+          urlGuardar
+        }
+      });
+
+    } catch (error) {
+      console.error('Error al generar pase de Google Wallet:', error);
+      res.status(500).json({
+        success: false,
+        mensaje: 'Error al generar el pase'
+      });
+    }
+  }
+
+  // ===== SERVICIO WEB DE PASSKIT =====
+  // Apple Wallet espera códigos HTTP concretos y cuerpos vacíos
+
+  /**
+   * Registrar un dispositivo para recibir actualizaciones del pase
+   * POST /api/wallet/apple/v1/devices/:dispositivo/registrations/:tipoPase/:serial
+   */
+  async registrarDispositivo(req, res) {
+    try {
+      const { dispositivo, tipoPase, serial } = req.params;
+      const pase = await walletService.autenticarApple(tipoPase, serial, req.get('authorization'));
+
+      if (!pase) {
+        return res.sendStatus(401);
+      }
+
+      if (!req.body || !req.body.pushToken) {
+        return res.sendStatus(400);
+      }
+
+      const nuevo = await walletService.registrarDispositivo(pase, dispositivo, req.body.pushToken);
+      res.sendStatus(nuevo ? 201 : 200);
+
+    } catch (error) {
+      console.error('Error al registrar dispositivo de wallet:', error);
+      res.sendStatus(500);
+    }
+  }
+
+  /**
+   * Dar de baja un dispositivo
+   * DELETE /api/wallet/apple/v1/devices/:dispositivo/registrations/:tipoPase/:serial
+   */
+  async eliminarDispositivo(req, res) {
+    try {
+      const { dispositivo, tipoPase, serial } = req.params;
+      const pase = await walletService.autenticarApple(tipoPase, serial, req.get('authorization'));
+
+      if (!pase) {
+        return res.sendStatus(401);
+      }
+
+      await walletService.eliminarDispositivo(pase, dispositivo);
+      res.sendStatus(200);
+
+    } catch (error) {
+      console.error('Error al eliminar dispositivo de wallet:', error);
+      res.sendStatus(500);
+    }
+  }
+
+  /**
+   * Pases de un dispositivo que cambiaron desde la última consulta
+   * GET /api/wallet/apple/v1/devices/:dispositivo/registrations/:tipoPase
+   */
+  async listarSeriales(req, res) {
+    try {
+      const { dispositivo, tipoPase } = req.params;
+
+      if (tipoPase !== process.env.WALLET_APPLE_PASS_TYPE_ID) {
+        return res.sendStatus(404);
+      }
+
+      const resultado = await walletService.obtenerSerialesActualizados(
+        dispositivo,
+        req.query.passesUpdatedSince
+      );
+
+      if (!resultado) {
+        return res.sendStatus(204);
+      }
+
+      res.status(200).json(resultado);
+
+    } catch (error) {
+      console.error('Error al listar pases de wallet:', error);
+      res.sendStatus(500);
+    }
+  }
+
+  /**
+   * Versión actual del pase
+   * GET /api/wallet/apple/v1/passes/:tipoPase/:serial
+   */
+  async obtenerPaseActualizado(req, res) {
+    try {
+      const { tipoPase, serial } = req.params;
+      const pase = await walletService.autenticarApple(tipoPase, serial, req.get('authorization'));
+
+      if (!pase) {
+        return res.sendStatus(401);
+      }
+
+      // Las fechas HTTP tienen precisión de segundos
+      const modificado = Math.floor(pase.actualizadoEn.getTime() / 1000) * 1000;
+      const desde = Date.parse(req.get('if-modified-since') || '');
+      if (!isNaN(desde) && modificado <= desde) {
+        return res.sendStatus(304);
+      }
+
+      const { pkpass } = await walletService.generarPaseApple(pase.cliente);
+
+      res.set({
+        'Content-Type': 'application/vnd.apple.pkpass',
+        'Last-Modified': new Date(modificado).toUTCString()
+      });
+      res.status(200).send(pkpass);
+
+    } catch (error) {
+      console.error('Error al obtener pase de wallet:', error);
+      res.sendStatus(500);
+    }
+  }
+
+  /**
+   * Errores que reporta Apple Wallet desde los dispositivos
+   * POST /api/wallet/apple/v1/log
+   */
+  async registrarLog(req, res) {
+    const logs = Array.isArray(req.body && req.body.logs) ? req.body.logs : [];
+    logs.slice(0, 20).forEach(mensaje => console.warn('Apple Wallet:', String(mensaje).slice(0, 500)));
+    res.sendStatus(200);
+  }
+}
+
+module.exports = new WalletController();
\ No newline at end of file
@@ -10,13 +10,67 @@
 
 const jwt = require('jsonwebtoken');
 const Usuario = require('../models/Usuario');
+const Sesion = require('../models/Sesion');
+const apiKeyService = require('../services/apiKeyService');
+const { obtenerRol, rolTienePermiso } = require('../config/permisos');
+
+/**
+ * Obtener la API key de la petición, si se envió una
+ * Se acepta en el header X-API-Key o como "Bearer fa_..."
+ * @param {object} req
+ * @returns {string|null}
+ */
+const extraerApiKey = (req) => {
+  const header = req.headers['x-api-key'];
+  if (header) {
+    return header;
+  }
+
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer')) {
+    const token = authorization.split(' ')[1];
+    if (apiKeyService.esApiKey(token)) {
+      return token;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Autenticar con API key de empresa
+ * La petición actúa como la empresa, limitada a los alcances de la clave
+ */
+const autenticarApiKey = async (req, res, next, clave) => {
+  const resultado = await apiKeyService.autenticar(clave, req.ip);
+
+  if (!resultado.valido) {
+    return res.status(401).json({
+      success: false,
+      mensaje: resultado.mensaje,
+      codigo: resultado.codigo
+    });
+  }
+
+  req.usuario = resultado.empresa;
+  req.empresa = resultado.empresa;
+  req.apiKey = resultado.apiKey;
+  req.sesion = null;
+  next();
+};
 
 /**
  * Verificar Token JWT
  * Extrae el token del header Authorization y valida
+ * También acepta una API key de empresa como credencial alternativa
  */
 const verificarToken = async (req, res, next) => {
   try {
+    const apiKey = extraerApiKey(req);
+    if (apiKey) {
+      return await autenticarApiKey(req, res, next, apiKey);
+    }
+
     let token;
 
     // Obtener token del header Authorization
@@ -38,6 +92,18 @@ const verificarToken = async (req, res, next) => {
       // Verificar y decodificar token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Verificar que la sesión del token sigue abierta
+      // (los tokens sin sesión son de versiones anteriores)
+      const sesion = decoded.sid ? await Sesion.findById(decoded.sid) : null;
+
+      if (!sesion || !sesion.estaActiva() || sesion.usuario.toString() !== decoded.id) {
+        return res.status(401).json({
+          success: false,
+          mensaje: 'Tu sesión fue cerrada. Por favor inicia sesión nuevamente',
+          codigo: 'SESSION_REVOKED'
+        });
+      }
+
       // Buscar usuario en la base de datos
       const usuario = await Usuario.findById(decoded.id);
 
@@ -59,8 +125,25 @@ const verificarToken = async (req, res, next) => {
         });
       }
 
-      // Agregar usuario a la request para uso posterior
+      // El personal actúa a nombre de su empresa, que también debe estar activa
+      let empresa = usuario.tipoUsuario === 'empresa' ? usuario : null;
+
+      if (usuario.tipoUsuario === 'empleado') {
+        empresa = await Usuario.findById(usuario.empresa);
+
+        if (!empresa || !empresa.activo) {
+          return res.status(401).json({
+            success: false,
+            mensaje: 'La empresa asociada a tu cuenta está desactivada',
+            codigo: 'EMPRESA_INACTIVE'
+          });
+        }
+      }
+
+      // Agregar usuario, empresa y sesión a la request para uso posterior
       req.usuario = usuario;
+      req.empresa = empresa;
+      req.sesion = sesion;
       next();
 
     } catch (jwtError) {
@@ -95,14 +178,26 @@ const verificarToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Indica si el despliegue exige 2FA a las cuentas de empresa
+ * @returns {boolean}
+ */
+const dosFactoresObligatorio = () => process.env.EMPRESA_2FA_OBLIGATORIO === 'true';
+
 /**
  * Restringir acceso por tipo de usuario
+ * El personal (empleado) cuenta como 'empresa'; sus permisos
+ * se revisan después con requierePermiso
+ * Si EMPRESA_2FA_OBLIGATORIO=true, las cuentas de empresa sin 2FA
+ * activo solo pueden usar las rutas de configuración de 2FA
  * @param {...string} tiposPermitidos - Tipos de usuario permitidos ('cliente', 'empresa')
  */
 const restringirA = (...tiposPermitidos) => {
   return (req, res, next) => {
+    const tipoEfectivo = req.usuario.tipoUsuario === 'empleado' ? 'empresa' : req.usuario.tipoUsuario;
+
     // Verificar que el usuario tiene un tipo permitido
-    if (!tiposPermitidos.includes(req.usuario.tipoUsuario)) {
+    if (!tiposPermitidos.includes(tipoEfectivo)) {
       return res.status(403).json({
         success: false,
         mensaje: `Acceso denegado. Esta acción es solo para: ${tiposPermitidos.join(', ')}`,
@@ -111,23 +206,119 @@ const restringirA = (...tiposPermitidos) => {
         tiposRequeridos: tiposPermitidos
       });
     }
+
+    // Verificar 2FA obligatorio para cuentas de empresa
+    // (no aplica a API keys: no hay una persona iniciando sesión)
+    if (!req.apiKey && req.usuario.esCuentaEmpresa() && dosFactoresObligatorio() &&
+        !(req.usuario.dosFactores && req.usuario.dosFactores.activo)) {
+      return res.status(403).json({
+        success: false,
+        mensaje: 'Debes activar la autenticación en dos pasos para continuar',
+        codigo: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Requerir permisos dentro de la empresa (usar después de restringirA('empresa'))
+ * @param {...string} permisos - Permisos requeridos (ver src/config/permisos.js)
+ */
+const requierePermiso = (...permisos) => {
+  return (req, res, next) => {
+    // Con API key solo cuentan los alcances de la clave
+    if (req.apiKey) {
+      const faltantes = permisos.filter(p => !req.apiKey.alcances.includes(p));
+
+      if (faltantes.length > 0) {
+        return res.status(403).json({
+          success: false,
+          mensaje: 'La API key no tiene alcance para realizar esta acción',
+          codigo: 'PERMISSION_DENIED',
+          alcances: req.apiKey.alcances,
+          permisosRequeridos: permisos
+        });
+      }
+      return next();
+    }
+
+    const rol = obtenerRol(req.usuario);
+    const faltantes = permisos.filter(p => !rolTienePermiso(rol, p));
+
+    if (faltantes.length > 0) {
+      return res.status(403).json({
+        success: false,
+        mensaje: 'Tu rol no tiene permiso para realizar esta acción',
+        codigo: 'PERMISSION_DENIED',
+        tuRol: rol,
+        permisosRequeridos: permisos
+      });
+    }
     next();
   };
 };
 
 /**
- * Generar Token JWT
+ * Rechazar API keys en rutas que requieren una persona con sesión
+ * (perfil, contraseña, sesiones, 2FA...)
+ */
+const rechazarApiKey = (req, res, next) => {
+  if (extraerApiKey(req)) {
+    return res.status(403).json({
+      success: false,
+      mensaje: 'Esta ruta no acepta API keys. Inicia sesión con una cuenta',
+      codigo: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+  next();
+};
+
+/**
+ * Generar Token JWT (access token de corta duración)
+ * @param {string} id - ID del usuario
+ * @param {string} sesionId - ID de la sesión a la que pertenece
+ * @returns {string} Token JWT
+ */
+const generarToken = (id, sesionId) => {
+  return jwt.sign(
+    { id, sid: sesionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+/**
+ * Generar token temporal de un solo propósito (ej: segundo paso del login)
+ * No sirve como access token porque no pertenece a ninguna sesión
  * @param {string} id - ID del usuario
+ * @param {string} proposito - Propósito del token
  * @returns {string} Token JWT
  */
-const generarToken = (id) => {
+const generarTokenTemporal = (id, proposito) => {
   return jwt.sign(
-    { id },
+    { id, proposito },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '30d' }
+    { expiresIn: '5m' }
   );
 };
 
+/**
+ * Verificar token temporal
+ * @param {string} token
+ * @param {string} proposito - Propósito esperado
+ * @returns {object|null} Payload si es válido
+ */
+const verificarTokenTemporal = (token, proposito) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.proposito === proposito ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Decodificar Token (sin verificar)
  * Útil para obtener datos sin validar
@@ -145,6 +336,11 @@ const decodificarToken = (token) => {
 module.exports = {
   verificarToken,
   restringirA,
+  requierePermiso,
+  rechazarApiKey,
+  dosFactoresObligatorio,
   generarToken,
+  generarTokenTemporal,
+  verificarTokenTemporal,
   decodificarToken
 };
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * =====================================================
+ * MIDDLEWARE DE IDEMPOTENCIA
+ * =====================================================
+ * Archivo: src/middleware/idempotencia.js
+ * Descripción: Reintentos seguros con el header
+ *              Idempotency-Key (ej: POS con red inestable)
+ *              - La primera respuesta se guarda por clave
+ *                y por quien llama
+ *              - Los reintentos la reciben de nuevo sin
+ *                volver a ejecutar la operación
+ * =====================================================
+ */
+
+const crypto = require('crypto');
+const ClaveIdempotencia = require('../models/ClaveIdempotencia');
+
+const LONGITUD_MAXIMA_CLAVE = 255;
+
+// Una clave en proceso por más tiempo se considera abandonada
+// (el servidor se reinició a la mitad) y puede retomarse
+const SEGUNDOS_ABANDONO = 120;
+
+/**
+ * Huella del cuerpo de la petición
+ * Una misma clave con otro cuerpo es un error del cliente
+ * @param {object} req
+ * @returns {string}
+ */
+const calcularHuella = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(req.body || {}))
+    .digest('hex');
+};
+
+/**
+ * Reservar la clave para esta petición
+ * @param {object} datos - { clave, propietario, metodo, ruta, huella }
+ * @returns {object} - { reservada } si la petición debe ejecutarse o { existente }
+ */
+const reservarClave = async (datos, reintento = false) => {
+  try {
+    const reservada = await ClaveIdempotencia.create(datos);
+    return { reservada };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existente = await ClaveIdempotencia.findOne({
+    propietario: datos.propietario,
+    clave: datos.clave
+  });
+
+  // Expiró entre ambas consultas
+  if (!existente) {
+    if (reintento) throw new Error('No se pudo reservar la clave de idempotencia');
+    return reservarClave(datos, true);
+  }
+
+  const abandonada = existente.estado === 'en_proceso' &&
+    existente.huella === datos.huella &&
+    existente.updatedAt < new Date(Date.now() - SEGUNDOS_ABANDONO * 1000);
+
+  if (abandonada) {
+    // Atómico: solo un reintento la retoma
+    const reservada = await ClaveIdempotencia.findOneAndUpdate(
+      { _id: existente._id, estado: 'en_proceso', updatedAt: existente.updatedAt },
+      { estado: 'en_proceso' },
+      { new: true }
+    );
+    if (reservada) return { reservada };
+  }
+
+  return { existente };
+};
+
+/**
+ * Respuestas que no son el resultado final de la operación: 409 (concurrencia),
+ * 429 (límite de intentos) y 5xx (error interno). No se guardan: el
+ * reintento con la misma clave debe volver a ejecutarse
+ * @param {number} status
+ * @returns {boolean}
+ */
+const esTransitoria = (status) => status === 409 || status === 429 || status >= 500;
+
+/**
+ * Guardar la respuesta cuando el controlador la envíe
+ * Las transitorias liberan la clave en lugar de guardarse
+ * @param {object} res
+ * @param {string} id - ID de la clave reservada
+ */
+const capturarRespuesta = (res, id) => {
+  const jsonOriginal = res.json.bind(res);
+
+  res.json = (cuerpo) => {
+    const guardado = esTransitoria(res.statusCode)
+      ? ClaveIdempotencia.deleteOne({ _id: id }).exec()
+      : ClaveIdempotencia.updateOne(
+        { _id: id },
+        {
+          estado: 'completada',
+          respuesta: {
+            status: res.statusCode,
+            // Tal como se envía (fechas e IDs como texto)
+            cuerpo: JSON.parse(JSON.stringify(cuerpo))
+          }
+        }
+      ).exec();
+
+    guardado
+      .catch(error => console.error('Error al guardar respuesta idempotente:', error.message))
+      .finally(() => jsonOriginal(cuerpo));
+
+    return res;
+  };
+};
+
+/**
+ * Aplicar Idempotency-Key (opcional) a una ruta
+ * Va después de verificarToken: la clave es por API key o por cuenta
+ * - Misma clave y mismo cuerpo: se repite la primera respuesta
+ * - Misma clave con otro cuerpo: 422
+ * - Primera petición aún en curso: 409
+ * Las respuestas 409, 429 y 5xx no se guardan (el reintento vuelve a ejecutarse)
+ */
+const idempotencia = async (req, res, next) => {
+  const clave = req.get('Idempotency-Key');
+
+  // Sin header: petición normal
+  if (clave === undefined) {
+    return next();
+  }
+
+  if (!clave.trim() || clave.length > LONGITUD_MAXIMA_CLAVE) {
+    return res.status(400).json({
+      success: false,
+      mensaje: `El header Idempotency-Key debe tener entre 1 y ${LONGITUD_MAXIMA_CLAVE} caracteres`,
+      codigo: 'IDEMPOTENCY_KEY_INVALID'
+    });
+  }
+
+  try {
+    const datos = {
+      clave,
+      propietario: req.apiKey ? req.apiKey._id : req.usuario._id,
+      metodo: req.method,
+      ruta: req.baseUrl + req.path,
+      huella: calcularHuella(req)
+    };
+
+    const { reservada, existente } = await reservarClave(datos);
+
+    if (reservada) {
+      capturarRespuesta(res, reservada._id);
+      return next();
+    }
+
+    if (existente.metodo !== datos.metodo || existente.ruta !== datos.ruta || existente.huella !== datos.huella) {
+      return res.status(422).json({
+        success: false,
+        mensaje: 'Esta Idempotency-Key ya se usó con otra petición',
+        codigo: 'IDEMPOTENCY_KEY_MISMATCH'
+      });
+    }
+
+    if (existente.estado === 'en_proceso') {
+      res.set('Retry-After', '2');
+      return res.status(409).json({
+        success: false,
+        mensaje: 'La petición original con esta Idempotency-Key sigue en proceso. Intenta de nuevo en unos segundos',
+        codigo: 'IDEMPOTENCY_IN_PROGRESS'
+      });
+    }
+
+    // Reintento: la misma respuesta que recibió la primera petición
+    res.set('Idempotent-Replayed', 'true');
+    res.status(existente.respuesta.status).json(existente.respuesta.cuerpo);
+
+  } catch (error) {
+    console.error('Error de idempotencia:', error);
+    res.status(500).json({
+      success: false,
+      mensaje: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  idempotencia
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * =====================================================
+ * MODELO DE AJUSTE DE SALDO
+ * =====================================================
+ * Archivo: src/models/AjusteSaldo.js
+ * Descripción: Ajustes manuales de puntos hechos por un
+ *              administrador, siempre con motivo
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+const ajusteSaldoSchema = new mongoose.Schema({
+  // Cliente cuyo saldo se ajusta
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  // Empresa a la que pertenecen los puntos ajustados
+  empresa: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  // Administrador que hizo el ajuste
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  // Puntos sumados (positivo) o restados (negativo)
+  puntos: {
+    type: Number,
+    required: true
+  },
+
+  // Saldo total del cliente antes y después
+  puntosAnteriores: {
+    type: Number,
+    required: true
+  },
+  puntosNuevos: {
+    type: Number,
+    required: true
+  },
+
+  // Motivo obligatorio
+  motivo: {
+    type: String,
+    required: [true, 'El motivo del ajuste es obligatorio'],
+    trim: true,
+    minlength: [10, 'El motivo debe tener al menos 10 caracteres'],
+    maxlength: [500, 'El motivo no puede exceder 500 caracteres']
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// ===== ÍNDICES =====
+ajusteSaldoSchema.index({ cliente: 1, createdAt: -1 });
+ajusteSaldoSchema.index({ empresa: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AjusteSaldo', ajusteSaldoSchema);
\ No newline at end of file
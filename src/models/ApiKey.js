@@ -0,0 +1,92 @@
+/**
+ * =====================================================
+ * MODELO DE API KEY
+ * =====================================================
+ * Archivo: src/models/ApiKey.js
+ * Descripción: Credenciales de integración (punto de venta)
+ *              de una empresa, con alcances limitados
+ *              Solo se guarda el hash de la clave
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+  // Empresa dueña de la clave
+  empresa: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  // Nombre descriptivo (ej: "Caja 1 - Sucursal Centro")
+  nombre: {
+    type: String,
+    required: [true, 'El nombre de la API key es obligatorio'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+
+  // Parte pública de la clave, sirve para identificarla y buscarla
+  prefijo: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Hash SHA-256 de la clave completa
+  hash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Permisos que otorga la clave (subconjunto de src/config/permisos.js)
+  alcances: {
+    type: [String],
+    default: []
+  },
+
+  // Uso más reciente
+  ultimoUso: {
+    type: Date,
+    default: null
+  },
+  ultimoUsoIp: {
+    type: String,
+    default: null
+  },
+
+  // Fecha de la última rotación
+  rotadaEn: {
+    type: Date,
+    default: null
+  },
+
+  // Revocación
+  revocada: {
+    type: Boolean,
+    default: false
+  },
+  revocadaEn: {
+    type: Date,
+    default: null
+  },
+
+  // Cuenta que creó la clave
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// ===== ÍNDICES =====
+// Nota: prefijo ya tiene unique:true que crea índice automáticamente
+apiKeySchema.index({ empresa: 1, revocada: 1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
\ No newline at end of file
@@ -71,13 +71,38 @@ const canjeSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+
+  // Cuenta que entregó la recompensa (dueño o personal de la empresa)
+  entregadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+
+  // Cuenta que canceló el canje (dueño o personal de la empresa)
+  canceladoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
   
   // Snapshot de la recompensa al momento del canje
   detalleRecompensa: {
     nombre: String,
     descripcion: String,
     categoria: String
-  }
+  },
+
+  // Lotes de los que salieron los puntos (FIFO)
+  // Si el canje se cancela, los puntos vuelven a esos lotes
+  lotesConsumidos: [{
+    _id: false,
+    lote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LotePuntos'
+    },
+    puntos: Number
+  }]
 
 }, {
   timestamps: true,
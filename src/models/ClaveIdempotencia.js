@@ -0,0 +1,69 @@
+/**
+ * =====================================================
+ * MODELO DE CLAVE DE IDEMPOTENCIA
+ * =====================================================
+ * Archivo: src/models/ClaveIdempotencia.js
+ * Descripción: Primera respuesta de una petición con
+ *              header Idempotency-Key
+ *              - Los reintentos con la misma clave
+ *                reciben la misma respuesta
+ *              - MongoDB las elimina tras el periodo de
+ *                retención (TTL)
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+// Horas que se conservan las claves (default 24)
+const RETENCION_HORAS = parseInt(process.env.IDEMPOTENCIA_RETENCION_HORAS) || 24;
+
+const claveIdempotenciaSchema = new mongoose.Schema({
+  // Valor del header Idempotency-Key
+  clave: {
+    type: String,
+    required: true
+  },
+
+  // Quien envió la petición: la API key o, si no hay, la cuenta
+  propietario: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // Endpoint y huella (SHA-256) del cuerpo de la primera petición
+  metodo: {
+    type: String,
+    required: true
+  },
+  ruta: {
+    type: String,
+    required: true
+  },
+  huella: {
+    type: String,
+    required: true
+  },
+
+  // en_proceso: la primera petición aún no responde
+  estado: {
+    type: String,
+    enum: ['en_proceso', 'completada'],
+    default: 'en_proceso'
+  },
+
+  // Respuesta guardada (solo completadas)
+  respuesta: {
+    status: { type: Number, default: null },
+    cuerpo: { type: mongoose.Schema.Types.Mixed, default: null }
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// ===== ÍNDICES =====
+claveIdempotenciaSchema.index({ propietario: 1, clave: 1 }, { unique: true });
+claveIdempotenciaSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENCION_HORAS * 60 * 60 });
+
+module.exports = mongoose.model('ClaveIdempotencia', claveIdempotenciaSchema);
\ No newline at end of file
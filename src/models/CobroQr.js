@@ -0,0 +1,110 @@
+/**
+ * =====================================================
+ * MODELO DE COBRO QR
+ * =====================================================
+ * Archivo: src/models/CobroQr.js
+ * Descripción: QR de compra que muestra la empresa
+ *              El cliente lo escanea y reclama sus puntos
+ *              Un cobro solo puede reclamarse una vez
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+const cobroQrSchema = new mongoose.Schema({
+  // Token único (UUID) incluido en el contenido firmado
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Empresa que cobra
+  empresa: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  // Monto de la compra
+  monto: {
+    type: Number,
+    required: [true, 'El monto es obligatorio'],
+    min: [0.01, 'El monto debe ser mayor a 0']
+  },
+
+  // Descripción opcional (ej: "Ticket 1042")
+  descripcion: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La descripción no puede exceder 200 caracteres'],
+    default: null
+  },
+
+  // Estado del cobro
+  // pendiente → en_proceso → reclamado
+  // pendiente → cancelado
+  estado: {
+    type: String,
+    enum: ['pendiente', 'en_proceso', 'reclamado', 'cancelado'],
+    default: 'pendiente'
+  },
+
+  // Cliente que reclamó los puntos
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+  reclamadoEn: {
+    type: Date,
+    default: null
+  },
+
+  // Transacción generada al reclamar
+  transaccion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaccion',
+    default: null
+  },
+
+  // Cuenta que generó el cobro (dueño o personal de la empresa)
+  creadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+
+  // API key con la que se generó (integraciones de punto de venta)
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+
+  // Fecha de expiración
+  expiraEn: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// ===== ÍNDICES =====
+cobroQrSchema.index({ empresa: 1, createdAt: -1 });
+cobroQrSchema.index({ estado: 1, expiraEn: 1 });
+
+// ===== MÉTODOS =====
+
+/**
+ * Verificar si el cobro está expirado
+ * @returns {Boolean}
+ */
+cobroQrSchema.methods.estaExpirado = function() {
+  return new Date() > this.expiraEn;
+};
+
+module.exports = mongoose.model('CobroQr', cobroQrSchema);
\ No newline at end of file
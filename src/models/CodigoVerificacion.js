@@ -0,0 +1,72 @@
+/**
+ * =====================================================
+ * MODELO DE CÓDIGO DE VERIFICACIÓN
+ * =====================================================
+ * Archivo: src/models/CodigoVerificacion.js
+ * Descripción: Códigos de un solo uso enviados por email/SMS
+ *              (restablecer contraseña, verificaciones)
+ *              Solo se guarda el hash del código
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+const codigoVerificacionSchema = new mongoose.Schema({
+  // Usuario al que pertenece el código
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  // Para qué sirve el código
+  proposito: {
+    type: String,
+    enum: ['restablecer_password', 'verificar_email', 'verificar_telefono'],
+    required: true
+  },
+
+  // Hash SHA-256 del código
+  codigoHash: {
+    type: String,
+    required: true
+  },
+
+  // Canal por el que se envió
+  canal: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+
+  // Fecha de expiración
+  expiraEn: {
+    type: Date,
+    required: true
+  },
+
+  // Si ya fue utilizado (o invalidado por uno más reciente)
+  usado: {
+    type: Boolean,
+    default: false
+  },
+
+  // Intentos fallidos de verificación
+  intentos: {
+    type: Number,
+    default: 0
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// ===== ÍNDICES =====
+codigoVerificacionSchema.index({ usuario: 1, proposito: 1, usado: 1 });
+
+// ===== TTL INDEX =====
+// MongoDB eliminará los códigos 1 hora después de expirar
+codigoVerificacionSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model('CodigoVerificacion', codigoVerificacionSchema);
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * =====================================================
+ * MODELO DE ESCANEO QR
+ * =====================================================
+ * Archivo: src/models/EscaneoQr.js
+ * Descripción: Cada intento de escanear un QR de cliente
+ *              en una empresa, exitoso o no
+ *              Base de las estadísticas de escaneo
+ *              MongoDB los elimina tras el periodo de
+ *              retención (TTL)
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+// Días que se conservan los intentos (default 90)
+const RETENCION_DIAS = parseInt(process.env.ESCANEOS_QR_RETENCION_DIAS) || 90;
+
+const escaneoQrSchema = new mongoose.Schema({
+  // Empresa en la que se escaneó
+  empresa: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  // Cuenta que escaneó (dueño o personal) y API key si aplica
+  registradoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+
+  // Endpoint que recibió el escaneo
+  operacion: {
+    type: String,
+    enum: ['leer', 'otorgar'],
+    required: true
+  },
+
+  // Tipo de contenido escaneado
+  tipoQr: {
+    type: String,
+    enum: ['firmado', 'codigo_corto', 'offline', 'desconocido'],
+    required: true
+  },
+
+  // Resultado y código (QR_VALID, QR_EXPIRED, QR_USED, QR_NOT_FOUND...)
+  resultado: {
+    type: String,
+    enum: ['exito', 'fallo'],
+    required: true
+  },
+  codigo: {
+    type: String,
+    required: true
+  },
+
+  // Cliente del QR (solo si se pudo identificar)
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+
+  // Tiempo de procesamiento de la petición
+  latenciaMs: {
+    type: Number,
+    required: true
+  },
+
+  // Segundos entre que el cliente generó el QR y la empresa lo escaneó
+  segundosHastaEscaneo: {
+    type: Number,
+    default: null
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// ===== ÍNDICES =====
+escaneoQrSchema.index({ empresa: 1, createdAt: -1 });
+escaneoQrSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENCION_DIAS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EscaneoQr', escaneoQrSchema);
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * =====================================================
+ * MODELO DE EVENTO DE AUDITORÍA
+ * =====================================================
+ * Archivo: src/models/EventoAuditoria.js
+ * Descripción: Registro persistente de acciones sensibles
+ *              (logins, cambios de cuenta, puntos, canjes)
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+const eventoAuditoriaSchema = new mongoose.Schema({
+  // Acción realizada (ver ACCIONES en src/services/auditoriaService.js)
+  accion: {
+    type: String,
+    required: true
+  },
+
+  // Resultado de la acción
+  resultado: {
+    type: String,
+    enum: ['exito', 'fallo'],
+    default: 'exito'
+  },
+
+  // Cuenta que realizó la acción (null si no se identificó, ej: login con email inexistente)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+
+  // Tipo de cuenta del actor al momento del evento
+  actorTipo: {
+    type: String,
+    default: null
+  },
+
+  // Empresa en cuyo nombre se actuó (dueño, personal o API key)
+  empresa: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+
+  // API key usada, si la petición no vino de una persona
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+
+  // Sobre qué se actuó
+  objetivo: {
+    tipo: { type: String, default: null },   // 'Usuario', 'Transaccion', 'Canje'...
+    id: { type: mongoose.Schema.Types.ObjectId, default: null }
+  },
+
+  // Origen de la petición
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  // Datos adicionales (nunca contraseñas ni códigos)
+  detalles: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// ===== ÍNDICES =====
+eventoAuditoriaSchema.index({ actor: 1, createdAt: -1 });
+eventoAuditoriaSchema.index({ 'objetivo.id': 1, createdAt: -1 });
+eventoAuditoriaSchema.index({ empresa: 1, createdAt: -1 });
+eventoAuditoriaSchema.index({ accion: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EventoAuditoria', eventoAuditoriaSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * =====================================================
+ * MODELO DE INTENTOS FALLIDOS
+ * =====================================================
+ * Archivo: src/models/IntentoFallido.js
+ * Descripción: Contador de intentos fallidos por clave
+ *              (cuenta, IP, etc.) para retrasos y bloqueos
+ *              MongoDB los elimina automáticamente (TTL)
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+const intentoFallidoSchema = new mongoose.Schema({
+  // Clave del contador (ej: "login:cuenta:correo@x.com", "login:ip:1.2.3.4")
+  clave: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Intentos fallidos dentro de la ventana actual
+  intentos: {
+    type: Number,
+    default: 0
+  },
+
+  // Fecha del último intento fallido
+  ultimoIntento: {
+    type: Date,
+    default: null
+  },
+
+  // Bloqueado hasta esta fecha (null = sin bloqueo)
+  bloqueadoHasta: {
+    type: Date,
+    default: null
+  },
+
+  // Fecha en que el registro deja de ser relevante
+  expiraEn: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// ===== TTL INDEX =====
+// Nota: clave ya tiene unique:true que crea índice automáticamente
+intentoFallidoSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IntentoFallido', intentoFallidoSchema);
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * =====================================================
+ * MODELO DE LOTE DE PUNTOS
+ * =====================================================
+ * Archivo: src/models/LotePuntos.js
+ * Descripción: Puntos acumulados juntos (una compra, un
+ *              reembolso, un ajuste) y cuántos quedan
+ *              - Los canjes consumen primero los lotes
+ *                más antiguos (FIFO)
+ *              - Base de la expiración de puntos
+ *                (ver expiracionService)
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+const lotePuntosSchema = new mongoose.Schema({
+  // Cliente dueño de los puntos
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  // Empresa en la que aplican los puntos
+  empresa: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  // Puntos con los que se creó el lote y los que aún no se usan
+  puntosIniciales: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  puntosRestantes: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Desde cuándo cuentan para la expiración
+  // (saldos anteriores a los lotes: fecha de la migración)
+  acumuladoEn: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  // Registro que originó el lote (Transaccion, Canje, AjusteSaldo...)
+  referencia: {
+    tipo: {
+      type: String,
+      default: null
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// ===== ÍNDICES =====
+// Consumo FIFO de los lotes de un cliente en una empresa
+lotePuntosSchema.index({ cliente: 1, empresa: 1, acumuladoEn: 1 });
+// Búsqueda de lotes vencidos por empresa
+lotePuntosSchema.index(
+  { empresa: 1, acumuladoEn: 1 },
+  { partialFilterExpression: { puntosRestantes: { $gt: 0 } } }
+);
+
+module.exports = mongoose.model('LotePuntos', lotePuntosSchema);
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * =====================================================
+ * MODELO DE MOVIMIENTO DE PUNTOS
+ * =====================================================
+ * Archivo: src/models/MovimientoPuntos.js
+ * Descripción: Libro de movimientos de puntos (solo se
+ *              agregan registros, nunca se modifican)
+ *              Es la fuente de verdad de los saldos:
+ *              Usuario.puntos y puntosPorEmpresa son una
+ *              copia que se puede conciliar contra él
+ *              (ver scripts/conciliarPuntos.js)
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+const TIPOS_MOVIMIENTO = ['acumulacion', 'canje', 'reembolso', 'ajuste', 'expiracion'];
+
+const movimientoPuntosSchema = new mongoose.Schema({
+  // Cliente dueño de los puntos
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  // Empresa en la que aplican los puntos
+  // (null solo en saldos iniciales de puntos sin empresa, anteriores al libro)
+  empresa: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+
+  // acumulacion: compra | canje: recompensa | reembolso: canje cancelado
+  // ajuste: administrador o migración | expiracion: puntos vencidos
+  tipo: {
+    type: String,
+    enum: TIPOS_MOVIMIENTO,
+    required: true
+  },
+
+  // Puntos del movimiento (positivos suman, negativos restan)
+  puntos: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Los puntos deben ser un número entero'
+    }
+  },
+
+  // Registro que originó el movimiento (Transaccion, Canje, AjusteSaldo...)
+  referencia: {
+    tipo: {
+      type: String,
+      default: null
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+
+  descripcion: {
+    type: String,
+    default: null
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// ===== ÍNDICES =====
+movimientoPuntosSchema.index({ cliente: 1, empresa: 1, createdAt: 1 });
+movimientoPuntosSchema.index({ empresa: 1, createdAt: -1 });
+
+// Un mismo registro no puede generar dos movimientos del mismo tipo
+movimientoPuntosSchema.index(
+  { tipo: 1, 'referencia.tipo': 1, 'referencia.id': 1 },
+  { unique: true, partialFilterExpression: { 'referencia.id': { $type: 'objectId' } } }
+);
+
+// Un solo saldo inicial por cliente y empresa
+movimientoPuntosSchema.index(
+  { cliente: 1, empresa: 1 },
+  { unique: true, partialFilterExpression: { 'referencia.tipo': 'SaldoInicial' } }
+);
+
+// ===== INMUTABILIDAD =====
+// Un error se corrige con un movimiento nuevo (ajuste), nunca editando uno existente
+
+movimientoPuntosSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Los movimientos de puntos no se pueden modificar'));
+  }
+  next();
+});
+
+movimientoPuntosSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Los movimientos de puntos no se pueden modificar ni eliminar'));
+  }
+);
+
+movimientoPuntosSchema.statics.tipos = TIPOS_MOVIMIENTO;
+
+module.exports = mongoose.model('MovimientoPuntos', movimientoPuntosSchema);
\ No newline at end of file
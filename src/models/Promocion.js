@@ -0,0 +1,109 @@
+/**
+ * =====================================================
+ * MODELO DE PROMOCIÓN
+ * =====================================================
+ * Archivo: src/models/Promocion.js
+ * Descripción: Reglas de puntos extra de una empresa
+ *              (doble de puntos los martes, hora feliz,
+ *              bono de primera compra, compra mínima...)
+ *              Se evalúan al otorgar puntos
+ *              (ver promocionService)
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+const promocionSchema = new mongoose.Schema({
+  // Empresa dueña de la promoción
+  empresa: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  nombre: {
+    type: String,
+    required: [true, 'El nombre de la promoción es obligatorio'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+
+  descripcion: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'La descripción no puede exceder 500 caracteres']
+  },
+
+  // multiplicador: los puntos de la compra se multiplican por valor (2 = doble)
+  // puntos_extra: se suman valor puntos
+  tipo: {
+    type: String,
+    enum: ['multiplicador', 'puntos_extra'],
+    required: true
+  },
+  valor: {
+    type: Number,
+    required: true,
+    min: [1, 'El valor debe ser al menos 1']
+  },
+
+  // ===== CONDICIONES (todas las indicadas deben cumplirse) =====
+  condiciones: {
+    // Vigencia (null = sin límite)
+    vigenciaDesde: {
+      type: Date,
+      default: null
+    },
+    vigenciaHasta: {
+      type: Date,
+      default: null
+    },
+    // Días de la semana en ZONA_HORARIA (0 = domingo ... 6 = sábado; vacío = todos)
+    // Con un horario que cruza la medianoche cuenta el día en que empieza
+    diasSemana: {
+      type: [Number],
+      default: []
+    },
+    // Horario en ZONA_HORARIA ("HH:MM"; si fin < inicio cruza la medianoche)
+    horaInicio: {
+      type: String,
+      default: null
+    },
+    horaFin: {
+      type: String,
+      default: null
+    },
+    // Monto mínimo de la compra
+    montoMinimo: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    // Solo la primera compra del cliente en la empresa
+    primeraCompra: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  activo: {
+    type: Boolean,
+    default: true
+  },
+
+  // Transacciones en las que se aplicó
+  vecesAplicada: {
+    type: Number,
+    default: 0
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// ===== ÍNDICES =====
+promocionSchema.index({ empresa: 1, activo: 1 });
+
+module.exports = mongoose.model('Promocion', promocionSchema);
\ No newline at end of file
@@ -18,6 +18,12 @@ const qrTokenSchema = new mongoose.Schema({
     unique: true
   },
   
+  // Código corto para captura manual (ej: "7KQ2MX9P")
+  codigoCorto: {
+    type: String,
+    default: undefined
+  },
+
   // Cliente dueño del QR
   clienteId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -43,6 +49,16 @@ const qrTokenSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  // Reclamado por una empresa, con el otorgamiento de puntos en curso
+  enProceso: {
+    type: Boolean,
+    default: false
+  },
+  reclamadoEn: {
+    type: Date,
+    default: null
+  },
   
   // Empresa que lo usó (si aplica)
   usadoPor: {
@@ -61,6 +77,9 @@ const qrTokenSchema = new mongoose.Schema({
 // Este índice también sirve para búsquedas por expiraEn
 qrTokenSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 60 });
 
+// ===== ÍNDICES =====
+qrTokenSchema.index({ codigoCorto: 1 }, { unique: true, sparse: true });
+
 // ===== MÉTODO: Verificar si está expirado =====
 qrTokenSchema.methods.estaExpirado = function() {
   return new Date() > this.expiraEn;
@@ -0,0 +1,88 @@
+/**
+ * =====================================================
+ * MODELO DE SESIÓN
+ * =====================================================
+ * Archivo: src/models/Sesion.js
+ * Descripción: Sesiones de usuario con refresh token rotativo
+ *              Solo se guarda el hash del refresh token
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+const sesionSchema = new mongoose.Schema({
+  // Usuario dueño de la sesión
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  // Hash SHA-256 del refresh token vigente
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  // Hash del refresh token anterior (detección de reutilización)
+  refreshTokenAnteriorHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Fecha de expiración del refresh token
+  expiraEn: {
+    type: Date,
+    required: true
+  },
+
+  // Si la sesión fue cerrada
+  revocada: {
+    type: Boolean,
+    default: false
+  },
+
+  revocadaEn: {
+    type: Date,
+    default: null
+  },
+
+  // Datos del dispositivo que inició la sesión
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  // Última vez que se renovó el access token
+  ultimoUso: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// ===== ÍNDICES =====
+// Nota: refreshTokenHash ya tiene unique:true que crea índice automáticamente
+sesionSchema.index({ usuario: 1, revocada: 1 });
+sesionSchema.index({ refreshTokenAnteriorHash: 1 }, { sparse: true });
+
+// ===== TTL INDEX =====
+// MongoDB eliminará las sesiones 7 días después de expirar
+sesionSchema.index({ expiraEn: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// ===== MÉTODO: Verificar si la sesión sigue vigente =====
+sesionSchema.methods.estaActiva = function() {
+  return !this.revocada && new Date() < this.expiraEn;
+};
+
+module.exports = mongoose.model('Sesion', sesionSchema);
\ No newline at end of file
@@ -38,7 +38,41 @@ const transaccionSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+
+  // Puntos por el monto, sin multiplicador de nivel ni promociones
+  // (cuentan para el nivel; null en transacciones anteriores)
+  puntosBase: {
+    type: Number,
+    default: null,
+    min: 0
+  },
   
+  // Nivel del cliente en la empresa al comprar y su multiplicador
+  // (null si la empresa no tiene programa de niveles)
+  nivel: {
+    nombre: {
+      type: String,
+      default: null
+    },
+    multiplicador: {
+      type: Number,
+      default: 1
+    }
+  },
+
+  // Promociones que dieron puntos extra en esta compra
+  promocionesAplicadas: [{
+    _id: false,
+    promocion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promocion'
+    },
+    nombre: String,
+    tipo: String,
+    valor: Number,
+    puntosExtra: Number
+  }],
+
   // Puntos antes de la transacción
   puntosAnteriores: {
     type: Number,
@@ -57,10 +91,32 @@ const transaccionSchema = new mongoose.Schema({
     default: 'Compra en tienda'
   },
   
-  // Token QR usado
+  // Token QR usado ("cobro:<token>" si fue un QR de cobro de la empresa)
   qrToken: {
     type: String,
     required: true
+  },
+
+  // Flujo del QR: el cliente lo muestra (qr_cliente)
+  // o la empresa lo muestra y el cliente lo escanea (qr_empresa)
+  origen: {
+    type: String,
+    enum: ['qr_cliente', 'qr_empresa'],
+    default: 'qr_cliente'
+  },
+
+  // Cuenta que registró la transacción (dueño o personal de la empresa)
+  registradoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    default: null
+  },
+
+  // API key con la que se registró (integraciones de punto de venta)
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
   }
 
 }, {
@@ -71,6 +127,8 @@ const transaccionSchema = new mongoose.Schema({
 // ===== ÍNDICES para búsquedas optimizadas =====
 transaccionSchema.index({ cliente: 1, createdAt: -1 });
 transaccionSchema.index({ empresa: 1, createdAt: -1 });
+// Compras recientes de un cliente en una empresa (niveles)
+transaccionSchema.index({ cliente: 1, empresa: 1, createdAt: -1 });
 transaccionSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('Transaccion', transaccionSchema);
\ No newline at end of file
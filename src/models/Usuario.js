@@ -15,7 +15,7 @@ const usuarioSchema = new mongoose.Schema({
   // ===== TIPO DE USUARIO =====
   tipoUsuario: {
     type: String,
-    enum: ['cliente', 'empresa'],
+    enum: ['cliente', 'empresa', 'empleado', 'admin'],
     required: [true, 'El tipo de usuario es obligatorio']
   },
 
@@ -43,13 +43,34 @@ const usuarioSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Último cambio de estado (administrador o eliminación por el titular)
+  estadoCuenta: {
+    motivo: { type: String, default: null },
+    fecha: { type: Date, default: null },
+    por: { type: mongoose.Schema.Types.ObjectId, ref: 'Usuario', default: null }
+  },
+  // Fecha en que la cuenta fue eliminada y anonimizada (derechos ARCO)
+  eliminadoEn: {
+    type: Date,
+    default: null
+  },
+
+  // ===== VERIFICACIÓN DE CONTACTO =====
+  emailVerificado: {
+    type: Boolean,
+    default: false
+  },
+  telefonoVerificado: {
+    type: Boolean,
+    default: false
+  },
 
   // ===== CAMPOS EXCLUSIVOS DE CLIENTE =====
   nombre: {
     type: String,
     trim: true,
     required: function() { 
-      return this.tipoUsuario === 'cliente'; 
+      return ['cliente', 'empleado', 'admin'].includes(this.tipoUsuario); 
     }
   },
   curp: {
@@ -61,6 +82,20 @@ const usuarioSchema = new mongoose.Schema({
       return this.tipoUsuario === 'cliente'; 
     }
   },
+  // Datos derivados de la CURP
+  fechaNacimiento: {
+    type: Date,
+    default: null
+  },
+  sexo: {
+    type: String,
+    enum: ['hombre', 'mujer', 'no_binario', null],
+    default: null
+  },
+  entidadNacimiento: {
+    type: String,
+    default: null
+  },
   puntos: {
     type: Number,
     default: 0,
@@ -81,6 +116,15 @@ const usuarioSchema = new mongoose.Schema({
     ultimaTransaccion: {
       type: Date,
       default: Date.now
+    },
+    // Nivel actual en el programa de la empresa (ver nivelService)
+    nivel: {
+      type: String,
+      default: null
+    },
+    nivelDesde: {
+      type: Date,
+      default: null
     }
   }],
 
@@ -101,6 +145,12 @@ const usuarioSchema = new mongoose.Schema({
       return this.tipoUsuario === 'empresa'; 
     }
   },
+  // Derivado del RFC: 12 caracteres = moral, 13 = física
+  tipoPersona: {
+    type: String,
+    enum: ['fisica', 'moral', null],
+    default: null
+  },
   totalTransacciones: {
     type: Number,
     default: 0
@@ -123,6 +173,176 @@ const usuarioSchema = new mongoose.Schema({
       type: Number,
       default: 1,
       min: [1, 'Los puntos otorgados deben ser al menos 1']
+    },
+    // Negarse a otorgar puntos a clientes sin email/teléfono verificado
+    soloClientesVerificados: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // Vencimiento de los puntos (ver expiracionService)
+  politicaExpiracion: {
+    // ninguna | desde_acumulacion: cada lote vence N meses después de acumularse
+    // inactividad: todo el saldo vence tras N meses sin movimientos en la empresa
+    tipo: {
+      type: String,
+      enum: ['ninguna', 'desde_acumulacion', 'inactividad'],
+      default: 'ninguna'
+    },
+    meses: {
+      type: Number,
+      default: 12,
+      min: [1, 'La expiración debe ser de al menos 1 mes'],
+      max: [120, 'La expiración no puede ser mayor a 120 meses']
+    },
+    // Desde cuándo rige el tipo actual: los puntos no vencen por tiempo
+    // transcurrido antes (null: política anterior a este campo)
+    vigenteDesde: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Programa de niveles (ej: Bronce/Plata/Oro, ver nivelService)
+  programaNiveles: {
+    activo: {
+      type: Boolean,
+      default: false
+    },
+    // Qué se mide en la ventana: puntos base ganados (sin multiplicadores) o monto gastado
+    criterio: {
+      type: String,
+      enum: ['puntos', 'gasto'],
+      default: 'puntos'
+    },
+    // Días hacia atrás que cuentan (ventana móvil)
+    ventanaDias: {
+      type: Number,
+      default: 365,
+      min: [1, 'La ventana debe ser de al menos 1 día'],
+      max: [730, 'La ventana no puede ser mayor a 730 días']
+    },
+    // Ordenados por mínimo; el primero (mínimo 0) es el nivel inicial
+    niveles: [{
+      _id: false,
+      nombre: {
+        type: String,
+        trim: true,
+        required: true
+      },
+      minimo: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      multiplicador: {
+        type: Number,
+        default: 1,
+        min: 1,
+        max: 10
+      }
+    }]
+  },
+
+  // Marca para los QR renderizados (ver qrRenderService)
+  marca: {
+    // PNG en data URL (no se carga por defecto por su tamaño)
+    logo: {
+      type: String,
+      default: null,
+      select: false
+    },
+    colorOscuro: {
+      type: String,
+      default: null
+    },
+    colorClaro: {
+      type: String,
+      default: null
+    },
+    actualizadaEn: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // ===== CAMPOS EXCLUSIVOS DE EMPLEADO =====
+  // Empresa para la que trabaja
+  empresa: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: function() { 
+      return this.tipoUsuario === 'empleado'; 
+    }
+  },
+  // Rol dentro de la empresa (ver src/config/permisos.js)
+  rolEmpleado: {
+    type: String,
+    enum: ['propietario', 'gerente', 'cajero'],
+    required: function() { 
+      return this.tipoUsuario === 'empleado'; 
+    }
+  },
+
+  // ===== AUTENTICACIÓN EN DOS PASOS (TOTP) =====
+  dosFactores: {
+    activo: {
+      type: Boolean,
+      default: false
+    },
+    // Secreto Base32 en uso
+    secreto: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secreto generado pero aún no confirmado
+    secretoPendiente: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Hashes SHA-256 de los códigos de recuperación sin usar
+    codigosRecuperacion: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Último contador TOTP aceptado (evita reutilizar un código)
+    ultimoContador: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    activadoEn: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // ===== QR SIN CONEXIÓN (CLIENTES) =====
+  // El dispositivo genera códigos rotativos con esta semilla (TOTP)
+  qrOffline: {
+    activo: {
+      type: Boolean,
+      default: false
+    },
+    // Semilla Base32 entregada al dispositivo
+    secreto: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Último contador aceptado (evita reutilizar un código)
+    ultimoContador: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    activadoEn: {
+      type: Date,
+      default: null
     }
   },
 
@@ -155,11 +375,22 @@ usuarioSchema.methods.compararPassword = async function(passwordIngresado) {
 
 // ===== MÉTODO: Obtener nombre a mostrar =====
 usuarioSchema.methods.getNombreMostrar = function() {
-  return this.tipoUsuario === 'cliente' ? this.nombre : this.nombreEmpresa;
+  return this.tipoUsuario === 'empresa' ? this.nombreEmpresa : this.nombre;
+};
+
+// ===== MÉTODO: Verificar si actúa a nombre de una empresa =====
+usuarioSchema.methods.esCuentaEmpresa = function() {
+  return this.tipoUsuario === 'empresa' || this.tipoUsuario === 'empleado';
+};
+
+// ===== MÉTODO: Verificar si confirmó al menos un medio de contacto =====
+usuarioSchema.methods.estaVerificado = function() {
+  return this.emailVerificado || this.telefonoVerificado;
 };
 
 // ===== ÍNDICES =====
 usuarioSchema.index({ tipoUsuario: 1 });
 usuarioSchema.index({ 'puntosPorEmpresa.empresa': 1 });
+usuarioSchema.index({ empresa: 1, tipoUsuario: 1 }, { sparse: true });
 
 module.exports = mongoose.model('Usuario', usuarioSchema);
\ No newline at end of file
@@ -0,0 +1,81 @@
+/**
+ * =====================================================
+ * MODELO DE PASE DE WALLET
+ * =====================================================
+ * Archivo: src/models/WalletPass.js
+ * Descripción: Tarjeta de fidelidad emitida en Apple Wallet
+ *              o Google Wallet para un cliente
+ *              Se usa para actualizar el pase cuando cambian
+ *              sus puntos
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+
+const walletPassSchema = new mongoose.Schema({
+  // Cliente dueño del pase
+  cliente: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Usuario',
+    required: true
+  },
+
+  // Wallet en la que se emitió
+  plataforma: {
+    type: String,
+    enum: ['apple', 'google'],
+    required: true
+  },
+
+  // Número de serie del pase (también es el número de cuenta en Google Wallet)
+  serial: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Token con el que Apple Wallet se autentica en el servicio web del pase
+  tokenAutenticacion: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Dispositivos Apple registrados para recibir actualizaciones
+  dispositivos: [{
+    identificador: {
+      type: String,
+      required: true
+    },
+    pushToken: {
+      type: String,
+      required: true
+    },
+    registradoEn: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Puntos mostrados en la última versión del pase
+  puntosEmitidos: {
+    type: Number,
+    default: 0
+  },
+
+  // Última vez que cambió el contenido del pase
+  actualizadoEn: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// ===== ÍNDICES =====
+walletPassSchema.index({ cliente: 1, plataforma: 1 }, { unique: true });
+walletPassSchema.index({ 'dispositivos.identificador': 1 });
+
+module.exports = mongoose.model('WalletPass', walletPassSchema);
\ No newline at end of file
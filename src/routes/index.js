@@ -16,15 +16,28 @@ const clienteController = require('../controllers/clienteController');
 const empresaController = require('../controllers/empresaController');
 const recompensaController = require('../controllers/recompensaController');
 const canjeController = require('../controllers/canjeController');
+const dosFactoresController = require('../controllers/dosFactoresController');
+const personalController = require('../controllers/personalController');
+const adminController = require('../controllers/adminController');
+const apiKeyController = require('../controllers/apiKeyController');
+const qrController = require('../controllers/qrController');
+const cobroQrController = require('../controllers/cobroQrController');
+const walletController = require('../controllers/walletController');
+const promocionController = require('../controllers/promocionController');
 
 // ===== MIDDLEWARE =====
-const { verificarToken, restringirA } = require('../middleware/auth');
+const { verificarToken, restringirA, requierePermiso, rechazarApiKey } = require('../middleware/auth');
+const { idempotencia } = require('../middleware/idempotencia');
+const { PERMISOS } = require('../config/permisos');
 
 
 // ╔══════════════════════════════════════════════════════════════╗
 // ║                 RUTAS DE AUTENTICACIÓN                       ║
 // ╚══════════════════════════════════════════════════════════════╝
 
+// Las rutas de cuenta son solo para personas: las API keys no se aceptan aquí
+router.use('/auth', rechazarApiKey);
+
 /**
  * @route   POST /api/auth/registro
  * @desc    Registrar nuevo usuario (cliente o empresa)
@@ -39,6 +52,13 @@ router.post('/auth/registro', authController.registro);
  */
 router.post('/auth/login', authController.login);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Segundo paso del login (código TOTP o de recuperación)
+ * @access  Público (requiere tokenTemporal del login)
+ */
+router.post('/auth/login/2fa', authController.loginDosFactores);
+
 /**
  * @route   GET /api/auth/perfil
  * @desc    Obtener perfil del usuario autenticado
@@ -60,6 +80,109 @@ router.put('/auth/perfil', verificarToken, authController.actualizarPerfil);
  */
 router.put('/auth/cambiar-password', verificarToken, authController.cambiarPassword);
 
+/**
+ * @route   POST /api/auth/verificacion/enviar
+ * @desc    Reenviar código de verificación (email o teléfono)
+ * @access  Privado
+ */
+router.post('/auth/verificacion/enviar', verificarToken, authController.enviarVerificacion);
+
+/**
+ * @route   POST /api/auth/verificacion/confirmar
+ * @desc    Confirmar email o teléfono con el código recibido
+ * @access  Privado
+ */
+router.post('/auth/verificacion/confirmar', verificarToken, authController.confirmarVerificacion);
+
+/**
+ * @route   POST /api/auth/olvide-password
+ * @desc    Solicitar código para restablecer contraseña (email o SMS)
+ * @access  Público
+ */
+router.post('/auth/olvide-password', authController.olvidePassword);
+
+/**
+ * @route   POST /api/auth/restablecer-password
+ * @desc    Restablecer contraseña con código (cierra todas las sesiones)
+ * @access  Público
+ */
+router.post('/auth/restablecer-password', authController.restablecerPassword);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Renovar access token con el refresh token (rotativo)
+ * @access  Público
+ */
+router.post('/auth/refresh', authController.refrescarToken);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Cerrar la sesión actual
+ * @access  Privado
+ */
+router.post('/auth/logout', verificarToken, authController.logout);
+
+/**
+ * @route   POST /api/auth/logout-todas
+ * @desc    Cerrar todas las sesiones del usuario
+ * @access  Privado
+ */
+router.post('/auth/logout-todas', verificarToken, authController.logoutTodas);
+
+/**
+ * @route   GET /api/auth/sesiones
+ * @desc    Listar sesiones activas del usuario
+ * @access  Privado
+ */
+router.get('/auth/sesiones', verificarToken, authController.listarSesiones);
+
+/**
+ * @route   GET /api/auth/auditoria
+ * @desc    Consultar eventos de auditoría de la cuenta (y de su personal, si es empresa)
+ * @access  Privado
+ */
+router.get('/auth/auditoria', verificarToken, authController.obtenerAuditoria);
+
+
+// ╔══════════════════════════════════════════════════════════════╗
+// ║            RUTAS DE AUTENTICACIÓN EN DOS PASOS               ║
+// ╚══════════════════════════════════════════════════════════════╝
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Consultar estado de 2FA
+ * @access  Privado
+ */
+router.get('/auth/2fa', verificarToken, dosFactoresController.obtenerEstado);
+
+/**
+ * @route   POST /api/auth/2fa/configurar
+ * @desc    Generar secreto y QR de enrolamiento
+ * @access  Solo empresas (aunque aún no tengan 2FA obligatorio activo)
+ */
+router.post('/auth/2fa/configurar', verificarToken, dosFactoresController.configurar);
+
+/**
+ * @route   POST /api/auth/2fa/activar
+ * @desc    Confirmar el primer código y activar 2FA
+ * @access  Solo empresas (aunque aún no tengan 2FA obligatorio activo)
+ */
+router.post('/auth/2fa/activar', verificarToken, dosFactoresController.activar);
+
+/**
+ * @route   POST /api/auth/2fa/desactivar
+ * @desc    Desactivar 2FA (no permitido si es obligatorio)
+ * @access  Privado
+ */
+router.post('/auth/2fa/desactivar', verificarToken, dosFactoresController.desactivar);
+
+/**
+ * @route   POST /api/auth/2fa/codigos-recuperacion
+ * @desc    Regenerar códigos de recuperación
+ * @access  Privado
+ */
+router.post('/auth/2fa/codigos-recuperacion', verificarToken, dosFactoresController.regenerarCodigosRecuperacion);
+
 
 // ╔══════════════════════════════════════════════════════════════╗
 // ║                    RUTAS DE CLIENTE                          ║
@@ -77,6 +200,42 @@ router.post(
   clienteController.generarQR
 );
 
+/**
+ * @route   POST /api/cliente/qr-offline
+ * @desc    Activar QR sin conexión (devuelve la semilla TOTP del dispositivo)
+ * @access  Solo clientes
+ */
+router.post(
+  '/cliente/qr-offline',
+  verificarToken,
+  restringirA('cliente'),
+  clienteController.activarQrOffline
+);
+
+/**
+ * @route   DELETE /api/cliente/qr-offline
+ * @desc    Desactivar QR sin conexión
+ * @access  Solo clientes
+ */
+router.delete(
+  '/cliente/qr-offline',
+  verificarToken,
+  restringirA('cliente'),
+  clienteController.desactivarQrOffline
+);
+
+/**
+ * @route   POST /api/cliente/reclamar-cobro
+ * @desc    Reclamar los puntos de un QR de cobro mostrado por la empresa
+ * @access  Solo clientes
+ */
+router.post(
+  '/cliente/reclamar-cobro',
+  verificarToken,
+  restringirA('cliente'),
+  cobroQrController.reclamar
+);
+
 /**
  * @route   GET /api/cliente/puntos
  * @desc    Obtener puntos actuales
@@ -91,7 +250,7 @@ router.get(
 
 /**
  * @route   GET /api/cliente/puntos-empresas
- * @desc    Obtener puntos desglosados por empresa
+ * @desc    Obtener puntos desglosados por empresa y próximos vencimientos (?dias=30)
  * @access  Solo clientes
  */
 router.get(
@@ -125,6 +284,127 @@ router.get(
   clienteController.obtenerResumen
 );
 
+/**
+ * @route   GET /api/cliente/wallet/apple
+ * @desc    Descargar la tarjeta de fidelidad para Apple Wallet (.pkpass)
+ * @access  Solo clientes
+ */
+router.get(
+  '/cliente/wallet/apple',
+  verificarToken,
+  restringirA('cliente'),
+  walletController.descargarApple
+);
+
+/**
+ * @route   GET /api/cliente/wallet/google
+ * @desc    Obtener la tarjeta de fidelidad para Google Wallet (objeto y enlace)
+ * @access  Solo clientes
+ */
+router.get(
+  '/cliente/wallet/google',
+  verificarToken,
+  restringirA('cliente'),
+  walletController.obtenerGoogle
+);
+
+/**
+ * @route   GET /api/cliente/mis-datos
+ * @desc    Descargar en JSON todos los datos ligados a la cuenta (ARCO: acceso)
+ * @access  Solo clientes
+ */
+router.get(
+  '/cliente/mis-datos',
+  verificarToken,
+  restringirA('cliente'),
+  clienteController.exportarDatos
+);
+
+/**
+ * @route   DELETE /api/cliente/cuenta
+ * @desc    Eliminar y anonimizar la cuenta (ARCO: cancelación)
+ * @access  Solo clientes
+ */
+router.delete(
+  '/cliente/cuenta',
+  verificarToken,
+  restringirA('cliente'),
+  clienteController.eliminarCuenta
+);
+
+
+// ╔══════════════════════════════════════════════════════════════╗
+// ║                        RUTAS DE QR                           ║
+// ╚══════════════════════════════════════════════════════════════╝
+
+/**
+ * @route   GET /api/qr/clave-publica
+ * @desc    Clave pública Ed25519 para verificar QR sin conexión
+ * @access  Público
+ */
+router.get('/qr/clave-publica', qrController.obtenerClavePublica);
+
+/**
+ * @route   POST /api/qr/renderizar
+ * @desc    Renderizar un QR firmado (svg, png, texto, terminal) con tamaño,
+ *          margen, corrección, colores y marca de empresa opcionales
+ * @access  Usuarios autenticados (sin API key: no hay alcance para renderizar)
+ */
+router.post('/qr/renderizar', rechazarApiKey, verificarToken, qrController.renderizar);
+
+
+// ╔══════════════════════════════════════════════════════════════╗
+// ║              RUTAS DE WALLET (SERVICIO DE PASSKIT)           ║
+// ╚══════════════════════════════════════════════════════════════╝
+// Las llama Apple Wallet con "Authorization: ApplePass <token del pase>"
+
+/**
+ * @route   POST /api/wallet/apple/v1/devices/:dispositivo/registrations/:tipoPase/:serial
+ * @desc    Registrar dispositivo para actualizaciones del pase
+ * @access  Apple Wallet (token del pase)
+ */
+router.post(
+  '/wallet/apple/v1/devices/:dispositivo/registrations/:tipoPase/:serial',
+  walletController.registrarDispositivo
+);
+
+/**
+ * @route   DELETE /api/wallet/apple/v1/devices/:dispositivo/registrations/:tipoPase/:serial
+ * @desc    Dar de baja dispositivo
+ * @access  Apple Wallet (token del pase)
+ */
+router.delete(
+  '/wallet/apple/v1/devices/:dispositivo/registrations/:tipoPase/:serial',
+  walletController.eliminarDispositivo
+);
+
+/**
+ * @route   GET /api/wallet/apple/v1/devices/:dispositivo/registrations/:tipoPase
+ * @desc    Pases del dispositivo actualizados (?passesUpdatedSince=)
+ * @access  Apple Wallet
+ */
+router.get(
+  '/wallet/apple/v1/devices/:dispositivo/registrations/:tipoPase',
+  walletController.listarSeriales
+);
+
+/**
+ * @route   GET /api/wallet/apple/v1/passes/:tipoPase/:serial
+ * @desc    Versión actual del pase
+ * @access  Apple Wallet (token del pase)
+ */
+router.get(
+  '/wallet/apple/v1/passes/:tipoPase/:serial',
+  walletController.obtenerPaseActualizado
+);
+
+/**
+ * @route   POST /api/wallet/apple/v1/log
+ * @desc    Errores reportados por Apple Wallet
+ * @access  Apple Wallet
+ */
+router.post('/wallet/apple/v1/log', walletController.registrarLog);
+
 
 // ╔══════════════════════════════════════════════════════════════╗
 // ║                    RUTAS DE EMPRESA                          ║
@@ -133,75 +413,382 @@ router.get(
 /**
  * @route   PUT /api/empresa/configurar-puntos
  * @desc    Configurar relación gasto/puntos de la empresa
- * @access  Solo empresas
+ * @access  Solo empresas (según permisos del rol)
  */
 router.put(
   '/empresa/configurar-puntos',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.PUNTOS_CONFIGURAR),
   empresaController.configurarPuntos
 );
 
 /**
  * @route   GET /api/empresa/configuracion-puntos
  * @desc    Obtener configuración actual de puntos
- * @access  Solo empresas
+ * @access  Solo empresas (según permisos del rol)
  */
 router.get(
   '/empresa/configuracion-puntos',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.REPORTES_VER),
   empresaController.obtenerConfiguracionPuntos
 );
 
+/**
+ * @route   PUT /api/empresa/politica-expiracion
+ * @desc    Configurar el vencimiento de los puntos de la empresa
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.put(
+  '/empresa/politica-expiracion',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.PUNTOS_CONFIGURAR),
+  empresaController.actualizarPoliticaExpiracion
+);
+
+/**
+ * @route   GET /api/empresa/niveles
+ * @desc    Obtener el programa de niveles (Bronce/Plata/Oro...)
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.get(
+  '/empresa/niveles',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.REPORTES_VER),
+  empresaController.obtenerNiveles
+);
+
+/**
+ * @route   PUT /api/empresa/niveles
+ * @desc    Configurar niveles, criterio, ventana y multiplicadores
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.put(
+  '/empresa/niveles',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.PUNTOS_CONFIGURAR),
+  empresaController.actualizarNiveles
+);
+
 /**
  * @route   POST /api/empresa/leer-qr
  * @desc    Validar/Leer código QR de un cliente
- * @access  Solo empresas
+ * @access  Solo empresas (según permisos del rol)
  */
 router.post(
   '/empresa/leer-qr',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.QR_LEER),
   empresaController.leerQR
 );
 
 /**
  * @route   POST /api/empresa/agregar-puntos
  * @desc    Agregar puntos a un cliente
- * @access  Solo empresas
+ *          Acepta Idempotency-Key para reintentar sin duplicar la compra
+ * @access  Solo empresas (según permisos del rol)
  */
 router.post(
   '/empresa/agregar-puntos',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.PUNTOS_AGREGAR),
+  idempotencia,
   empresaController.agregarPuntos
 );
 
+/**
+ * @route   GET /api/empresa/marca
+ * @desc    Obtener logo y colores de la marca para los QR
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.get(
+  '/empresa/marca',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.MARCA_GESTIONAR),
+  empresaController.obtenerMarca
+);
+
+/**
+ * @route   PUT /api/empresa/marca
+ * @desc    Actualizar logo (PNG en data URL) y colores de la marca
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.put(
+  '/empresa/marca',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.MARCA_GESTIONAR),
+  empresaController.actualizarMarca
+);
+
 /**
  * @route   GET /api/empresa/resumen
  * @desc    Obtener resumen/dashboard de la empresa
- * @access  Solo empresas
+ * @access  Solo empresas (según permisos del rol)
  */
 router.get(
   '/empresa/resumen',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.REPORTES_VER),
   empresaController.obtenerResumen
 );
 
 /**
  * @route   GET /api/empresa/historial
  * @desc    Obtener historial de transacciones
- * @access  Solo empresas
+ * @access  Solo empresas (según permisos del rol)
  */
 router.get(
   '/empresa/historial',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.REPORTES_VER),
   empresaController.obtenerHistorial
 );
 
+/**
+ * @route   GET /api/empresa/estadisticas-qr
+ * @desc    Estadísticas de escaneo de QR (?desde=&hasta=, default 30 días)
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.get(
+  '/empresa/estadisticas-qr',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.REPORTES_VER),
+  empresaController.obtenerEstadisticasQr
+);
+
+/**
+ * @route   POST /api/empresa/cobros-qr
+ * @desc    Generar QR de cobro con el monto (el cliente lo escanea)
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.post(
+  '/empresa/cobros-qr',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.PUNTOS_AGREGAR),
+  cobroQrController.crear
+);
+
+/**
+ * @route   GET /api/empresa/cobros-qr/:id
+ * @desc    Consultar estado de un QR de cobro
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.get(
+  '/empresa/cobros-qr/:id',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.PUNTOS_AGREGAR),
+  cobroQrController.obtener
+);
+
+/**
+ * @route   DELETE /api/empresa/cobros-qr/:id
+ * @desc    Cancelar un QR de cobro pendiente
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.delete(
+  '/empresa/cobros-qr/:id',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.PUNTOS_AGREGAR),
+  cobroQrController.cancelar
+);
+
+
+// ╔══════════════════════════════════════════════════════════════╗
+// ║                  RUTAS DE PROMOCIONES                        ║
+// ╚══════════════════════════════════════════════════════════════╝
+
+/**
+ * @route   POST /api/empresa/promociones
+ * @desc    Crear promoción de puntos extra (multiplicador o puntos fijos)
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.post(
+  '/empresa/promociones',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.PUNTOS_CONFIGURAR),
+  promocionController.crear
+);
+
+/**
+ * @route   GET /api/empresa/promociones
+ * @desc    Listar promociones de la empresa
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.get(
+  '/empresa/promociones',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.REPORTES_VER),
+  promocionController.listar
+);
+
+/**
+ * @route   GET /api/empresa/promociones/:id
+ * @desc    Obtener una promoción
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.get(
+  '/empresa/promociones/:id',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.REPORTES_VER),
+  promocionController.obtener
+);
+
+/**
+ * @route   PUT /api/empresa/promociones/:id
+ * @desc    Actualizar promoción
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.put(
+  '/empresa/promociones/:id',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.PUNTOS_CONFIGURAR),
+  promocionController.actualizar
+);
+
+/**
+ * @route   DELETE /api/empresa/promociones/:id
+ * @desc    Eliminar promoción
+ * @access  Solo empresas (según permisos del rol)
+ */
+router.delete(
+  '/empresa/promociones/:id',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.PUNTOS_CONFIGURAR),
+  promocionController.eliminar
+);
+
+
+// ╔══════════════════════════════════════════════════════════════╗
+// ║                RUTAS DE PERSONAL DE EMPRESA                  ║
+// ╚══════════════════════════════════════════════════════════════╝
+
+/**
+ * @route   POST /api/empresa/personal
+ * @desc    Crear cuenta de empleado (propietario, gerente o cajero)
+ * @access  Solo propietarios
+ */
+router.post(
+  '/empresa/personal',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.PERSONAL_GESTIONAR),
+  personalController.crear
+);
+
+/**
+ * @route   GET /api/empresa/personal
+ * @desc    Listar personal de la empresa
+ * @access  Solo propietarios
+ */
+router.get(
+  '/empresa/personal',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.PERSONAL_GESTIONAR),
+  personalController.listar
+);
+
+/**
+ * @route   PUT /api/empresa/personal/:id
+ * @desc    Cambiar rol, estado o datos de un empleado
+ * @access  Solo propietarios
+ */
+router.put(
+  '/empresa/personal/:id',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.PERSONAL_GESTIONAR),
+  personalController.actualizar
+);
+
+/**
+ * @route   DELETE /api/empresa/personal/:id
+ * @desc    Dar de baja a un empleado
+ * @access  Solo propietarios
+ */
+router.delete(
+  '/empresa/personal/:id',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.PERSONAL_GESTIONAR),
+  personalController.eliminar
+);
+
+// ╔══════════════════════════════════════════════════════════════╗
+// ║                  RUTAS DE API KEYS (POS)                     ║
+// ╚══════════════════════════════════════════════════════════════╝
+
+/**
+ * @route   POST /api/empresa/api-keys
+ * @desc    Crear API key con nombre y alcances (la clave se muestra una sola vez)
+ * @access  Solo propietarios
+ */
+router.post(
+  '/empresa/api-keys',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.APIKEYS_GESTIONAR),
+  apiKeyController.crear
+);
+
+/**
+ * @route   GET /api/empresa/api-keys
+ * @desc    Listar API keys de la empresa
+ * @access  Solo propietarios
+ */
+router.get(
+  '/empresa/api-keys',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.APIKEYS_GESTIONAR),
+  apiKeyController.listar
+);
+
+/**
+ * @route   POST /api/empresa/api-keys/:id/rotar
+ * @desc    Generar una clave nueva (la anterior deja de funcionar)
+ * @access  Solo propietarios
+ */
+router.post(
+  '/empresa/api-keys/:id/rotar',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.APIKEYS_GESTIONAR),
+  apiKeyController.rotar
+);
+
+/**
+ * @route   DELETE /api/empresa/api-keys/:id
+ * @desc    Revocar API key
+ * @access  Solo propietarios
+ */
+router.delete(
+  '/empresa/api-keys/:id',
+  verificarToken,
+  restringirA('empresa'),
+  requierePermiso(PERMISOS.APIKEYS_GESTIONAR),
+  apiKeyController.revocar
+);
 
 // ╔══════════════════════════════════════════════════════════════╗
 // ║                   RUTAS DE RECOMPENSAS                       ║
@@ -221,12 +808,13 @@ router.get(
 /**
  * @route   GET /api/recompensas/mis-recompensas
  * @desc    Listar recompensas de la empresa autenticada
- * @access  Solo empresas
+ * @access  Solo empresas (según permisos del rol)
  */
 router.get(
   '/recompensas/mis-recompensas',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.RECOMPENSAS_VER),
   recompensaController.listarPropias
 );
 
@@ -244,36 +832,39 @@ router.get(
 /**
  * @route   POST /api/recompensas
  * @desc    Crear nueva recompensa
- * @access  Solo empresas
+ * @access  Solo empresas (según permisos del rol)
  */
 router.post(
   '/recompensas',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.RECOMPENSAS_GESTIONAR),
   recompensaController.crear
 );
 
 /**
  * @route   PUT /api/recompensas/:id
  * @desc    Actualizar recompensa
- * @access  Solo empresa dueña
+ * @access  Solo empresa dueña (según permisos del rol)
  */
 router.put(
   '/recompensas/:id',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.RECOMPENSAS_GESTIONAR),
   recompensaController.actualizar
 );
 
 /**
  * @route   DELETE /api/recompensas/:id
  * @desc    Eliminar recompensa
- * @access  Solo empresa dueña
+ * @access  Solo empresa dueña (según permisos del rol)
  */
 router.delete(
   '/recompensas/:id',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.RECOMPENSAS_ELIMINAR),
   recompensaController.eliminar
 );
 
@@ -285,12 +876,14 @@ router.delete(
 /**
  * @route   POST /api/canjes
  * @desc    Canjear puntos por una recompensa
+ *          Acepta Idempotency-Key para reintentar sin duplicar el canje
  * @access  Solo clientes
  */
 router.post(
   '/canjes',
   verificarToken,
   restringirA('cliente'),
+  idempotencia,
   canjeController.canjear
 );
 
@@ -309,50 +902,167 @@ router.get(
 /**
  * @route   GET /api/canjes/empresa
  * @desc    Listar canjes de la empresa (pendientes de entregar)
- * @access  Solo empresas
+ * @access  Solo empresas (según permisos del rol)
  */
 router.get(
   '/canjes/empresa',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.CANJES_VER),
   canjeController.listarCanjesEmpresa
 );
 
 /**
  * @route   GET /api/canjes/validar/:codigo
  * @desc    Validar código de canje
- * @access  Solo empresas
+ * @access  Solo empresas (según permisos del rol)
  */
 router.get(
   '/canjes/validar/:codigo',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.CANJES_VER),
   canjeController.validarCodigo
 );
 
 /**
  * @route   PUT /api/canjes/:id/entregar
  * @desc    Marcar canje como entregado
- * @access  Solo empresas
+ * @access  Solo empresas (según permisos del rol)
  */
 router.put(
   '/canjes/:id/entregar',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.CANJES_ENTREGAR),
   canjeController.marcarEntregado
 );
 
 /**
  * @route   PUT /api/canjes/:id/cancelar
  * @desc    Cancelar canje (devuelve puntos al cliente)
- * @access  Solo empresas
+ * @access  Solo empresas (según permisos del rol)
  */
 router.put(
   '/canjes/:id/cancelar',
   verificarToken,
   restringirA('empresa'),
+  requierePermiso(PERMISOS.CANJES_CANCELAR),
   canjeController.cancelar
 );
 
 
+// ╔══════════════════════════════════════════════════════════════╗
+// ║                 RUTAS DE ADMINISTRACIÓN                      ║
+// ╚══════════════════════════════════════════════════════════════╝
+
+/**
+ * @route   GET /api/admin/usuarios
+ * @desc    Listar y buscar usuarios (tipo, activo, q)
+ * @access  Solo administradores
+ */
+router.get(
+  '/admin/usuarios',
+  verificarToken,
+  restringirA('admin'),
+  adminController.listarUsuarios
+);
+
+/**
+ * @route   GET /api/admin/usuarios/:id
+ * @desc    Obtener detalle de un usuario
+ * @access  Solo administradores
+ */
+router.get(
+  '/admin/usuarios/:id',
+  verificarToken,
+  restringirA('admin'),
+  adminController.obtenerUsuario
+);
+
+/**
+ * @route   PUT /api/admin/usuarios/:id/desactivar
+ * @desc    Desactivar una cuenta (motivo obligatorio)
+ * @access  Solo administradores
+ */
+router.put(
+  '/admin/usuarios/:id/desactivar',
+  verificarToken,
+  restringirA('admin'),
+  adminController.desactivarUsuario
+);
+
+/**
+ * @route   PUT /api/admin/usuarios/:id/reactivar
+ * @desc    Reactivar una cuenta (motivo obligatorio)
+ * @access  Solo administradores
+ */
+router.put(
+  '/admin/usuarios/:id/reactivar',
+  verificarToken,
+  restringirA('admin'),
+  adminController.reactivarUsuario
+);
+
+/**
+ * @route   GET /api/admin/empresas/:id/transacciones
+ * @desc    Ver transacciones de una empresa
+ * @access  Solo administradores
+ */
+router.get(
+  '/admin/empresas/:id/transacciones',
+  verificarToken,
+  restringirA('admin'),
+  adminController.transaccionesEmpresa
+);
+
+/**
+ * @route   GET /api/admin/empresas/:id/canjes
+ * @desc    Ver canjes de una empresa
+ * @access  Solo administradores
+ */
+router.get(
+  '/admin/empresas/:id/canjes',
+  verificarToken,
+  restringirA('admin'),
+  adminController.canjesEmpresa
+);
+
+/**
+ * @route   POST /api/admin/clientes/:id/ajustar-puntos
+ * @desc    Ajustar saldo de un cliente en una empresa (motivo obligatorio)
+ * @access  Solo administradores
+ */
+router.post(
+  '/admin/clientes/:id/ajustar-puntos',
+  verificarToken,
+  restringirA('admin'),
+  adminController.ajustarPuntos
+);
+
+/**
+ * @route   GET /api/admin/auditoria
+ * @desc    Consultar eventos de auditoría (actor, empresa, objetivo, accion, fechas)
+ * @access  Solo administradores
+ */
+router.get(
+  '/admin/auditoria',
+  verificarToken,
+  restringirA('admin'),
+  adminController.consultarAuditoria
+);
+
+/**
+ * @route   GET /api/admin/ajustes
+ * @desc    Listar ajustes de saldo realizados
+ * @access  Solo administradores
+ */
+router.get(
+  '/admin/ajustes',
+  verificarToken,
+  restringirA('admin'),
+  adminController.listarAjustes
+);
+
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * =====================================================
+ * SCRIPT: CONCILIAR PUNTOS
+ * =====================================================
+ * Archivo: src/scripts/conciliarPuntos.js
+ * Descripción: Compara los saldos guardados en cada
+ *              cliente (puntos y puntosPorEmpresa) con el
+ *              libro de movimientos y reporta diferencias
+ *              --reparar: corrige la copia con el libro
+ *                (antes crea los saldos iniciales que falten)
+ *              --inicializar: crea el saldo inicial en el
+ *                libro de cada empresa que aún no lo
+ *                tiene (datos anteriores al libro)
+ * Uso: npm run conciliar-puntos -- [--inicializar] [--reparar] [--cliente <id>]
+ * =====================================================
+ */
+
+require('dotenv').config();
+
+const Usuario = require('../models/Usuario');
+const puntosService = require('../services/puntosService');
+const { conectarDB, desconectarDB } = require('../config/database');
+
+const conciliarPuntos = async () => {
+  const argumentos = process.argv.slice(2);
+  const reparar = argumentos.includes('--reparar');
+  const inicializar = argumentos.includes('--inicializar');
+  const indiceCliente = argumentos.indexOf('--cliente');
+  const clienteId = indiceCliente >= 0 ? argumentos[indiceCliente + 1] : null;
+
+  if (indiceCliente >= 0 && !clienteId) {
+    console.error('Uso: npm run conciliar-puntos -- [--inicializar] [--reparar] [--cliente <id>]');
+    process.exit(1);
+  }
+
+  await conectarDB();
+
+  try {
+    const filtro = { tipoUsuario: 'cliente', ...(clienteId && { _id: clienteId }) };
+    const cursor = Usuario.find(filtro).select('_id email').cursor();
+
+    let revisados = 0;
+    let inicializados = 0;
+    let conDiferencias = 0;
+    let reparados = 0;
+
+    for await (const cliente of cursor) {
+      revisados++;
+
+      const resultado = await puntosService.conciliarCliente(cliente._id, { reparar, inicializar });
+
+      if (resultado.inicializado) inicializados++;
+      if (resultado.diferencias.length === 0) continue;
+
+      conDiferencias++;
+      if (resultado.reparado) reparados++;
+
+      console.log(`\n⚠️  Cliente ${cliente._id} (${cliente.email})${resultado.reparado ? ' → reparado' : ''}`);
+      for (const diferencia of resultado.diferencias) {
+        const ambito = diferencia.empresa ? `empresa ${diferencia.empresa}` : 'total';
+        console.log(`   ${ambito}: guardado ${diferencia.copia}, libro ${diferencia.libro} (${diferencia.libro - diferencia.copia > 0 ? '+' : ''}${diferencia.libro - diferencia.copia})`);
+      }
+      if (reparar && !resultado.reparado) {
+        console.log('   No se reparó: el saldo cambió durante la conciliación, vuelve a ejecutar');
+      }
+    }
+
+    console.log('\n===== RESUMEN =====');
+    console.log(`Clientes revisados:        ${revisados}`);
+    if (inicializar) console.log(`Libros inicializados:      ${inicializados}`);
+    console.log(`Clientes con diferencias:  ${conDiferencias}`);
+    if (reparar) console.log(`Clientes reparados:        ${reparados}`);
+
+    if (conDiferencias > reparados) {
+      process.exitCode = 2;
+    }
+
+  } catch (error) {
+    console.error('❌ Error al conciliar puntos:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await desconectarDB();
+  }
+};
+
+conciliarPuntos();
\ No newline at end of file
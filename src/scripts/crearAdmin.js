@@ -0,0 +1,55 @@
+/**
+ * =====================================================
+ * SCRIPT: CREAR ADMINISTRADOR
+ * =====================================================
+ * Archivo: src/scripts/crearAdmin.js
+ * Descripción: Crea una cuenta de administrador de la
+ *              plataforma (no existe registro público)
+ * Uso: npm run crear-admin -- <email> <password> "<nombre>" <telefono>
+ * =====================================================
+ */
+
+require('dotenv').config();
+
+const Usuario = require('../models/Usuario');
+const { conectarDB, desconectarDB } = require('../config/database');
+
+const crearAdmin = async () => {
+  const [email, password, nombre, telefono] = process.argv.slice(2);
+
+  if (!email || !password || !nombre || !telefono) {
+    console.error('Uso: npm run crear-admin -- <email> <password> "<nombre>" <telefono>');
+    process.exit(1);
+  }
+
+  await conectarDB();
+
+  try {
+    const existente = await Usuario.findOne({ email: email.toLowerCase() });
+    if (existente) {
+      console.error(`❌ Ya existe una cuenta con el email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const admin = new Usuario({
+      tipoUsuario: 'admin',
+      email,
+      password,
+      nombre,
+      telefono,
+      emailVerificado: true
+    });
+    await admin.save();
+
+    console.log(`✅ Administrador creado: ${admin.email} (${admin._id})`);
+
+  } catch (error) {
+    console.error('❌ Error al crear administrador:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await desconectarDB();
+  }
+};
+
+crearAdmin();
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * =====================================================
+ * SCRIPT: EXPIRAR PUNTOS
+ * =====================================================
+ * Archivo: src/scripts/expirarPuntos.js
+ * Descripción: Ejecuta una vez el vencimiento de puntos
+ *              de todas las empresas con política de
+ *              expiración (la misma tarea que corre el
+ *              servidor cada EXPIRACION_PUNTOS_INTERVALO_HORAS)
+ *              --inicializar-lotes: antes, crea lotes para
+ *                los saldos anteriores a los lotes (cuentan
+ *                como acumulados hoy)
+ * Uso: npm run expirar-puntos -- [--inicializar-lotes]
+ * =====================================================
+ */
+
+require('dotenv').config();
+
+const Usuario = require('../models/Usuario');
+const puntosService = require('../services/puntosService');
+const expiracionService = require('../services/expiracionService');
+const { conectarDB, desconectarDB } = require('../config/database');
+
+const expirarPuntos = async () => {
+  const inicializarLotes = process.argv.slice(2).includes('--inicializar-lotes');
+
+  await conectarDB();
+
+  try {
+    if (inicializarLotes) {
+      const cursor = Usuario.find({ tipoUsuario: 'cliente', 'puntosPorEmpresa.puntos': { $gt: 0 } })
+        .select('puntosPorEmpresa')
+        .cursor();
+
+      let clientes = 0;
+      let lotes = 0;
+
+      for await (const cliente of cursor) {
+        const creados = await puntosService.inicializarLotes(cliente);
+        if (creados > 0) clientes++;
+        lotes += creados;
+      }
+
+      console.log(`Lotes iniciales creados:   ${lotes} (${clientes} cliente(s))`);
+    }
+
+    const resumen = await expiracionService.ejecutar();
+
+    console.log('\n===== RESUMEN =====');
+    console.log(`Empresas con expiración:   ${resumen.empresas}`);
+    console.log(`Clientes con vencimientos: ${resumen.clientes}`);
+    console.log(`Puntos vencidos:           ${resumen.puntos}`);
+    console.log(`Errores:                   ${resumen.errores}`);
+
+    if (resumen.errores > 0) {
+      process.exitCode = 2;
+    }
+
+  } catch (error) {
+    console.error('❌ Error al expirar puntos:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await desconectarDB();
+  }
+};
+
+expirarPuntos();
\ No newline at end of file
@@ -23,6 +23,9 @@ const cors = require('cors');
 const { conectarDB } = require('./config/database');
 const routes = require('./routes');
 const notificacionService = require('./services/notificacionService');
+const firmaQrService = require('./services/firmaQrService');
+const expiracionService = require('./services/expiracionService');
+const mensajeriaService = require('./services/mensajeriaService');
 
 // ===== CREAR APLICACIÓN EXPRESS =====
 const app = express();
@@ -47,6 +50,13 @@ const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
 
 // ===== MIDDLEWARES =====
 
+// Confiar en el proxy (Heroku, Render, Nginx...) para obtener la IP real
+// Necesario para los límites de intentos por IP
+if (process.env.TRUST_PROXY) {
+  const trustProxy = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy);
+}
+
 // CORS - Permitir peticiones de otros dominios
 app.use(cors());
 
@@ -88,21 +98,89 @@ app.get('/', (req, res) => {
       autenticacion: {
         registro: 'POST /api/auth/registro',
         login: 'POST /api/auth/login',
+        login2FA: 'POST /api/auth/login/2fa',
         perfil: 'GET /api/auth/perfil',
         actualizarPerfil: 'PUT /api/auth/perfil',
-        cambiarPassword: 'PUT /api/auth/cambiar-password'
+        cambiarPassword: 'PUT /api/auth/cambiar-password',
+        enviarVerificacion: 'POST /api/auth/verificacion/enviar',
+        confirmarVerificacion: 'POST /api/auth/verificacion/confirmar',
+        olvidePassword: 'POST /api/auth/olvide-password',
+        restablecerPassword: 'POST /api/auth/restablecer-password',
+        refrescarToken: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        logoutTodas: 'POST /api/auth/logout-todas',
+        sesiones: 'GET /api/auth/sesiones',
+        auditoria: 'GET /api/auth/auditoria'
+      },
+      dosFactores: {
+        estado: 'GET /api/auth/2fa',
+        configurar: 'POST /api/auth/2fa/configurar',
+        activar: 'POST /api/auth/2fa/activar',
+        desactivar: 'POST /api/auth/2fa/desactivar',
+        codigosRecuperacion: 'POST /api/auth/2fa/codigos-recuperacion'
       },
       cliente: {
         generarQR: 'POST /api/cliente/generar-qr',
+        reclamarCobro: 'POST /api/cliente/reclamar-cobro',
+        activarQrOffline: 'POST /api/cliente/qr-offline',
+        desactivarQrOffline: 'DELETE /api/cliente/qr-offline',
         verPuntos: 'GET /api/cliente/puntos',
+        puntosEmpresas: 'GET /api/cliente/puntos-empresas?dias=30',
         historial: 'GET /api/cliente/historial',
-        resumen: 'GET /api/cliente/resumen'
+        resumen: 'GET /api/cliente/resumen',
+        walletApple: 'GET /api/cliente/wallet/apple',
+        walletGoogle: 'GET /api/cliente/wallet/google',
+        exportarDatos: 'GET /api/cliente/mis-datos',
+        eliminarCuenta: 'DELETE /api/cliente/cuenta'
+      },
+      walletPassKit: {
+        base: 'GET|POST|DELETE /api/wallet/apple/v1/...',
+        uso: 'webServiceURL de los pases .pkpass (lo llama Apple Wallet)'
+      },
+      qr: {
+        clavePublica: 'GET /api/qr/clave-publica',
+        renderizar: 'POST /api/qr/renderizar'
       },
       empresa: {
+        politicaExpiracion: 'PUT /api/empresa/politica-expiracion',
+        niveles: 'GET /api/empresa/niveles',
+        actualizarNiveles: 'PUT /api/empresa/niveles',
         leerQR: 'POST /api/empresa/leer-qr',
         agregarPuntos: 'POST /api/empresa/agregar-puntos',
+        marca: 'GET /api/empresa/marca',
+        actualizarMarca: 'PUT /api/empresa/marca',
         resumen: 'GET /api/empresa/resumen',
-        historial: 'GET /api/empresa/historial'
+        historial: 'GET /api/empresa/historial',
+        estadisticasQr: 'GET /api/empresa/estadisticas-qr'
+      },
+      cobrosQr: {
+        crear: 'POST /api/empresa/cobros-qr',
+        estado: 'GET /api/empresa/cobros-qr/:id',
+        cancelar: 'DELETE /api/empresa/cobros-qr/:id'
+      },
+      promociones: {
+        crear: 'POST /api/empresa/promociones',
+        listar: 'GET /api/empresa/promociones',
+        detalle: 'GET /api/empresa/promociones/:id',
+        actualizar: 'PUT /api/empresa/promociones/:id',
+        eliminar: 'DELETE /api/empresa/promociones/:id'
+      },
+      personal: {
+        crear: 'POST /api/empresa/personal',
+        listar: 'GET /api/empresa/personal',
+        actualizar: 'PUT /api/empresa/personal/:id',
+        baja: 'DELETE /api/empresa/personal/:id'
+      },
+      apiKeys: {
+        crear: 'POST /api/empresa/api-keys',
+        listar: 'GET /api/empresa/api-keys',
+        rotar: 'POST /api/empresa/api-keys/:id/rotar',
+        revocar: 'DELETE /api/empresa/api-keys/:id',
+        uso: 'Header X-API-Key: fa_... (o Authorization: Bearer fa_...)'
+      },
+      idempotencia: {
+        rutas: ['POST /api/empresa/agregar-puntos', 'POST /api/canjes'],
+        uso: 'Header Idempotency-Key: <valor único por operación>; los reintentos reciben la primera respuesta final (header Idempotent-Replayed); 409, 429 y 5xx se vuelven a ejecutar'
       },
       recompensas: {
         listar: 'GET /api/recompensas',
@@ -119,13 +197,24 @@ app.get('/', (req, res) => {
         validarCodigo: 'GET /api/canjes/validar/:codigo',
         marcarEntregado: 'PUT /api/canjes/:id/entregar',
         cancelar: 'PUT /api/canjes/:id/cancelar'
+      },
+      admin: {
+        usuarios: 'GET /api/admin/usuarios',
+        detalleUsuario: 'GET /api/admin/usuarios/:id',
+        desactivar: 'PUT /api/admin/usuarios/:id/desactivar',
+        reactivar: 'PUT /api/admin/usuarios/:id/reactivar',
+        transaccionesEmpresa: 'GET /api/admin/empresas/:id/transacciones',
+        canjesEmpresa: 'GET /api/admin/empresas/:id/canjes',
+        ajustarPuntos: 'POST /api/admin/clientes/:id/ajustar-puntos',
+        ajustes: 'GET /api/admin/ajustes',
+        auditoria: 'GET /api/admin/auditoria'
       }
     },
     websocket: {
       url: APP_URL.replace('http', 'ws'),
       eventos: {
-        cliente: ['puntos_agregados', 'canje_entregado', 'canje_cancelado'],
-        empresa: ['nuevo_canje']
+        cliente: ['puntos_agregados', 'puntos_ajustados', 'puntos_expirados', 'nivel_actualizado', 'canje_entregado', 'canje_cancelado'],
+        empresa: ['nuevo_canje', 'cobro_reclamado']
       }
     }
   });
@@ -155,6 +244,15 @@ const iniciarServidor = async () => {
     // Conectar a MongoDB Atlas
     await conectarDB();
 
+    // Cargar claves de firma de QR (falla aquí si están mal configuradas)
+    firmaQrService.cargarClaves();
+
+    // Transporte de email/SMS (obligatorio fuera de desarrollo)
+    mensajeriaService.verificarConfiguracion();
+
+    // Vencimiento periódico de puntos (EXPIRACION_PUNTOS_INTERVALO_HORAS=0 lo desactiva)
+    expiracionService.iniciar();
+
     // Iniciar servidor
     server.listen(PORT, () => {
       console.log(`
@@ -0,0 +1,158 @@
+/**
+ * =====================================================
+ * SERVICIO DE API KEYS
+ * =====================================================
+ * Archivo: src/services/apiKeyService.js
+ * Descripción: Emisión, validación, rotación y revocación
+ *              de API keys de empresa
+ *              Formato: fa_<prefijo>_<secreto>
+ * =====================================================
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const Usuario = require('../models/Usuario');
+
+const PREFIJO_CLAVE = 'fa_';
+
+class ApiKeyService {
+  /**
+   * Indica si una credencial tiene formato de API key
+   * @param {String} credencial
+   * @returns {Boolean}
+   */
+  esApiKey(credencial) {
+    return typeof credencial === 'string' && credencial.startsWith(PREFIJO_CLAVE);
+  }
+
+  /**
+   * Calcular hash SHA-256 de una clave
+   * @param {String} clave
+   * @returns {String}
+   */
+  hashClave(clave) {
+    return crypto.createHash('sha256').update(clave).digest('hex');
+  }
+
+  /**
+   * Generar una clave nueva
+   * @returns {Object} - { clave, prefijo, hash }
+   */
+  generarClave() {
+    const prefijo = crypto.randomBytes(6).toString('hex');
+    const secreto = crypto.randomBytes(32).toString('base64url');
+    const clave = `${PREFIJO_CLAVE}${prefijo}_${secreto}`;
+
+    return { clave, prefijo, hash: this.hashClave(clave) };
+  }
+
+  /**
+   * Crear una API key para una empresa
+   * @param {Object} datos - { empresa, nombre, alcances, creadoPor }
+   * @returns {Object} - { apiKey, clave } (la clave solo se devuelve aquí)
+   */
+  async crear({ empresa, nombre, alcances, creadoPor }) {
+    const { clave, prefijo, hash } = this.generarClave();
+
+    const apiKey = await ApiKey.create({
+      empresa,
+      nombre,
+      alcances,
+      prefijo,
+      hash,
+      creadoPor
+    });
+
+    return { apiKey, clave };
+  }
+
+  /**
+   * Reemplazar el secreto de una API key (la clave anterior deja de servir)
+   * @param {String} id - ID de la API key
+   * @param {String} empresaId - Empresa dueña
+   * @returns {Object|null} - { apiKey, clave }
+   */
+  async rotar(id, empresaId) {
+    const { clave, prefijo, hash } = this.generarClave();
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: id, empresa: empresaId, revocada: false },
+      { prefijo, hash, rotadaEn: new Date() },
+      { new: true }
+    );
+
+    return apiKey ? { apiKey, clave } : null;
+  }
+
+  /**
+   * Revocar una API key
+   * @param {String} id - ID de la API key
+   * @param {String} empresaId - Empresa dueña
+   * @returns {Object|null}
+   */
+  async revocar(id, empresaId) {
+    return await ApiKey.findOneAndUpdate(
+      { _id: id, empresa: empresaId, revocada: false },
+      { revocada: true, revocadaEn: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Validar una API key recibida en una petición
+   * @param {String} clave - Clave completa
+   * @param {String} ip - IP de la petición
+   * @returns {Object} - { valido, apiKey, empresa, mensaje, codigo }
+   */
+  async autenticar(clave, ip) {
+    const partes = clave.slice(PREFIJO_CLAVE.length).split('_');
+    const prefijo = partes[0];
+
+    const apiKey = prefijo
+      ? await ApiKey.findOne({ prefijo }).select('+hash')
+      : null;
+
+    const hashRecibido = Buffer.from(this.hashClave(clave), 'hex');
+    const hashGuardado = apiKey ? Buffer.from(apiKey.hash, 'hex') : null;
+
+    if (!apiKey || !crypto.timingSafeEqual(hashRecibido, hashGuardado)) {
+      return {
+        valido: false,
+        mensaje: 'API key inválida',
+        codigo: 'INVALID_API_KEY'
+      };
+    }
+
+    if (apiKey.revocada) {
+      return {
+        valido: false,
+        mensaje: 'Esta API key fue revocada',
+        codigo: 'API_KEY_REVOKED'
+      };
+    }
+
+    const empresa = await Usuario.findById(apiKey.empresa);
+
+    if (!empresa || !empresa.activo) {
+      return {
+        valido: false,
+        mensaje: 'La empresa asociada a esta API key está desactivada',
+        codigo: 'EMPRESA_INACTIVE'
+      };
+    }
+
+    // Registrar el uso
+    const ahora = new Date();
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { ultimoUso: ahora, ultimoUsoIp: ip || null }
+    );
+    apiKey.ultimoUso = ahora;
+    apiKey.ultimoUsoIp = ip || null;
+    apiKey.hash = undefined;
+
+    return { valido: true, apiKey, empresa };
+  }
+}
+
+module.exports = new ApiKeyService();
\ No newline at end of file
@@ -0,0 +1,371 @@
+/**
+ * =====================================================
+ * SERVICIO DE APPLE WALLET
+ * =====================================================
+ * Archivo: src/services/appleWalletService.js
+ * Descripción: Generación de pases .pkpass (ZIP con
+ *              pass.json, imágenes, manifest.json y la
+ *              firma PKCS#7 del manifest) y avisos push
+ *              a los dispositivos cuando el pase cambia
+ * =====================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http2 = require('http2');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { PNG } = require('pngjs');
+
+// Imágenes que puede llevar el pase (icon.png es obligatoria)
+const IMAGENES = [
+  'icon.png', 'icon@2x.png', 'icon@3x.png',
+  'logo.png', 'logo@2x.png', 'logo@3x.png',
+  'strip.png', 'strip@2x.png', 'strip@3x.png'
+];
+
+const APNS_URL = 'https://api.push.apple.com';
+
+/**
+ * Leer un PEM desde el valor de la variable o desde un archivo
+ * @param {String} valor - Contenido PEM o ruta al archivo
+ * @returns {String}
+ */
+function leerPem(valor) {
+  if (valor.includes('-----BEGIN')) {
+    return valor.replace(/\\n/g, '\n');
+  }
+  return fs.readFileSync(path.resolve(valor), 'utf8');
+}
+
+// ===== ZIP =====
+
+// Tabla CRC-32 (polinomio 0xEDB88320)
+const TABLA_CRC = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/**
+ * CRC-32 de un buffer
+ * @param {Buffer} buffer
+ * @returns {Number}
+ */
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = TABLA_CRC[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Crear un ZIP (deflate) con los archivos indicados
+ * @param {Object[]} archivos - [{ nombre, contenido: Buffer }]
+ * @returns {Buffer}
+ */
+function crearZip(archivos) {
+  const locales = [];
+  const centrales = [];
+  let desplazamiento = 0;
+
+  for (const { nombre, contenido } of archivos) {
+    const nombreBuf = Buffer.from(nombre, 'utf8');
+    const comprimido = zlib.deflateRawSync(contenido);
+    const crc = crc32(contenido);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);        // Firma de cabecera local
+    local.writeUInt16LE(20, 4);                // Versión necesaria
+    local.writeUInt16LE(0x0800, 6);            // Nombres en UTF-8
+    local.writeUInt16LE(8, 8);                 // Método: deflate
+    local.writeUInt16LE(0, 10);                // Hora
+    local.writeUInt16LE(0x21, 12);             // Fecha (1980-01-01)
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(comprimido.length, 18);
+    local.writeUInt32LE(contenido.length, 22);
+    local.writeUInt16LE(nombreBuf.length, 26);
+    local.writeUInt16LE(0, 28);                // Campo extra
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);      // Firma de directorio central
+    central.writeUInt16LE(20, 4);              // Versión que lo creó
+    central.writeUInt16LE(20, 6);              // Versión necesaria
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(comprimido.length, 20);
+    central.writeUInt32LE(contenido.length, 24);
+    central.writeUInt16LE(nombreBuf.length, 28);
+    central.writeUInt32LE(desplazamiento, 42); // Posición de la cabecera local
+
+    locales.push(local, nombreBuf, comprimido);
+    centrales.push(central, nombreBuf);
+    desplazamiento += local.length + nombreBuf.length + comprimido.length;
+  }
+
+  const directorio = Buffer.concat(centrales);
+
+  const fin = Buffer.alloc(22);
+  fin.writeUInt32LE(0x06054b50, 0);            // Fin del directorio central
+  fin.writeUInt16LE(archivos.length, 8);
+  fin.writeUInt16LE(archivos.length, 10);
+  fin.writeUInt32LE(directorio.length, 12);
+  fin.writeUInt32LE(desplazamiento, 16);
+
+  return Buffer.concat([...locales, directorio, fin]);
+}
+
+/**
+ * Ícono liso para pases sin imágenes configuradas
+ * @param {Number} lado - Tamaño en px
+ * @param {String} color - #RRGGBB
+ * @returns {Buffer}
+ */
+function crearIcono(lado, color) {
+  const png = new PNG({ width: lado, height: lado });
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+
+  for (let i = 0; i < png.data.length; i += 4) {
+    png.data[i] = r;
+    png.data[i + 1] = g;
+    png.data[i + 2] = b;
+    png.data[i + 3] = 255;
+  }
+
+  return PNG.sync.write(png);
+}
+
+class AppleWalletService {
+  constructor() {
+    this.configuracion = null;
+    this.imagenes = null;
+  }
+
+  /**
+   * Indica si están configurados el certificado y los identificadores
+   * @returns {Boolean}
+   */
+  estaConfigurado() {
+    return Boolean(
+      process.env.WALLET_APPLE_PASS_TYPE_ID &&
+      process.env.WALLET_APPLE_TEAM_ID &&
+      process.env.WALLET_APPLE_CERT &&
+      process.env.WALLET_APPLE_KEY &&
+      process.env.WALLET_APPLE_WWDR
+    );
+  }
+
+  /**
+   * Cargar (una sola vez) certificados e identificadores
+   * WALLET_APPLE_CERT / WALLET_APPLE_KEY: certificado del Pass Type ID y su clave (PEM o ruta)
+   * WALLET_APPLE_KEY_PASSWORD: contraseña de la clave (opcional)
+   * WALLET_APPLE_WWDR: certificado intermedio de Apple WWDR (PEM o ruta)
+   * @returns {Object}
+   */
+  obtenerConfiguracion() {
+    if (this.configuracion) return this.configuracion;
+
+    const certificadoPem = leerPem(process.env.WALLET_APPLE_CERT);
+    const clavePem = leerPem(process.env.WALLET_APPLE_KEY);
+    const password = process.env.WALLET_APPLE_KEY_PASSWORD;
+
+    this.configuracion = {
+      tipoPase: process.env.WALLET_APPLE_PASS_TYPE_ID,
+      equipo: process.env.WALLET_APPLE_TEAM_ID,
+      organizacion: process.env.WALLET_ORGANIZACION || 'Fidelidad Amigo',
+      colorFondo: process.env.WALLET_COLOR_FONDO || '#1E3A8A',
+      colorTexto: process.env.WALLET_COLOR_TEXTO || '#FFFFFF',
+      certificadoPem,
+      clavePem,
+      password,
+      certificado: forge.pki.certificateFromPem(certificadoPem),
+      clave: password
+        ? forge.pki.decryptRsaPrivateKey(clavePem, password)
+        : forge.pki.privateKeyFromPem(clavePem),
+      wwdr: forge.pki.certificateFromPem(leerPem(process.env.WALLET_APPLE_WWDR))
+    };
+
+    return this.configuracion;
+  }
+
+  /**
+   * Imágenes del pase
+   * WALLET_APPLE_IMAGENES: carpeta con icon.png, logo.png, strip.png (y @2x/@3x)
+   * Sin carpeta se genera un ícono liso con el color de fondo
+   * @returns {Object[]} - [{ nombre, contenido }]
+   */
+  obtenerImagenes() {
+    if (this.imagenes) return this.imagenes;
+
+    const carpeta = process.env.WALLET_APPLE_IMAGENES;
+    const imagenes = carpeta
+      ? IMAGENES
+        .filter(nombre => fs.existsSync(path.join(carpeta, nombre)))
+        .map(nombre => ({ nombre, contenido: fs.readFileSync(path.join(carpeta, nombre)) }))
+      : [];
+
+    if (!imagenes.some(imagen => imagen.nombre === 'icon.png')) {
+      const { colorFondo } = this.obtenerConfiguracion();
+      imagenes.push(
+        { nombre: 'icon.png', contenido: crearIcono(29, colorFondo) },
+        { nombre: 'icon@2x.png', contenido: crearIcono(58, colorFondo) }
+      );
+    }
+
+    this.imagenes = imagenes;
+    return imagenes;
+  }
+
+  /**
+   * Contenido de pass.json
+   * @param {Object} datos - { pase, tokenAutenticacion, cliente, urlServicio }
+   * @returns {Object}
+   */
+  construirPassJson({ pase, tokenAutenticacion, cliente, urlServicio }) {
+    const config = this.obtenerConfiguracion();
+    const empresas = (cliente.puntosPorEmpresa || []).filter(pe => pe.empresa && pe.puntos > 0);
+
+    return {
+      formatVersion: 1,
+      passTypeIdentifier: config.tipoPase,
+      teamIdentifier: config.equipo,
+      serialNumber: pase.serial,
+      organizationName: config.organizacion,
+      description: `Tarjeta de fidelidad ${config.organizacion}`,
+      logoText: config.organizacion,
+      backgroundColor: config.colorFondo,
+      foregroundColor: config.colorTexto,
+      labelColor: config.colorTexto,
+      webServiceURL: urlServicio,
+      authenticationToken: tokenAutenticacion,
+      storeCard: {
+        primaryFields: [{
+          key: 'puntos',
+          label: 'PUNTOS',
+          value: cliente.puntos,
+          changeMessage: 'Ahora tienes %@ puntos'
+        }],
+        secondaryFields: [{
+          key: 'cliente',
+          label: 'CLIENTE',
+          value: cliente.nombre
+        }],
+        backFields: [
+          ...empresas.map(pe => ({
+            key: `empresa-${pe.empresa._id || pe.empresa}`,
+            label: pe.empresa.nombreEmpresa || 'Empresa',
+            value: `${pe.puntos} puntos`
+          })),
+          {
+            key: 'aviso',
+            label: 'Sumar puntos',
+            value: 'Para sumar puntos muestra el QR de la app en caja'
+          }
+        ]
+      }
+      // Sin código de barras: el pase es fijo y los QR para sumar puntos son
+      // de un solo uso, así que las cajas no tendrían nada que validar
+    };
+  }
+
+  /**
+   * Firma PKCS#7 (separada) del manifest con el certificado del pase
+   * @param {Buffer} manifest
+   * @returns {Buffer}
+   */
+  firmarManifest(manifest) {
+    const config = this.obtenerConfiguracion();
+
+    const p7 = forge.pkcs7.createSignedData();
+    p7.content = forge.util.createBuffer(manifest.toString('binary'));
+    p7.addCertificate(config.certificado);
+    p7.addCertificate(config.wwdr);
+    p7.addSigner({
+      key: config.clave,
+      certificate: config.certificado,
+      digestAlgorithm: forge.pki.oids.sha256,
+      authenticatedAttributes: [
+        { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+        { type: forge.pki.oids.messageDigest },
+        { type: forge.pki.oids.signingTime, value: new Date() }
+      ]
+    });
+    p7.sign({ detached: true });
+
+    return Buffer.from(forge.asn1.toDer(p7.toAsn1()).getBytes(), 'binary');
+  }
+
+  /**
+   * Generar el archivo .pkpass
+   * @param {Object} datos - { pase, tokenAutenticacion, cliente, urlServicio }
+   * @returns {Buffer}
+   */
+  generarPkpass(datos) {
+    const archivos = [
+      { nombre: 'pass.json', contenido: Buffer.from(JSON.stringify(this.construirPassJson(datos))) },
+      ...this.obtenerImagenes()
+    ];
+
+    // manifest.json: SHA-1 de cada archivo
+    const manifest = Buffer.from(JSON.stringify(
+      Object.fromEntries(archivos.map(({ nombre, contenido }) => [
+        nombre,
+        crypto.createHash('sha1').update(contenido).digest('hex')
+      ]))
+    ));
+
+    return crearZip([
+      ...archivos,
+      { nombre: 'manifest.json', contenido: manifest },
+      { nombre: 'signature', contenido: this.firmarManifest(manifest) }
+    ]);
+  }
+
+  /**
+   * Avisar a los dispositivos que el pase cambió (APNs)
+   * El dispositivo responde pidiendo la versión nueva al servicio web
+   * @param {String[]} pushTokens
+   * @returns {Number} - Avisos aceptados
+   */
+  async notificarDispositivos(pushTokens) {
+    if (pushTokens.length === 0) return 0;
+
+    const config = this.obtenerConfiguracion();
+    const sesion = http2.connect(APNS_URL, {
+      cert: config.certificadoPem,
+      key: config.clavePem,
+      passphrase: config.password
+    });
+    sesion.on('error', error => console.error('Error de conexión con APNs:', error.message));
+
+    try {
+      const resultados = await Promise.all(pushTokens.map(pushToken => new Promise(resolve => {
+        const peticion = sesion.request({
+          ':method': 'POST',
+          ':path': `/3/device/${pushToken}`,
+          'apns-topic': config.tipoPase,
+          'content-type': 'application/json'
+        });
+
+        peticion.setTimeout(10000, () => peticion.close(http2.constants.NGHTTP2_CANCEL));
+        peticion.on('response', headers => resolve(headers[':status'] === 200));
+        peticion.on('error', () => resolve(false));
+        peticion.on('close', () => resolve(false));
+        peticion.end('{}');
+      })));
+
+      return resultados.filter(Boolean).length;
+    } finally {
+      sesion.close();
+    }
+  }
+}
+
+module.exports = new AppleWalletService();
\ No newline at end of file
@@ -0,0 +1,209 @@
+/**
+ * =====================================================
+ * SERVICIO DE AUDITORÍA
+ * =====================================================
+ * Archivo: src/services/auditoriaService.js
+ * Descripción: Registro y consulta de eventos de auditoría
+ *              Registrar nunca interrumpe la petición:
+ *              los errores solo se escriben en consola
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+const EventoAuditoria = require('../models/EventoAuditoria');
+
+// ===== ACCIONES AUDITADAS =====
+const ACCIONES = {
+  // Cuenta
+  REGISTRO: 'registro',
+  LOGIN: 'login',
+  LOGIN_FALLIDO: 'login_fallido',
+  LOGOUT: 'logout',
+  LOGOUT_TODAS: 'logout_todas',
+  PERFIL_ACTUALIZADO: 'perfil_actualizado',
+  PASSWORD_CAMBIADO: 'password_cambiado',
+  PASSWORD_RESTABLECIDO: 'password_restablecido',
+  CONTACTO_VERIFICADO: 'contacto_verificado',
+  DOS_FACTORES_ACTIVADO: 'dos_factores_activado',
+  DOS_FACTORES_DESACTIVADO: 'dos_factores_desactivado',
+  CODIGOS_RECUPERACION_REGENERADOS: 'codigos_recuperacion_regenerados',
+
+  // Empresa
+  QR_LEIDO: 'qr_leido',
+  PUNTOS_OTORGADOS: 'puntos_otorgados',
+  CONFIGURACION_PUNTOS: 'configuracion_puntos',
+  POLITICA_EXPIRACION: 'politica_expiracion',
+  NIVELES_ACTUALIZADOS: 'niveles_actualizados',
+  PROMOCION_CREADA: 'promocion_creada',
+  PROMOCION_ACTUALIZADA: 'promocion_actualizada',
+  PROMOCION_ELIMINADA: 'promocion_eliminada',
+  MARCA_ACTUALIZADA: 'marca_actualizada',
+  COBRO_CREADO: 'cobro_creado',
+  COBRO_CANCELADO: 'cobro_cancelado',
+
+  // Accesos de la empresa
+  API_KEY_CREADA: 'api_key_creada',
+  API_KEY_ROTADA: 'api_key_rotada',
+  API_KEY_REVOCADA: 'api_key_revocada',
+  EMPLEADO_CREADO: 'empleado_creado',
+  EMPLEADO_ACTUALIZADO: 'empleado_actualizado',
+  EMPLEADO_ELIMINADO: 'empleado_eliminado',
+
+  // Canjes
+  CANJE_CREADO: 'canje_creado',
+  CANJE_ENTREGADO: 'canje_entregado',
+  CANJE_CANCELADO: 'canje_cancelado',
+
+  // Administración
+  CUENTA_DESACTIVADA: 'cuenta_desactivada',
+  CUENTA_REACTIVADA: 'cuenta_reactivada',
+  SALDO_AJUSTADO: 'saldo_ajustado'
+};
+
+// ===== DETALLES QUE SOBREVIVEN A LA ELIMINACIÓN DE UNA CUENTA =====
+// Lista de permitidos: al anonimizar un cliente, cualquier otro campo de
+// detalles en sus eventos se borra (un campo nuevo no puede filtrar datos
+// personales). Solo deben agregarse campos sin datos personales
+const DETALLES_NO_PERSONALES = [
+  'cliente', 'empresa', 'recompensa', 'cobro', 'ajuste',
+  'codigoCanje', 'monto', 'puntos', 'puntosCanjeados', 'puntosOtorgados', 'puntosDevueltos',
+  'origen', 'medio', 'dosFactores', 'conCodigoRecuperacion', 'sesionesCerradas', 'cuentaEliminada'
+];
+
+class AuditoriaService {
+  constructor() {
+    this.acciones = ACCIONES;
+  }
+
+  /**
+   * Registrar un evento
+   * El actor y la empresa se toman de la request si no se indican
+   * @param {Object} req - Request de Express (ip, user agent, usuario)
+   * @param {String} accion - Una de ACCIONES
+   * @param {Object} opciones - { actor, empresa, objetivo: { tipo, id }, resultado, detalles }
+   */
+  async registrar(req, accion, opciones = {}) {
+    try {
+      const actor = opciones.actor !== undefined ? opciones.actor : (req.usuario || null);
+      let empresa = opciones.empresa !== undefined ? opciones.empresa : (req.empresa || null);
+
+      // Sin request autenticada (ej: login) la empresa se deduce del actor
+      if (!empresa && actor && actor.tipoUsuario === 'empresa') {
+        empresa = actor;
+      } else if (!empresa && actor && actor.tipoUsuario === 'empleado') {
+        empresa = { _id: actor.empresa };
+      }
+
+      await EventoAuditoria.create({
+        accion,
+        resultado: opciones.resultado || 'exito',
+        actor: actor ? actor._id : null,
+        actorTipo: actor ? actor.tipoUsuario : null,
+        empresa: empresa ? empresa._id : null,
+        apiKey: req.apiKey ? req.apiKey._id : null,
+        objetivo: opciones.objetivo || {},
+        ip: req.ip || null,
+        userAgent: req.get ? (req.get('user-agent') || null) : null,
+        detalles: opciones.detalles || null
+      });
+    } catch (error) {
+      console.error('Error al registrar evento de auditoría:', error.message);
+    }
+  }
+
+  /**
+   * Borrar los datos personales de un cliente de la auditoría
+   * Los eventos se conservan: en los suyos (actor o, sin actor, objetivo)
+   * se borran IP y dispositivo, y en todos los que lo mencionan solo
+   * quedan los detalles de DETALLES_NO_PERSONALES
+   * @param {String} clienteId
+   */
+  async anonimizarCliente(clienteId) {
+    const id = new mongoose.Types.ObjectId(clienteId);
+    const soloNoPersonales = {
+      $set: {
+        detalles: {
+          $cond: [
+            { $eq: [{ $type: '$detalles' }, 'object'] },
+            {
+              $arrayToObject: {
+                $filter: {
+                  input: { $objectToArray: '$detalles' },
+                  cond: { $in: ['$$this.k', DETALLES_NO_PERSONALES] }
+                }
+              }
+            },
+            '$detalles'
+          ]
+        }
+      }
+    };
+
+    await EventoAuditoria.updateMany(
+      { $or: [{ actor: id }, { actor: null, 'objetivo.id': id }] },
+      [{ $set: { ip: null, userAgent: null } }, soloNoPersonales]
+    );
+
+    await EventoAuditoria.updateMany(
+      // detalles es libre (sin tipos): el ID se compara ya como ObjectId
+      { $or: [{ 'objetivo.id': id }, { 'detalles.cliente': id }] },
+      [soloNoPersonales]
+    );
+  }
+
+  /**
+   * Consultar eventos con paginación
+   * @param {Object} filtro - Filtro de MongoDB
+   * @param {Object} query - { accion, resultado, desde, hasta, page, limit (máx. 100) }
+   * @returns {Object} - { valido, eventos, paginacion } o { valido, mensaje, codigo }
+   */
+  async consultar(filtro, { accion, resultado, desde, hasta, page = 1, limit = 20 } = {}) {
+    const condiciones = { ...filtro };
+
+    const fechaDesde = desde ? new Date(desde) : null;
+    const fechaHasta = hasta ? new Date(hasta) : null;
+
+    if ((fechaDesde && isNaN(fechaDesde.getTime())) || (fechaHasta && isNaN(fechaHasta.getTime()))) {
+      return {
+        valido: false,
+        mensaje: 'desde y hasta deben ser fechas válidas (ej: 2025-01-31)',
+        codigo: 'INVALID_DATE'
+      };
+    }
+
+    if (accion) condiciones.accion = accion;
+    if (resultado) condiciones.resultado = resultado;
+    if (fechaDesde || fechaHasta) {
+      condiciones.createdAt = {};
+      if (fechaDesde) condiciones.createdAt.$gte = fechaDesde;
+      if (fechaHasta) condiciones.createdAt.$lte = fechaHasta;
+    }
+
+    const pagina = Math.max(1, parseInt(page) || 1);
+    const porPagina = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pagina - 1) * porPagina;
+
+    const [eventos, total] = await Promise.all([
+      EventoAuditoria.find(condiciones)
+        .populate('actor', 'nombre nombreEmpresa email tipoUsuario rolEmpleado')
+        .populate('apiKey', 'nombre prefijo')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(porPagina),
+      EventoAuditoria.countDocuments(condiciones)
+    ]);
+
+    return {
+      valido: true,
+      eventos,
+      paginacion: {
+        total,
+        pagina,
+        totalPaginas: Math.ceil(total / porPagina),
+        porPagina
+      }
+    };
+  }
+}
+
+module.exports = new AuditoriaService();
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * =====================================================
+ * SERVICIO DE COBRO QR
+ * =====================================================
+ * Archivo: src/services/cobroQrService.js
+ * Descripción: QR de compra mostrado por la empresa
+ *              El contenido va firmado (ver firmaQrService)
+ *              con el monto, y el cliente lo reclama una
+ *              sola vez desde la app
+ * =====================================================
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const CobroQr = require('../models/CobroQr');
+const Usuario = require('../models/Usuario');
+const firmaQrService = require('./firmaQrService');
+const qrRenderService = require('./qrRenderService');
+
+// Tipo de payload firmado (distingue el cobro del QR del cliente)
+const TIPO_COBRO = 'cobro';
+
+// Una reserva (en_proceso) más vieja se da por abandonada (el proceso se
+// detuvo antes de confirmar o liberar) y el cobro puede volver a reclamarse
+const SEGUNDOS_RESERVA = 120;
+
+class CobroQrService {
+  constructor() {
+    // Tiempo de expiración en segundos (default 5 minutos)
+    this.expirationSeconds = parseInt(process.env.COBRO_QR_EXPIRATION_SECONDS) || 300;
+  }
+
+  /**
+   * Generar el QR de cobro de una compra
+   * @param {Object} datos - { empresa, monto, descripcion, creadoPor, apiKey }
+   * @returns {Object} - { cobro, contenido, qrImage }
+   */
+  async crear({ empresa, monto, descripcion, creadoPor, apiKey }) {
+    const token = uuidv4();
+    const expiraEn = new Date(Date.now() + this.expirationSeconds * 1000);
+
+    const cobro = await CobroQr.create({
+      token,
+      empresa: empresa._id,
+      monto,
+      descripcion: descripcion || null,
+      creadoPor,
+      apiKey: apiKey || null,
+      expiraEn
+    });
+
+    // Contenido firmado (lo que el cliente escaneará)
+    const contenido = firmaQrService.firmar({
+      k: TIPO_COBRO,
+      t: token,
+      x: empresa._id.toString(),
+      m: monto,
+      n: empresa.nombreEmpresa,
+      e: Math.floor(expiraEn.getTime() / 1000)
+    });
+
+    const qrImage = await qrRenderService.aDataUrl(contenido);
+
+    return { cobro, contenido, qrImage };
+  }
+
+  /**
+   * Indica si un payload firmado corresponde a un cobro
+   * @param {Object} payload
+   * @returns {Boolean}
+   */
+  esPayloadCobro(payload) {
+    return Boolean(payload) && payload.k === TIPO_COBRO;
+  }
+
+  /**
+   * Filtro de los cobros que pueden reclamarse o cancelarse:
+   * pendientes o con una reserva abandonada
+   * @returns {Object}
+   */
+  filtroDisponible() {
+    return {
+      $or: [
+        { estado: 'pendiente' },
+        { estado: 'en_proceso', reclamadoEn: { $lt: new Date(Date.now() - SEGUNDOS_RESERVA * 1000) } }
+      ]
+    };
+  }
+
+  /**
+   * Motivo por el que un cobro existente no puede reclamarse
+   * @param {Object} cobro
+   * @returns {Object}
+   */
+  estadoNoDisponible(cobro) {
+    if (cobro.estado === 'reclamado') {
+      return {
+        valido: false,
+        mensaje: 'Los puntos de esta compra ya fueron reclamados',
+        codigo: 'COBRO_ALREADY_CLAIMED'
+      };
+    }
+
+    if (cobro.estado === 'cancelado') {
+      return {
+        valido: false,
+        mensaje: 'La empresa canceló este cobro',
+        codigo: 'COBRO_CANCELLED'
+      };
+    }
+
+    const reservaVigente = cobro.reclamadoEn &&
+      cobro.reclamadoEn.getTime() >= Date.now() - SEGUNDOS_RESERVA * 1000;
+
+    if (cobro.estado === 'en_proceso' && reservaVigente) {
+      return {
+        valido: false,
+        mensaje: 'Este cobro se está procesando en otro dispositivo',
+        codigo: 'COBRO_CONCURRENT_CLAIM'
+      };
+    }
+
+    return {
+      valido: false,
+      mensaje: 'El QR de cobro ha expirado. Pide a la empresa que genere uno nuevo.',
+      codigo: 'COBRO_EXPIRED'
+    };
+  }
+
+  /**
+   * Reclamar un cobro de forma atómica
+   * Solo una petición puede pasar de pendiente a en proceso
+   * @param {String} contenido - Contenido firmado escaneado
+   * @param {String} clienteId - Cliente que reclama
+   * @returns {Object} - { valido, cobro, empresa } o { valido, mensaje, codigo }
+   */
+  async reclamar(contenido, clienteId) {
+    const verificacion = firmaQrService.verificar(contenido);
+
+    if (!verificacion.valido) {
+      return {
+        valido: false,
+        mensaje: verificacion.mensaje,
+        codigo: verificacion.codigo === 'QR_EXPIRED' ? 'COBRO_EXPIRED' : verificacion.codigo
+      };
+    }
+
+    // Un QR de cliente no es un cobro
+    if (!this.esPayloadCobro(verificacion.payload)) {
+      return {
+        valido: false,
+        mensaje: 'Este código QR no es un cobro de una empresa',
+        codigo: 'QR_NOT_COBRO'
+      };
+    }
+
+    const { t: token, x: empresaId } = verificacion.payload;
+    const filtro = { token, empresa: empresaId };
+
+    const cobro = await CobroQr.findOneAndUpdate(
+      {
+        ...filtro,
+        ...this.filtroDisponible(),
+        expiraEn: { $gt: new Date() }
+      },
+      {
+        estado: 'en_proceso',
+        cliente: clienteId,
+        reclamadoEn: new Date()
+      },
+      { new: true }
+    );
+
+    if (!cobro) {
+      const existente = await CobroQr.findOne(filtro);
+
+      if (!existente) {
+        return {
+          valido: false,
+          mensaje: 'Cobro no encontrado o inválido',
+          codigo: 'COBRO_NOT_FOUND'
+        };
+      }
+
+      return this.estadoNoDisponible(existente);
+    }
+
+    const empresa = await Usuario.findById(cobro.empresa);
+
+    if (!empresa || !empresa.activo) {
+      await this.liberar(cobro);
+      return {
+        valido: false,
+        mensaje: 'La empresa no está activa',
+        codigo: 'EMPRESA_INACTIVE'
+      };
+    }
+
+    return { valido: true, cobro, empresa };
+  }
+
+  /**
+   * Marcar un cobro como reclamado (puntos ya otorgados)
+   * @param {Object} cobro - Cobro reclamado (resultado de reclamar)
+   * @param {String} transaccionId - Transacción que otorgó los puntos
+   * @param {ClientSession} session - Sesión de la transacción del otorgamiento
+   * @returns {Boolean} - false si la reserva ya no es esta (se liberó o se retomó)
+   */
+  async confirmar(cobro, transaccionId, session) {
+    const resultado = await CobroQr.updateOne(
+      { _id: cobro._id, estado: 'en_proceso', reclamadoEn: cobro.reclamadoEn },
+      { estado: 'reclamado', transaccion: transaccionId },
+      { session }
+    );
+
+    return resultado.modifiedCount > 0;
+  }
+
+  /**
+   * Devolver un cobro a pendiente si el otorgamiento falló
+   * Solo si la reserva sigue siendo la misma
+   * @param {Object} cobro - Cobro reclamado (resultado de reclamar)
+   */
+  async liberar(cobro) {
+    await CobroQr.updateOne(
+      { _id: cobro._id, estado: 'en_proceso', reclamadoEn: cobro.reclamadoEn },
+      { estado: 'pendiente', cliente: null, reclamadoEn: null }
+    );
+  }
+
+  /**
+   * Cancelar un cobro pendiente (o con una reserva abandonada)
+   * @param {String} cobroId
+   * @param {String} empresaId
+   * @returns {Object} - { valido, cobro } o { valido, mensaje, codigo }
+   */
+  async cancelar(cobroId, empresaId) {
+    const cobro = await CobroQr.findOneAndUpdate(
+      { _id: cobroId, empresa: empresaId, ...this.filtroDisponible() },
+      { estado: 'cancelado' },
+      { new: true }
+    );
+
+    if (!cobro) {
+      const existente = await CobroQr.findOne({ _id: cobroId, empresa: empresaId });
+
+      if (!existente) {
+        return {
+          valido: false,
+          mensaje: 'Cobro no encontrado',
+          codigo: 'COBRO_NOT_FOUND'
+        };
+      }
+
+      return {
+        valido: false,
+        mensaje: `No se puede cancelar un cobro en estado "${existente.estado}"`,
+        codigo: 'COBRO_NOT_PENDING'
+      };
+    }
+
+    return { valido: true, cobro };
+  }
+}
+
+module.exports = new CobroQrService();
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * =====================================================
+ * SERVICIO DE CÓDIGOS DE UN SOLO USO
+ * =====================================================
+ * Archivo: src/services/codigoService.js
+ * Descripción: Generación y verificación de códigos numéricos
+ *              con expiración, intentos limitados y un solo uso
+ * =====================================================
+ */
+
+const crypto = require('crypto');
+const CodigoVerificacion = require('../models/CodigoVerificacion');
+
+class CodigoService {
+  constructor() {
+    // Vigencia del código en minutos (default 15)
+    this.expiracionMinutos = parseInt(process.env.CODIGO_EXPIRATION_MINUTES) || 15;
+    // Intentos permitidos antes de invalidar el código
+    this.maxIntentos = 5;
+    // Segundos mínimos entre dos envíos del mismo propósito
+    this.esperaReenvioSegundos = 60;
+  }
+
+  /**
+   * Calcular hash de un código ligado al usuario
+   * @param {String} usuarioId
+   * @param {String} codigo
+   * @returns {String}
+   */
+  hashCodigo(usuarioId, codigo) {
+    return crypto
+      .createHash('sha256')
+      .update(`${usuarioId.toString()}:${codigo}`)
+      .digest('hex');
+  }
+
+  /**
+   * Generar un código nuevo (invalida los anteriores del mismo propósito)
+   * @param {Object} usuario - Documento del usuario
+   * @param {String} proposito - Propósito del código
+   * @param {String} canal - 'email' o 'sms'
+   * @returns {Object} - Código en claro y fecha de expiración
+   */
+  async generarCodigo(usuario, proposito, canal) {
+    // Código numérico de 6 dígitos
+    const codigo = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const expiraEn = new Date(Date.now() + this.expiracionMinutos * 60 * 1000);
+
+    // Solo el último código enviado es válido
+    await CodigoVerificacion.updateMany(
+      { usuario: usuario._id, proposito, usado: false },
+      { usado: true }
+    );
+
+    await CodigoVerificacion.create({
+      usuario: usuario._id,
+      proposito,
+      canal,
+      codigoHash: this.hashCodigo(usuario._id, codigo),
+      expiraEn
+    });
+
+    return { codigo, expiraEn, expiracionMinutos: this.expiracionMinutos };
+  }
+
+  /**
+   * Segundos que faltan para poder enviar otro código
+   * @param {Object} usuario - Documento del usuario
+   * @param {String} proposito - Propósito del código
+   * @returns {Number} - 0 si ya se puede reenviar
+   */
+  async tiempoEsperaReenvio(usuario, proposito) {
+    const ultimo = await CodigoVerificacion.findOne({ usuario: usuario._id, proposito })
+      .sort({ createdAt: -1 });
+
+    if (!ultimo) {
+      return 0;
+    }
+
+    const transcurridos = (Date.now() - ultimo.createdAt.getTime()) / 1000;
+    return Math.max(0, Math.ceil(this.esperaReenvioSegundos - transcurridos));
+  }
+
+  /**
+   * Verificar y consumir un código
+   * @param {Object} usuario - Documento del usuario
+   * @param {String} proposito - Propósito del código
+   * @param {String} codigo - Código ingresado
+   * @returns {Object} - Resultado de la verificación
+   */
+  async verificarCodigo(usuario, proposito, codigo) {
+    const registro = await CodigoVerificacion.findOne({
+      usuario: usuario._id,
+      proposito,
+      usado: false,
+      expiraEn: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    if (!registro) {
+      return {
+        valido: false,
+        mensaje: 'El código es inválido o ha expirado. Solicita uno nuevo',
+        codigo: 'CODE_INVALID'
+      };
+    }
+
+    // Cada intento se cuenta antes de comparar, de forma atómica: peticiones
+    // simultáneas no pueden pasar todas la revisión del máximo
+    const conIntento = await CodigoVerificacion.findOneAndUpdate(
+      { _id: registro._id, usado: false, intentos: { $lt: this.maxIntentos } },
+      { $inc: { intentos: 1 } },
+      { new: true }
+    );
+
+    if (!conIntento) {
+      return {
+        valido: false,
+        mensaje: 'Demasiados intentos. Solicita un código nuevo',
+        codigo: 'CODE_TOO_MANY_ATTEMPTS'
+      };
+    }
+
+    const hashIngresado = Buffer.from(this.hashCodigo(usuario._id, String(codigo).trim()));
+    const hashGuardado = Buffer.from(registro.codigoHash);
+
+    if (!crypto.timingSafeEqual(hashIngresado, hashGuardado)) {
+      return {
+        valido: false,
+        mensaje: 'El código es inválido o ha expirado. Solicita uno nuevo',
+        codigo: 'CODE_INVALID'
+      };
+    }
+
+    // Consumir de forma atómica (evita doble uso simultáneo)
+    const consumido = await CodigoVerificacion.findOneAndUpdate(
+      { _id: registro._id, usado: false },
+      { usado: true },
+      { new: true }
+    );
+
+    if (!consumido) {
+      return {
+        valido: false,
+        mensaje: 'El código ya fue utilizado',
+        codigo: 'CODE_USED'
+      };
+    }
+
+    return { valido: true, codigo: 'CODE_VALID' };
+  }
+}
+
+module.exports = new CodigoService();
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * =====================================================
+ * SERVICIO DE AUTENTICACIÓN EN DOS PASOS
+ * =====================================================
+ * Archivo: src/services/dosFactoresService.js
+ * Descripción: Verificación de códigos TOTP y códigos de
+ *              recuperación de un solo uso
+ * =====================================================
+ */
+
+const crypto = require('crypto');
+const Usuario = require('../models/Usuario');
+const totpService = require('./totpService');
+
+// Campos ocultos necesarios para verificar el segundo factor
+const CAMPOS_SECRETOS = '+dosFactores.secreto +dosFactores.codigosRecuperacion +dosFactores.ultimoContador';
+
+class DosFactoresService {
+  constructor() {
+    // Cantidad de códigos de recuperación por usuario
+    this.totalCodigosRecuperacion = 10;
+  }
+
+  /**
+   * Calcular hash de un código de recuperación
+   * @param {String} codigo
+   * @returns {String}
+   */
+  hashCodigoRecuperacion(codigo) {
+    const normalizado = String(codigo).toUpperCase().replace(/[^A-F0-9]/g, '');
+    return crypto.createHash('sha256').update(normalizado).digest('hex');
+  }
+
+  /**
+   * Generar códigos de recuperación (ej: A1B2-C3D4)
+   * @returns {Object} - Códigos en claro y sus hashes
+   */
+  generarCodigosRecuperacion() {
+    const codigos = [];
+    for (let i = 0; i < this.totalCodigosRecuperacion; i++) {
+      const hex = crypto.randomBytes(4).toString('hex').toUpperCase();
+      codigos.push(`${hex.slice(0, 4)}-${hex.slice(4)}`);
+    }
+
+    return {
+      codigos,
+      hashes: codigos.map(c => this.hashCodigoRecuperacion(c))
+    };
+  }
+
+  /**
+   * Verificar el segundo factor de un usuario con 2FA activo
+   * Acepta un código TOTP o un código de recuperación
+   * @param {String} usuarioId - ID del usuario
+   * @param {Object} datos
+   * @param {String} datos.codigo - Código TOTP de 6 dígitos
+   * @param {String} datos.codigoRecuperacion - Código de recuperación
+   * @returns {Object} - Resultado de la verificación
+   */
+  async verificar(usuarioId, { codigo, codigoRecuperacion }) {
+    const usuario = await Usuario.findById(usuarioId).select(CAMPOS_SECRETOS);
+
+    if (!usuario || !usuario.dosFactores || !usuario.dosFactores.activo) {
+      return {
+        valido: false,
+        mensaje: 'La autenticación en dos pasos no está activa',
+        codigo: 'TWO_FACTOR_NOT_ENABLED'
+      };
+    }
+
+    // ----- Código de recuperación -----
+    if (codigoRecuperacion) {
+      const hash = this.hashCodigoRecuperacion(codigoRecuperacion);
+
+      // $pull atómico: cada código solo puede usarse una vez
+      const actualizado = await Usuario.findOneAndUpdate(
+        { _id: usuario._id, 'dosFactores.codigosRecuperacion': hash },
+        { $pull: { 'dosFactores.codigosRecuperacion': hash } },
+        { new: true }
+      ).select('+dosFactores.codigosRecuperacion');
+
+      if (!actualizado) {
+        return {
+          valido: false,
+          mensaje: 'Código de recuperación inválido o ya utilizado',
+          codigo: 'INVALID_RECOVERY_CODE'
+        };
+      }
+
+      return {
+        valido: true,
+        // Se vuelve a leer sin los campos secretos
+        usuario: await Usuario.findById(usuario._id),
+        codigosRestantes: actualizado.dosFactores.codigosRecuperacion.length
+      };
+    }
+
+    // ----- Código TOTP -----
+    const contador = totpService.verificarCodigo(usuario.dosFactores.secreto, codigo);
+
+    if (contador === null) {
+      return {
+        valido: false,
+        mensaje: 'Código de verificación incorrecto',
+        codigo: 'INVALID_2FA_CODE'
+      };
+    }
+
+    // No aceptar dos veces el mismo código (o uno anterior)
+    const actualizado = await Usuario.findOneAndUpdate(
+      { _id: usuario._id, 'dosFactores.ultimoContador': { $lt: contador } },
+      { 'dosFactores.ultimoContador': contador },
+      { new: true }
+    );
+
+    if (!actualizado) {
+      return {
+        valido: false,
+        mensaje: 'Este código ya fue utilizado. Espera al siguiente',
+        codigo: 'TWO_FACTOR_CODE_REUSED'
+      };
+    }
+
+    return { valido: true, usuario: actualizado };
+  }
+}
+
+module.exports = new DosFactoresService();
\ No newline at end of file
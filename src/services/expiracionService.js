@@ -0,0 +1,356 @@
+/**
+ * =====================================================
+ * SERVICIO DE EXPIRACIÓN DE PUNTOS
+ * =====================================================
+ * Archivo: src/services/expiracionService.js
+ * Descripción: Vencimiento de puntos según la política
+ *              de cada empresa (Usuario.politicaExpiracion)
+ *              - desde_acumulacion: cada lote vence N meses
+ *                después de acumularse
+ *              - inactividad: todo el saldo vence tras N
+ *                meses sin movimientos en la empresa
+ *              - Tarea periódica que descuenta y registra
+ *                los vencimientos (tipo 'expiracion')
+ *              - Próximos vencimientos para el cliente
+ * =====================================================
+ */
+
+const Usuario = require('../models/Usuario');
+const LotePuntos = require('../models/LotePuntos');
+const puntosService = require('./puntosService');
+const notificacionService = require('./notificacionService');
+const walletService = require('./walletService');
+const { ejecutarTransaccion } = require('../config/database');
+
+const POLITICAS = ['ninguna', 'desde_acumulacion', 'inactividad'];
+
+/**
+ * Sumar (o restar) meses a una fecha
+ * Si el día no existe en el mes destino se usa el último (31 ene + 1 mes = 28/29 feb)
+ * @param {Date} fecha
+ * @param {Number} meses
+ * @returns {Date}
+ */
+function sumarMeses(fecha, meses) {
+  const resultado = new Date(fecha);
+  const dia = resultado.getUTCDate();
+
+  resultado.setUTCDate(1);
+  resultado.setUTCMonth(resultado.getUTCMonth() + meses);
+
+  const ultimoDia = new Date(Date.UTC(resultado.getUTCFullYear(), resultado.getUTCMonth() + 1, 0)).getUTCDate();
+  resultado.setUTCDate(Math.min(dia, ultimoDia));
+
+  return resultado;
+}
+
+class ExpiracionService {
+  constructor() {
+    this.politicas = POLITICAS;
+    // Horas entre ejecuciones de la tarea (0 = desactivada, ej: si corre por cron)
+    const horas = parseFloat(process.env.EXPIRACION_PUNTOS_INTERVALO_HORAS);
+    this.intervaloHoras = isNaN(horas) ? 24 : horas;
+    this.temporizador = null;
+    this.enEjecucion = false;
+  }
+
+  /**
+   * Política de expiración de una empresa
+   * @param {Object} empresa - Documento de la empresa
+   * @returns {Object} - { tipo, meses, vigenteDesde }
+   */
+  obtenerPolitica(empresa) {
+    const politica = empresa && empresa.politicaExpiracion;
+    return {
+      tipo: (politica && politica.tipo) || 'ninguna',
+      meses: (politica && politica.meses) || 12,
+      vigenteDesde: (politica && politica.vigenteDesde) || null
+    };
+  }
+
+  /**
+   * Fecha desde la que se cuenta el vencimiento de unos puntos
+   * El tiempo anterior a que rigiera la política no cuenta
+   * @param {Object} politica - Resultado de obtenerPolitica
+   * @param {Date} fecha - Acumulación del lote o última actividad
+   * @returns {Date}
+   */
+  inicioVencimiento(politica, fecha) {
+    return politica.vigenteDesde && politica.vigenteDesde > fecha ? politica.vigenteDesde : fecha;
+  }
+
+  /**
+   * Crear lotes para los saldos anteriores a los lotes de una empresa
+   * (al activar el vencimiento por acumulación, para que también venzan)
+   * @param {String} empresaId
+   * @returns {Number} - Lotes creados
+   */
+  async inicializarLotesEmpresa(empresaId) {
+    const cursor = Usuario.find({
+      tipoUsuario: 'cliente',
+      puntosPorEmpresa: { $elemMatch: { empresa: empresaId, puntos: { $gt: 0 } } }
+    }).select('puntosPorEmpresa').cursor();
+
+    let creados = 0;
+    for await (const cliente of cursor) {
+      creados += await puntosService.inicializarLotes(cliente, { empresaId });
+    }
+
+    return creados;
+  }
+
+  /**
+   * Iniciar la tarea periódica
+   * La primera ejecución es al minuto de arrancar (los reinicios
+   * frecuentes no deben impedir que corra)
+   */
+  iniciar() {
+    if (this.intervaloHoras <= 0 || this.temporizador) return;
+
+    const ejecutar = () => {
+      this.ejecutar().catch(error => {
+        console.error('Error en la expiración de puntos:', error.message);
+      });
+    };
+
+    setTimeout(ejecutar, 60 * 1000).unref();
+    this.temporizador = setInterval(ejecutar, this.intervaloHoras * 60 * 60 * 1000);
+    this.temporizador.unref();
+  }
+
+  /**
+   * Detener la tarea periódica
+   */
+  detener() {
+    if (this.temporizador) {
+      clearInterval(this.temporizador);
+      this.temporizador = null;
+    }
+  }
+
+  /**
+   * Vencer los puntos de todas las empresas con política de expiración
+   * Se puede ejecutar en paralelo desde varias instancias: cada
+   * vencimiento es una transacción que vuelve a revisar el saldo
+   * @param {Date} ahora
+   * @returns {Object} - { empresas, clientes, puntos, errores }
+   */
+  async ejecutar(ahora = new Date()) {
+    const resumen = { empresas: 0, clientes: 0, puntos: 0, errores: 0 };
+
+    // Una sola ejecución a la vez en este proceso
+    if (this.enEjecucion) return resumen;
+    this.enEjecucion = true;
+
+    try {
+      const empresas = await Usuario.find({
+        tipoUsuario: 'empresa',
+        'politicaExpiracion.tipo': { $in: ['desde_acumulacion', 'inactividad'] }
+      }).select('nombreEmpresa politicaExpiracion');
+
+      resumen.empresas = empresas.length;
+
+      for (const empresa of empresas) {
+        const clientes = await this.clientesConPuntosVencidos(empresa, ahora);
+
+        for (const clienteId of clientes) {
+          try {
+            const vencimiento = await this.expirarCliente(clienteId, empresa, ahora);
+            if (!vencimiento) continue;
+
+            resumen.clientes++;
+            resumen.puntos += vencimiento.puntos;
+
+            await notificacionService.notificarPuntosExpirados(clienteId, {
+              puntosExpirados: vencimiento.puntos,
+              puntosNuevos: vencimiento.puntosNuevos,
+              nombreEmpresa: empresa.nombreEmpresa
+            });
+
+            // No se espera: puede tardar
+            walletService.actualizarPases(clienteId);
+
+          } catch (error) {
+            resumen.errores++;
+            console.error(`Error al vencer puntos del cliente ${clienteId} en ${empresa._id}:`, error.message);
+          }
+        }
+      }
+
+      if (resumen.clientes > 0 || resumen.errores > 0) {
+        console.log(`⏳ Expiración de puntos: ${resumen.puntos} punto(s) de ${resumen.clientes} cliente(s), ${resumen.errores} error(es)`);
+      }
+
+      return resumen;
+
+    } finally {
+      this.enEjecucion = false;
+    }
+  }
+
+  /**
+   * Clientes con puntos vencidos en una empresa
+   * @param {Object} empresa
+   * @param {Date} ahora
+   * @returns {Array} - IDs de clientes
+   */
+  async clientesConPuntosVencidos(empresa, ahora) {
+    const politica = this.obtenerPolitica(empresa);
+    const limite = sumarMeses(ahora, -politica.meses);
+
+    // La política aún no lleva N meses vigente: nada puede haber vencido
+    if (politica.vigenteDesde && politica.vigenteDesde >= limite) return [];
+
+    if (politica.tipo === 'desde_acumulacion') {
+      return await LotePuntos.distinct('cliente', {
+        empresa: empresa._id,
+        puntosRestantes: { $gt: 0 },
+        acumuladoEn: { $lt: limite }
+      });
+    }
+
+    if (politica.tipo === 'inactividad') {
+      return await Usuario.distinct('_id', {
+        tipoUsuario: 'cliente',
+        puntosPorEmpresa: {
+          $elemMatch: {
+            empresa: empresa._id,
+            puntos: { $gt: 0 },
+            ultimaTransaccion: { $lt: limite }
+          }
+        }
+      });
+    }
+
+    return [];
+  }
+
+  /**
+   * Vencer los puntos de un cliente en una empresa (todo o nada)
+   * @param {String} clienteId
+   * @param {Object} empresa
+   * @param {Date} ahora
+   * @returns {Object|null} - { puntos, puntosNuevos } o null si no había nada que vencer
+   */
+  async expirarCliente(clienteId, empresa, ahora) {
+    const politica = this.obtenerPolitica(empresa);
+    const limite = sumarMeses(ahora, -politica.meses);
+
+    if (politica.vigenteDesde && politica.vigenteDesde >= limite) return null;
+
+    return await ejecutarTransaccion(async (session) => {
+      // Saldo dentro de la transacción: pudo cambiar desde la búsqueda
+      const cliente = await Usuario.findById(clienteId).select('puntosPorEmpresa').session(session);
+      const saldo = cliente && cliente.puntosPorEmpresa.find(
+        pe => pe.empresa && pe.empresa.toString() === empresa._id.toString()
+      );
+
+      if (!saldo || saldo.puntos <= 0) return null;
+
+      const filtroLotes = { cliente: clienteId, empresa: empresa._id, puntosRestantes: { $gt: 0 } };
+      let descripcion;
+
+      if (politica.tipo === 'inactividad') {
+        // Volvió a comprar o canjear mientras tanto
+        if (saldo.ultimaTransaccion >= limite) return null;
+        descripcion = `Puntos vencidos por ${politica.meses} mes(es) sin actividad`;
+      } else {
+        filtroLotes.acumuladoEn = { $lt: limite };
+        descripcion = `Puntos vencidos (${politica.meses} mes(es) desde su acumulación)`;
+      }
+
+      const lotes = await LotePuntos.find(filtroLotes)
+        .sort({ acumuladoEn: 1, _id: 1 })
+        .select('puntosRestantes')
+        .session(session)
+        .lean();
+
+      // Por inactividad vence todo el saldo, incluso puntos anteriores a los lotes
+      const puntosEnLotes = lotes.reduce((suma, lote) => suma + lote.puntosRestantes, 0);
+      const puntos = politica.tipo === 'inactividad'
+        ? saldo.puntos
+        : Math.min(puntosEnLotes, saldo.puntos);
+
+      if (puntos <= 0) return null;
+
+      const movimiento = await puntosService.registrarMovimiento({
+        clienteId,
+        empresaId: empresa._id,
+        tipo: 'expiracion',
+        puntos: -puntos,
+        descripcion,
+        lotes: lotes.map(lote => ({ lote: lote._id, puntos: lote.puntosRestantes }))
+      }, session);
+
+      if (!movimiento.valido) return null;
+
+      return { puntos, puntosNuevos: movimiento.cliente.puntos };
+    });
+  }
+
+  /**
+   * Próximos vencimientos de un cliente por empresa
+   * @param {Object} cliente - Documento con puntosPorEmpresa.empresa poblado
+   *                           (incluyendo politicaExpiracion)
+   * @param {Number} dias - Días hacia adelante que se consideran
+   * @returns {Map} - empresaId → { politica, vencimientos: [{ fecha, puntos }], puntosPorVencer }
+   */
+  async proximosVencimientos(cliente, dias) {
+    const hasta = new Date(Date.now() + dias * 24 * 60 * 60 * 1000);
+    const resultado = new Map();
+
+    const saldos = (cliente.puntosPorEmpresa || []).filter(pe => pe.empresa && pe.puntos > 0);
+    const porAcumulacion = saldos.filter(pe => this.obtenerPolitica(pe.empresa).tipo === 'desde_acumulacion');
+
+    // Lotes de todas las empresas con vencimiento por acumulación en una consulta
+    const lotes = porAcumulacion.length === 0 ? [] : await LotePuntos.find({
+      cliente: cliente._id,
+      empresa: { $in: porAcumulacion.map(pe => pe.empresa._id) },
+      puntosRestantes: { $gt: 0 }
+    })
+      .sort({ acumuladoEn: 1 })
+      .select('empresa puntosRestantes acumuladoEn')
+      .lean();
+
+    for (const pe of saldos) {
+      const politica = this.obtenerPolitica(pe.empresa);
+      if (politica.tipo === 'ninguna') continue;
+
+      const porFecha = new Map();
+
+      if (politica.tipo === 'inactividad') {
+        porFecha.set('', {
+          fecha: sumarMeses(this.inicioVencimiento(politica, pe.ultimaTransaccion), politica.meses),
+          puntos: pe.puntos
+        });
+      } else {
+        for (const lote of lotes) {
+          if (lote.empresa.toString() !== pe.empresa._id.toString()) continue;
+
+          // Lotes del mismo día se muestran juntos
+          const fecha = sumarMeses(this.inicioVencimiento(politica, lote.acumuladoEn), politica.meses);
+          const dia = fecha.toISOString().slice(0, 10);
+          const actual = porFecha.get(dia);
+
+          if (actual) {
+            actual.puntos += lote.puntosRestantes;
+          } else {
+            porFecha.set(dia, { fecha, puntos: lote.puntosRestantes });
+          }
+        }
+      }
+
+      const vencimientos = [...porFecha.values()].filter(vencimiento => vencimiento.fecha <= hasta);
+
+      resultado.set(pe.empresa._id.toString(), {
+        politica,
+        vencimientos,
+        puntosPorVencer: vencimientos.reduce((suma, vencimiento) => suma + vencimiento.puntos, 0)
+      });
+    }
+
+    return resultado;
+  }
+}
+
+module.exports = new ExpiracionService();
\ No newline at end of file
@@ -0,0 +1,165 @@
+/**
+ * =====================================================
+ * SERVICIO DE FIRMA DE QR
+ * =====================================================
+ * Archivo: src/services/firmaQrService.js
+ * Descripción: Firma Ed25519 del contenido de los QR
+ *              Formato: FA1.<payload base64url>.<firma base64url>
+ *              Los escáneres pueden verificar sin conexión
+ *              con la clave pública (GET /api/qr/clave-publica)
+ * =====================================================
+ */
+
+const crypto = require('crypto');
+
+// Versión del formato (prefijo del contenido)
+const VERSION = 'FA1';
+
+/**
+ * Leer una clave en PEM o en DER codificado en base64
+ * @param {String} valor
+ * @param {String} tipo - 'pkcs8' (privada) o 'spki' (pública)
+ * @returns {KeyObject}
+ */
+function leerClave(valor, tipo) {
+  const pem = valor.includes('-----BEGIN');
+  const opciones = pem
+    ? { key: valor.replace(/\\n/g, '\n'), format: 'pem' }
+    : { key: Buffer.from(valor, 'base64'), format: 'der', type: tipo };
+
+  return tipo === 'pkcs8' ? crypto.createPrivateKey(opciones) : crypto.createPublicKey(opciones);
+}
+
+class FirmaQrService {
+  constructor() {
+    this.version = VERSION;
+    this.clavePrivada = null;
+    this.clavePublicaObj = null;
+  }
+
+  /**
+   * Cargar (una sola vez) el par de claves
+   * QR_FIRMA_CLAVE_PRIVADA: clave Ed25519 en PEM o DER base64 (pkcs8)
+   * Sin ella se genera un par temporal: los QR dejan de validar al
+   * reiniciar el servidor y cada instancia tiene una clave distinta
+   */
+  cargarClaves() {
+    if (this.clavePrivada) return;
+
+    if (process.env.QR_FIRMA_CLAVE_PRIVADA) {
+      this.clavePrivada = leerClave(process.env.QR_FIRMA_CLAVE_PRIVADA, 'pkcs8');
+      this.clavePublicaObj = crypto.createPublicKey(this.clavePrivada);
+      return;
+    }
+
+    console.warn('⚠️  QR_FIRMA_CLAVE_PRIVADA no configurada: se usará una clave temporal para firmar QR');
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    this.clavePrivada = privateKey;
+    this.clavePublicaObj = publicKey;
+  }
+
+  /**
+   * Firmar un payload
+   * @param {Object} payload
+   * @returns {String} - Contenido firmado
+   */
+  firmar(payload) {
+    this.cargarClaves();
+
+    const cuerpo = `${VERSION}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+    const firma = crypto.sign(null, Buffer.from(cuerpo), this.clavePrivada);
+
+    return `${cuerpo}.${firma.toString('base64url')}`;
+  }
+
+  /**
+   * Indica si un contenido tiene el formato firmado
+   * @param {String} contenido
+   * @returns {Boolean}
+   */
+  esContenidoFirmado(contenido) {
+    return typeof contenido === 'string' && contenido.startsWith(`${VERSION}.`);
+  }
+
+  /**
+   * Verificar firma y expiración de un contenido
+   * @param {String} contenido
+   * @returns {Object} - { valido, payload, mensaje, codigo }
+   */
+  verificar(contenido) {
+    this.cargarClaves();
+
+    const partes = String(contenido || '').split('.');
+
+    if (partes.length !== 3 || partes[0] !== VERSION) {
+      return {
+        valido: false,
+        mensaje: 'El contenido del QR no tiene un formato reconocido',
+        codigo: 'QR_INVALID_FORMAT'
+      };
+    }
+
+    const cuerpo = `${partes[0]}.${partes[1]}`;
+    const firmaValida = crypto.verify(
+      null,
+      Buffer.from(cuerpo),
+      this.clavePublicaObj,
+      Buffer.from(partes[2], 'base64url')
+    );
+
+    if (!firmaValida) {
+      return {
+        valido: false,
+        mensaje: 'La firma del código QR no es válida',
+        codigo: 'QR_INVALID_SIGNATURE'
+      };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(partes[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      return {
+        valido: false,
+        mensaje: 'El contenido del QR no tiene un formato reconocido',
+        codigo: 'QR_INVALID_FORMAT'
+      };
+    }
+
+    if (!payload.e || payload.e * 1000 < Date.now()) {
+      return {
+        valido: false,
+        mensaje: 'El código QR ha expirado. Pide al cliente que genere uno nuevo.',
+        codigo: 'QR_EXPIRED'
+      };
+    }
+
+    return { valido: true, payload };
+  }
+
+  /**
+   * Clave pública para verificación fuera de línea
+   * @returns {Object} - { algoritmo, formato, pem, jwk }
+   */
+  obtenerClavePublica() {
+    this.cargarClaves();
+
+    return {
+      algoritmo: 'Ed25519',
+      formato: `${VERSION}.<payload base64url>.<firma base64url>`,
+      campos: {
+        t: 'Token del QR',
+        c: 'ID del cliente',
+        n: 'Nombre del cliente (o de la empresa en un cobro)',
+        e: 'Expiración (segundos Unix)',
+        k: 'Tipo de QR (solo en cobros de empresa: "cobro")',
+        x: 'ID de la empresa (cobro)',
+        m: 'Monto de la compra (cobro)'
+      },
+      pem: this.clavePublicaObj.export({ type: 'spki', format: 'pem' }),
+      jwk: this.clavePublicaObj.export({ format: 'jwk' })
+    };
+  }
+}
+
+module.exports = new FirmaQrService();
\ No newline at end of file
@@ -0,0 +1,218 @@
+/**
+ * =====================================================
+ * SERVICIO DE GOOGLE WALLET
+ * =====================================================
+ * Archivo: src/services/googleWalletService.js
+ * Descripción: Objeto de lealtad (loyaltyObject) de Google
+ *              Wallet, JWT firmado (RS256) para el botón
+ *              "Guardar en Google Wallet" y actualización
+ *              del saldo mediante la API de Wallet
+ * =====================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const API_URL = 'https://walletobjects.googleapis.com/walletobjects/v1';
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const ALCANCE = 'https://www.googleapis.com/auth/wallet_object.issuer';
+
+class GoogleWalletService {
+  constructor() {
+    this.configuracion = null;
+    this.accessToken = null;
+    this.accessTokenExpira = 0;
+  }
+
+  /**
+   * Indica si están configurados el emisor y la cuenta de servicio
+   * @returns {Boolean}
+   */
+  estaConfigurado() {
+    return Boolean(process.env.WALLET_GOOGLE_ISSUER_ID && process.env.WALLET_GOOGLE_SERVICE_ACCOUNT);
+  }
+
+  /**
+   * Cargar (una sola vez) emisor y cuenta de servicio
+   * WALLET_GOOGLE_ISSUER_ID: ID de emisor de la consola de Google Pay & Wallet
+   * WALLET_GOOGLE_SERVICE_ACCOUNT: JSON de la cuenta de servicio (contenido o ruta)
+   * WALLET_GOOGLE_CLASS_ID: sufijo de la clase de lealtad (default: fidelidad_amigo)
+   * @returns {Object}
+   */
+  obtenerConfiguracion() {
+    if (this.configuracion) return this.configuracion;
+
+    const valor = process.env.WALLET_GOOGLE_SERVICE_ACCOUNT;
+    const cuenta = JSON.parse(
+      valor.trim().startsWith('{') ? valor : fs.readFileSync(path.resolve(valor), 'utf8')
+    );
+    const emisor = process.env.WALLET_GOOGLE_ISSUER_ID;
+
+    this.configuracion = {
+      emisor,
+      claseId: `${emisor}.${process.env.WALLET_GOOGLE_CLASS_ID || 'fidelidad_amigo'}`,
+      organizacion: process.env.WALLET_ORGANIZACION || 'Fidelidad Amigo',
+      colorFondo: process.env.WALLET_COLOR_FONDO || '#1E3A8A',
+      email: cuenta.client_email,
+      clavePrivada: cuenta.private_key
+    };
+
+    return this.configuracion;
+  }
+
+  /**
+   * ID del objeto de un pase (solo letras, números, '.', '_' y '-')
+   * @param {Object} pase
+   * @returns {String}
+   */
+  obtenerObjetoId(pase) {
+    return `${this.obtenerConfiguracion().emisor}.${pase.serial}`;
+  }
+
+  /**
+   * Clase de lealtad común a todas las tarjetas
+   * @returns {Object}
+   */
+  construirClase() {
+    const config = this.obtenerConfiguracion();
+
+    return {
+      id: config.claseId,
+      issuerName: config.organizacion,
+      programName: `Tarjeta ${config.organizacion}`,
+      hexBackgroundColor: config.colorFondo,
+      reviewStatus: 'UNDER_REVIEW'
+    };
+  }
+
+  /**
+   * Objeto de lealtad del cliente
+   * @param {Object} pase
+   * @param {Object} cliente
+   * @returns {Object}
+   */
+  construirObjeto(pase, cliente) {
+    const config = this.obtenerConfiguracion();
+
+    return {
+      id: this.obtenerObjetoId(pase),
+      classId: config.claseId,
+      state: 'ACTIVE',
+      accountId: pase.serial,
+      accountName: cliente.nombre,
+      loyaltyPoints: {
+        label: 'Puntos',
+        balance: { int: cliente.puntos }
+      },
+      // Sin código de barras: para sumar puntos se usa el QR de la app
+      textModulesData: [{
+        id: 'aviso',
+        header: 'Sumar puntos',
+        body: 'Para sumar puntos muestra el QR de la app en caja'
+      }]
+    };
+  }
+
+  /**
+   * JWT para "Guardar en Google Wallet" (crea clase y objeto al guardarlo)
+   * @param {Object} pase
+   * @param {Object} cliente
+   * @returns {Object} - { objeto, jwt, urlGuardar }
+   */
+  generarJwt(pase, cliente) {
+    const config = this.obtenerConfiguracion();
+    const objeto = this.construirObjeto(pase, cliente);
+
+    const token = jwt.sign(
+      {
+        iss: config.email,
+        aud: 'google',
+        typ: 'savetowallet',
+        origins: [],
+        payload: {
+          loyaltyClasses: [this.construirClase()],
+          loyaltyObjects: [objeto]
+        }
+      },
+      config.clavePrivada,
+      { algorithm: 'RS256' }
+    );
+
+    return {
+      objeto,
+      jwt: token,
+      urlGuardar: `https://pay.google.com/gp/v/save/${token}`
+    };
+  }
+
+  /**
+   * Token de acceso OAuth de la cuenta de servicio (se reutiliza hasta que expira)
+   * @returns {String}
+   */
+  async obtenerAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpira) {
+      return this.accessToken;
+    }
+
+    const config = this.obtenerConfiguracion();
+    const asercion = jwt.sign(
+      { iss: config.email, scope: ALCANCE, aud: TOKEN_URL },
+      config.clavePrivada,
+      { algorithm: 'RS256', expiresIn: '1h' }
+    );
+
+    const respuesta = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: asercion
+      })
+    });
+
+    if (!respuesta.ok) {
+      throw new Error(`No se pudo obtener token de Google (${respuesta.status})`);
+    }
+
+    const datos = await respuesta.json();
+    this.accessToken = datos.access_token;
+    // Renovar un minuto antes de que expire
+    this.accessTokenExpira = Date.now() + (datos.expires_in - 60) * 1000;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Actualizar el saldo del objeto guardado
+   * @param {Object} pase
+   * @param {Object} cliente
+   * @returns {Boolean} - false si el cliente aún no guardó el pase
+   */
+  async actualizarObjeto(pase, cliente) {
+    const accessToken = await this.obtenerAccessToken();
+    const objeto = this.construirObjeto(pase, cliente);
+
+    const respuesta = await fetch(`${API_URL}/loyaltyObject/${encodeURIComponent(objeto.id)}`, {
+      method: 'PATCH',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        accountName: objeto.accountName,
+        loyaltyPoints: objeto.loyaltyPoints
+      })
+    });
+
+    if (respuesta.status === 404) return false;
+
+    if (!respuesta.ok) {
+      throw new Error(`Google Wallet respondió ${respuesta.status}`);
+    }
+
+    return true;
+  }
+}
+
+module.exports = new GoogleWalletService();
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * =====================================================
+ * SERVICIO DE LÍMITE DE INTENTOS
+ * =====================================================
+ * Archivo: src/services/limiteIntentosService.js
+ * Descripción: Protección contra fuerza bruta
+ *              - Retraso progresivo tras varios fallos
+ *              - Bloqueo temporal al superar el máximo
+ * =====================================================
+ */
+
+const IntentoFallido = require('../models/IntentoFallido');
+
+// ===== POLÍTICAS PREDEFINIDAS =====
+const POLITICAS = {
+  // Por cuenta (email)
+  cuenta: {
+    umbralRetraso: 3,          // A partir del 3er fallo se exige esperar
+    retrasoBaseSegundos: 1,    // 1s, 2s, 4s, 8s...
+    retrasoMaxSegundos: 60,
+    umbralBloqueo: parseInt(process.env.LOGIN_MAX_INTENTOS) || 10,
+    bloqueoMinutos: parseInt(process.env.LOGIN_BLOQUEO_MINUTOS) || 15,
+    ventanaMinutos: 60         // Los fallos más viejos se olvidan
+  },
+  // Por dirección IP (más permisiva: puede ser una red compartida)
+  ip: {
+    umbralRetraso: 20,
+    retrasoBaseSegundos: 1,
+    retrasoMaxSegundos: 30,
+    umbralBloqueo: 100,
+    bloqueoMinutos: 15,
+    ventanaMinutos: 60
+  },
+  // Restablecimiento de contraseña por cuenta: cada código
+  // solicitado y cada código incorrecto cuentan
+  restablecimientoCuenta: {
+    umbralRetraso: 3,
+    retrasoBaseSegundos: 30,   // 30s, 60s, 120s...
+    retrasoMaxSegundos: 600,
+    umbralBloqueo: 10,
+    bloqueoMinutos: 60,
+    ventanaMinutos: 60
+  },
+  // Restablecimiento de contraseña por dirección IP
+  restablecimientoIp: {
+    umbralRetraso: 10,
+    retrasoBaseSegundos: 1,
+    retrasoMaxSegundos: 60,
+    umbralBloqueo: 50,
+    bloqueoMinutos: 30,
+    ventanaMinutos: 60
+  },
+  // Códigos cortos de QR capturados a mano, por empresa
+  codigoCorto: {
+    umbralRetraso: 5,
+    retrasoBaseSegundos: 1,
+    retrasoMaxSegundos: 30,
+    umbralBloqueo: 30,
+    bloqueoMinutos: 10,
+    ventanaMinutos: 15
+  },
+  // Códigos sin conexión (8 dígitos), por empresa y cliente
+  codigoOffline: {
+    umbralRetraso: 3,
+    retrasoBaseSegundos: 2,
+    retrasoMaxSegundos: 60,
+    umbralBloqueo: 10,
+    bloqueoMinutos: 30,
+    ventanaMinutos: 30
+  }
+};
+
+class LimiteIntentosService {
+  constructor() {
+    this.politicas = POLITICAS;
+  }
+
+  /**
+   * Consultar si una clave puede intentar ahora
+   * @param {String} clave - Clave del contador
+   * @param {Object} politica - Política a aplicar
+   * @returns {Object} - { permitido, motivo, esperaSegundos, bloqueadoHasta }
+   */
+  async verificar(clave, politica) {
+    const registro = await IntentoFallido.findOne({ clave });
+    const ahora = Date.now();
+
+    if (!registro) {
+      return { permitido: true };
+    }
+
+    // Bloqueo temporal vigente
+    if (registro.bloqueadoHasta && registro.bloqueadoHasta.getTime() > ahora) {
+      return {
+        permitido: false,
+        motivo: 'bloqueo',
+        bloqueadoHasta: registro.bloqueadoHasta,
+        esperaSegundos: Math.ceil((registro.bloqueadoHasta.getTime() - ahora) / 1000)
+      };
+    }
+
+    // Retraso progresivo
+    if (registro.intentos >= politica.umbralRetraso && registro.ultimoIntento) {
+      const exponente = registro.intentos - politica.umbralRetraso;
+      const retraso = Math.min(
+        politica.retrasoBaseSegundos * 2 ** exponente,
+        politica.retrasoMaxSegundos
+      );
+      const permitidoDesde = registro.ultimoIntento.getTime() + retraso * 1000;
+
+      if (permitidoDesde > ahora) {
+        return {
+          permitido: false,
+          motivo: 'retraso',
+          esperaSegundos: Math.ceil((permitidoDesde - ahora) / 1000)
+        };
+      }
+    }
+
+    return { permitido: true };
+  }
+
+  /**
+   * Registrar un intento fallido
+   * @param {String} clave - Clave del contador
+   * @param {Object} politica - Política a aplicar
+   * @returns {Object} - Registro actualizado
+   */
+  async registrarFallo(clave, politica) {
+    const ahora = new Date();
+    const inicioVentana = new Date(ahora.getTime() - politica.ventanaMinutos * 60 * 1000);
+    const finVentana = new Date(ahora.getTime() + politica.ventanaMinutos * 60 * 1000);
+
+    // Incremento atómico; si el último fallo salió de la ventana se reinicia
+    const registro = await IntentoFallido.findOneAndUpdate(
+      { clave },
+      [{
+        $set: {
+          intentos: {
+            $cond: [
+              { $lt: [{ $ifNull: ['$ultimoIntento', null] }, inicioVentana] },
+              1,
+              { $add: ['$intentos', 1] }
+            ]
+          },
+          ultimoIntento: ahora,
+          expiraEn: finVentana
+        }
+      }],
+      { new: true, upsert: true }
+    );
+
+    // Al llegar al máximo se bloquea y se reinicia el contador
+    if (registro.intentos >= politica.umbralBloqueo) {
+      const bloqueadoHasta = new Date(ahora.getTime() + politica.bloqueoMinutos * 60 * 1000);
+      return await IntentoFallido.findOneAndUpdate(
+        { clave },
+        {
+          intentos: 0,
+          bloqueadoHasta,
+          expiraEn: bloqueadoHasta > finVentana ? bloqueadoHasta : finVentana
+        },
+        { new: true }
+      );
+    }
+
+    return registro;
+  }
+
+  /**
+   * Limpiar el contador (intento exitoso o desbloqueo)
+   * @param {String} clave - Clave del contador
+   */
+  async limpiar(clave) {
+    await IntentoFallido.deleteOne({ clave });
+  }
+
+  /**
+   * Clave de login por cuenta
+   * @param {String} email
+   */
+  claveCuenta(email) {
+    return `login:cuenta:${String(email).toLowerCase()}`;
+  }
+
+  /**
+   * Clave de login por IP
+   * @param {String} ip
+   */
+  claveIp(ip) {
+    return `login:ip:${ip}`;
+  }
+
+  /**
+   * Clave de restablecimiento de contraseña por cuenta
+   * @param {String} email
+   */
+  claveRestablecimientoCuenta(email) {
+    return `restablecer:cuenta:${String(email).toLowerCase()}`;
+  }
+
+  /**
+   * Clave de restablecimiento de contraseña por IP
+   * @param {String} ip
+   */
+  claveRestablecimientoIp(ip) {
+    return `restablecer:ip:${ip}`;
+  }
+
+  /**
+   * Clave de códigos cortos de QR por empresa
+   * @param {String} empresaId
+   */
+  claveCodigoCorto(empresaId) {
+    return `codigo-corto:${empresaId}`;
+  }
+
+  /**
+   * Clave de códigos sin conexión por empresa y cliente
+   * @param {String} empresaId
+   * @param {String} clienteId
+   */
+  claveCodigoOffline(empresaId, clienteId) {
+    return `codigo-offline:${empresaId}:${clienteId}`;
+  }
+}
+
+module.exports = new LimiteIntentosService();
\ No newline at end of file
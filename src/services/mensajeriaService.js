@@ -0,0 +1,126 @@
+/**
+ * =====================================================
+ * SERVICIO DE MENSAJERÍA - Email / SMS
+ * =====================================================
+ * Archivo: src/services/mensajeriaService.js
+ * Descripción: Envío de mensajes con transportes intercambiables
+ *              - consola: imprime el mensaje (desarrollo)
+ *              - archivo: agrega el mensaje a un archivo JSONL
+ *              - módulo propio vía MENSAJERIA_TRANSPORTE_MODULO
+ *              Fuera de desarrollo el transporte debe configurarse
+ *              explícitamente (los códigos no van a la consola)
+ * =====================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ===== TRANSPORTES INCLUIDOS =====
+
+const transporteConsola = {
+  async enviar(mensaje) {
+    console.log(`\n✉️  [${mensaje.canal.toUpperCase()}] Para: ${mensaje.destino}`);
+    if (mensaje.asunto) {
+      console.log(`   Asunto: ${mensaje.asunto}`);
+    }
+    console.log(`   ${mensaje.texto}\n`);
+  }
+};
+
+const transporteArchivo = {
+  async enviar(mensaje) {
+    const archivo = path.resolve(process.env.MENSAJERIA_ARCHIVO || 'mensajes.log');
+    const linea = JSON.stringify({ ...mensaje, fecha: new Date().toISOString() });
+    await fs.promises.appendFile(archivo, `${linea}\n`);
+  }
+};
+
+class MensajeriaService {
+  constructor() {
+    this.transportes = {
+      consola: transporteConsola,
+      archivo: transporteArchivo
+    };
+    // Solo en desarrollo se usa la consola por defecto
+    const desarrollo = (process.env.NODE_ENV || 'development') === 'development';
+    this.transporteActivo = process.env.MENSAJERIA_TRANSPORTE || (desarrollo ? 'consola' : null);
+
+    // Transporte propio (ej: SMTP, proveedor de SMS)
+    // El módulo debe exportar { enviar(mensaje) }
+    if (process.env.MENSAJERIA_TRANSPORTE_MODULO) {
+      const modulo = require(path.resolve(process.env.MENSAJERIA_TRANSPORTE_MODULO));
+      this.registrarTransporte('modulo', modulo);
+      this.transporteActivo = 'modulo';
+    }
+  }
+
+  /**
+   * Verificar al iniciar el servidor que hay un transporte válido
+   * @throws {Error} - Si falta MENSAJERIA_TRANSPORTE o no existe
+   */
+  verificarConfiguracion() {
+    if (!this.transporteActivo) {
+      throw new Error('MENSAJERIA_TRANSPORTE es obligatorio fuera de desarrollo (archivo o MENSAJERIA_TRANSPORTE_MODULO)');
+    }
+
+    if (!this.transportes[this.transporteActivo]) {
+      throw new Error(`Transporte de mensajería desconocido: ${this.transporteActivo}`);
+    }
+  }
+
+  /**
+   * Registrar un transporte adicional
+   * @param {String} nombre - Nombre del transporte
+   * @param {Object} transporte - Objeto con método async enviar(mensaje)
+   */
+  registrarTransporte(nombre, transporte) {
+    if (!transporte || typeof transporte.enviar !== 'function') {
+      throw new Error(`El transporte "${nombre}" debe implementar enviar(mensaje)`);
+    }
+    this.transportes[nombre] = transporte;
+  }
+
+  /**
+   * Enviar un mensaje con el transporte configurado
+   * @param {Object} mensaje
+   * @param {String} mensaje.canal - 'email' o 'sms'
+   * @param {String} mensaje.destino - Email o teléfono
+   * @param {String} mensaje.asunto - Asunto (solo email)
+   * @param {String} mensaje.texto - Contenido del mensaje
+   * @returns {Boolean} - Si el mensaje se entregó al transporte
+   */
+  async enviar(mensaje) {
+    const transporte = this.transportes[this.transporteActivo];
+
+    if (!transporte) {
+      console.error(`❌ Transporte de mensajería desconocido o sin configurar: ${this.transporteActivo}`);
+      return false;
+    }
+
+    try {
+      await transporte.enviar(mensaje);
+      return true;
+    } catch (error) {
+      console.error('Error al enviar mensaje:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Enviar un código de un solo uso al usuario
+   * @param {Object} usuario - Documento del usuario
+   * @param {String} canal - 'email' o 'sms'
+   * @param {String} asunto - Asunto del mensaje
+   * @param {String} texto - Texto con el código
+   */
+  async enviarCodigo(usuario, canal, asunto, texto) {
+    return await this.enviar({
+      canal,
+      destino: canal === 'sms' ? usuario.telefono : usuario.email,
+      asunto,
+      texto
+    });
+  }
+}
+
+module.exports = new MensajeriaService();
\ No newline at end of file
@@ -0,0 +1,262 @@
+/**
+ * =====================================================
+ * SERVICIO DE NIVELES
+ * =====================================================
+ * Archivo: src/services/nivelService.js
+ * Descripción: Niveles de membresía por empresa
+ *              (ej: Bronce/Plata/Oro)
+ *              - Nivel según puntos ganados o monto gastado
+ *                en una ventana móvil de días
+ *              - Sube y baja solo: se evalúa en cada compra
+ *                y cada vez que se consulta
+ *              - Multiplicador de puntos por nivel
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+const Usuario = require('../models/Usuario');
+const Transaccion = require('../models/Transaccion');
+const notificacionService = require('./notificacionService');
+
+const MAXIMO_NIVELES = 10;
+
+class NivelService {
+  /**
+   * Programa de niveles de una empresa (niveles ordenados por mínimo)
+   * @param {Object} empresa - Documento de la empresa
+   * @returns {Object|null} - null si la empresa no tiene programa activo
+   */
+  obtenerPrograma(empresa) {
+    const programa = empresa && empresa.programaNiveles;
+
+    if (!programa || !programa.activo || !programa.niveles || programa.niveles.length === 0) {
+      return null;
+    }
+
+    return {
+      criterio: programa.criterio || 'puntos',
+      ventanaDias: programa.ventanaDias || 365,
+      niveles: programa.niveles
+        .map(nivel => ({ nombre: nivel.nombre, minimo: nivel.minimo, multiplicador: nivel.multiplicador || 1 }))
+        .sort((a, b) => a.minimo - b.minimo)
+    };
+  }
+
+  /**
+   * Validar un programa de niveles enviado por la empresa
+   * @param {Object} datos - { activo, criterio, ventanaDias, niveles }
+   * @returns {Object} - { valido, programa } o { valido, mensaje }
+   */
+  validarPrograma({ activo, criterio, ventanaDias, niveles }) {
+    const error = (mensaje) => ({ valido: false, mensaje });
+
+    if (!['puntos', 'gasto'].includes(criterio)) {
+      return error("criterio debe ser 'puntos' o 'gasto'");
+    }
+
+    const dias = parseInt(ventanaDias);
+    if (isNaN(dias) || dias < 1 || dias > 730) {
+      return error('ventanaDias debe ser un número entero entre 1 y 730');
+    }
+
+    if (!Array.isArray(niveles) || niveles.length === 0 || niveles.length > MAXIMO_NIVELES) {
+      return error(`Se requieren entre 1 y ${MAXIMO_NIVELES} niveles`);
+    }
+
+    const normalizados = [];
+
+    for (const nivel of niveles) {
+      const nombre = typeof nivel.nombre === 'string' ? nivel.nombre.trim() : '';
+      const minimo = Number(nivel.minimo);
+      const multiplicador = nivel.multiplicador === undefined ? 1 : Number(nivel.multiplicador);
+
+      if (!nombre || nombre.length > 30) {
+        return error('Cada nivel requiere un nombre de hasta 30 caracteres');
+      }
+      if (!Number.isFinite(minimo) || minimo < 0) {
+        return error(`El mínimo del nivel ${nombre} debe ser un número mayor o igual a 0`);
+      }
+      if (!Number.isFinite(multiplicador) || multiplicador < 1 || multiplicador > 10) {
+        return error(`El multiplicador del nivel ${nombre} debe estar entre 1 y 10`);
+      }
+
+      normalizados.push({ nombre, minimo, multiplicador });
+    }
+
+    normalizados.sort((a, b) => a.minimo - b.minimo);
+
+    if (normalizados[0].minimo !== 0) {
+      return error('El primer nivel debe tener mínimo 0 (nivel inicial de todos los clientes)');
+    }
+
+    const nombres = new Set(normalizados.map(nivel => nivel.nombre.toLowerCase()));
+    const minimos = new Set(normalizados.map(nivel => nivel.minimo));
+    if (nombres.size !== normalizados.length || minimos.size !== normalizados.length) {
+      return error('Los nombres y los mínimos de los niveles no se pueden repetir');
+    }
+
+    return {
+      valido: true,
+      programa: {
+        activo: activo === undefined ? true : activo === true || activo === 'true',
+        criterio,
+        ventanaDias: dias,
+        niveles: normalizados
+      }
+    };
+  }
+
+  /**
+   * Puntos ganados o monto gastado por el cliente en la ventana
+   * Los puntos son los base: el multiplicador del nivel y las promociones
+   * no cuentan para calificar
+   * @param {String} clienteId
+   * @param {String} empresaId
+   * @param {Object} programa - Resultado de obtenerPrograma
+   * @param {ClientSession} session - Opcional
+   * @returns {Number}
+   */
+  async calcularValor(clienteId, empresaId, programa, session) {
+    const desde = new Date(Date.now() - programa.ventanaDias * 24 * 60 * 60 * 1000);
+    const campo = programa.criterio === 'gasto'
+      ? '$monto'
+      // Transacciones anteriores a puntosBase: los puntos otorgados
+      : { $ifNull: ['$puntosBase', '$puntosOtorgados'] };
+
+    const [resultado] = await Transaccion.aggregate([
+      {
+        $match: {
+          cliente: new mongoose.Types.ObjectId(clienteId),
+          empresa: new mongoose.Types.ObjectId(empresaId),
+          createdAt: { $gte: desde }
+        }
+      },
+      { $group: { _id: null, total: { $sum: campo } } }
+    ]).session(session || null);
+
+    return resultado ? resultado.total : 0;
+  }
+
+  /**
+   * Calcular el nivel actual de un cliente en una empresa
+   * @param {String} clienteId
+   * @param {Object} empresa - Documento de la empresa
+   * @param {ClientSession} session - Opcional
+   * @returns {Object|null} - { programa, valor, nivel, siguiente } o null sin programa
+   */
+  async evaluar(clienteId, empresa, session) {
+    const programa = this.obtenerPrograma(empresa);
+    if (!programa) return null;
+
+    const valor = await this.calcularValor(clienteId, empresa._id, programa, session);
+
+    // El más alto cuyo mínimo se alcanza (el primero siempre: mínimo 0)
+    const indice = programa.niveles.reduce((actual, nivel, i) => (valor >= nivel.minimo ? i : actual), 0);
+
+    return {
+      programa,
+      valor,
+      nivel: programa.niveles[indice],
+      siguiente: programa.niveles[indice + 1] || null
+    };
+  }
+
+  /**
+   * Evaluar y guardar el nivel del cliente (sube o baja según la ventana)
+   * @param {String} clienteId
+   * @param {Object} empresa - Documento de la empresa
+   * @param {ClientSession} session - Opcional
+   * @returns {Object|null} - Evaluación con { cambio: { anterior, nuevo } | null }
+   */
+  async actualizar(clienteId, empresa, session) {
+    const evaluacion = await this.evaluar(clienteId, empresa, session);
+    if (!evaluacion) return null;
+
+    const cliente = await Usuario.findById(clienteId).select('puntosPorEmpresa').session(session || null);
+    const saldo = cliente && cliente.puntosPorEmpresa.find(
+      pe => pe.empresa && pe.empresa.toString() === empresa._id.toString()
+    );
+
+    // Sin relación con la empresa todavía: no hay dónde guardarlo
+    if (!saldo) {
+      return { ...evaluacion, cambio: null };
+    }
+
+    const anterior = saldo.nivel || null;
+    if (anterior === evaluacion.nivel.nombre) {
+      return { ...evaluacion, cambio: null };
+    }
+
+    await Usuario.updateOne(
+      { _id: clienteId, 'puntosPorEmpresa.empresa': empresa._id },
+      {
+        $set: {
+          'puntosPorEmpresa.$.nivel': evaluacion.nivel.nombre,
+          'puntosPorEmpresa.$.nivelDesde': new Date()
+        }
+      },
+      { session }
+    );
+
+    // El primer nivel que se guarda no es un cambio para el cliente
+    return {
+      ...evaluacion,
+      cambio: anterior ? { anterior, nuevo: evaluacion.nivel.nombre } : null
+    };
+  }
+
+  /**
+   * Indica si un cambio de nivel es un ascenso
+   * @param {Object} programa
+   * @param {Object} cambio - { anterior, nuevo }
+   * @returns {Boolean}
+   */
+  esAscenso(programa, cambio) {
+    const posicion = (nombre) => programa.niveles.findIndex(nivel => nivel.nombre === nombre);
+    return posicion(cambio.nuevo) > posicion(cambio.anterior);
+  }
+
+  /**
+   * Avisar al cliente si su nivel cambió
+   * @param {String} clienteId
+   * @param {Object} empresa - Documento de la empresa
+   * @param {Object} evaluacion - Resultado de actualizar
+   */
+  async notificarCambio(clienteId, empresa, evaluacion) {
+    if (!evaluacion || !evaluacion.cambio) return;
+
+    await notificacionService.notificarCambioNivel(clienteId, {
+      ...evaluacion.cambio,
+      ascenso: this.esAscenso(evaluacion.programa, evaluacion.cambio),
+      multiplicador: evaluacion.nivel.multiplicador,
+      nombreEmpresa: empresa.nombreEmpresa
+    });
+  }
+
+  /**
+   * Formato público del nivel para las respuestas
+   * @param {Object} evaluacion - Resultado de evaluar o actualizar
+   * @returns {Object|null}
+   */
+  formatear(evaluacion) {
+    if (!evaluacion) return null;
+
+    const { programa, valor, nivel, siguiente } = evaluacion;
+
+    return {
+      nombre: nivel.nombre,
+      multiplicador: nivel.multiplicador,
+      criterio: programa.criterio,
+      ventanaDias: programa.ventanaDias,
+      valorActual: valor,
+      siguienteNivel: siguiente ? {
+        nombre: siguiente.nombre,
+        minimo: siguiente.minimo,
+        multiplicador: siguiente.multiplicador,
+        faltante: Math.max(0, Math.round((siguiente.minimo - valor) * 100) / 100)
+      } : null
+    };
+  }
+}
+
+module.exports = new NivelService();
\ No newline at end of file
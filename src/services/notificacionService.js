@@ -143,6 +143,36 @@ class NotificacionService {
     }
   }
 
+  /**
+   * Notificar a la empresa que un cliente reclamó su QR de cobro
+   * @param {String} empresaId - ID de la empresa
+   * @param {Object} datos - Datos del cobro
+   */
+  async notificarCobroReclamado(empresaId, datos) {
+    try {
+      const empresa = await Usuario.findById(empresaId);
+
+      if (empresa && empresa.socketId) {
+        this.io.to(empresa.socketId).emit('cobro_reclamado', {
+          tipo: 'COBRO_RECLAMADO',
+          mensaje: `${datos.clienteNombre} recibió ${datos.puntosOtorgados} puntos por su compra`,
+          datos: {
+            cobroId: datos.cobroId,
+            cliente: datos.clienteNombre,
+            monto: datos.monto,
+            puntosOtorgados: datos.puntosOtorgados,
+            fecha: new Date().toISOString()
+          }
+        });
+        return true;
+      }
+      return false;
+    } catch (error) {
+      console.error('Error al notificar cobro reclamado:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Notificar canje entregado al cliente
    * @param {String} clienteId - ID del cliente
@@ -199,6 +229,72 @@ class NotificacionService {
     }
   }
 
+  /**
+   * Notificar al cliente que subió o bajó de nivel en una empresa
+   * @param {String} clienteId - ID del cliente
+   * @param {Object} datos - { anterior, nuevo, ascenso, multiplicador, nombreEmpresa }
+   */
+  async notificarCambioNivel(clienteId, datos) {
+    if (!this.io) return false;
+
+    try {
+      const cliente = await Usuario.findById(clienteId);
+
+      if (cliente && cliente.socketId) {
+        this.io.to(cliente.socketId).emit('nivel_actualizado', {
+          tipo: 'NIVEL_ACTUALIZADO',
+          mensaje: datos.ascenso
+            ? `¡Subiste a nivel ${datos.nuevo} en ${datos.nombreEmpresa}!`
+            : `Tu nivel en ${datos.nombreEmpresa} ahora es ${datos.nuevo}`,
+          datos: {
+            nivelAnterior: datos.anterior,
+            nivelNuevo: datos.nuevo,
+            multiplicador: datos.multiplicador,
+            empresa: datos.nombreEmpresa,
+            fecha: new Date().toISOString()
+          }
+        });
+        return true;
+      }
+      return false;
+    } catch (error) {
+      console.error('Error al notificar cambio de nivel:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Notificar puntos vencidos al cliente
+   * La expiración también corre desde un script, sin Socket.io
+   * @param {String} clienteId - ID del cliente
+   * @param {Object} datos - Datos del vencimiento
+   */
+  async notificarPuntosExpirados(clienteId, datos) {
+    if (!this.io) return false;
+
+    try {
+      const cliente = await Usuario.findById(clienteId);
+
+      if (cliente && cliente.socketId) {
+        this.io.to(cliente.socketId).emit('puntos_expirados', {
+          tipo: 'PUNTOS_EXPIRADOS',
+          mensaje: `Vencieron ${datos.puntosExpirados} punto(s) en ${datos.nombreEmpresa}`,
+          datos: {
+            puntosExpirados: datos.puntosExpirados,
+            puntosNuevos: datos.puntosNuevos,
+            empresa: datos.nombreEmpresa,
+            fecha: new Date().toISOString()
+          }
+        });
+        return true;
+      }
+      return false;
+    } catch (error) {
+      console.error('Error al notificar puntos expirados:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Enviar notificación genérica a un usuario
    * @param {String} usuarioId - ID del usuario
@@ -0,0 +1,167 @@
+/**
+ * =====================================================
+ * SERVICIO DE PRIVACIDAD (DERECHOS ARCO)
+ * =====================================================
+ * Archivo: src/services/privacidadService.js
+ * Descripción: Acceso y cancelación de datos personales
+ *              de clientes (LFPDPPP)
+ *              - Exportar todo lo ligado a la cuenta
+ *              - Anonimizar la cuenta conservando el
+ *                historial financiero de las empresas
+ * =====================================================
+ */
+
+const crypto = require('crypto');
+const Usuario = require('../models/Usuario');
+const Transaccion = require('../models/Transaccion');
+const Canje = require('../models/Canje');
+const QrToken = require('../models/QrToken');
+const Sesion = require('../models/Sesion');
+const CodigoVerificacion = require('../models/CodigoVerificacion');
+const AjusteSaldo = require('../models/AjusteSaldo');
+const EventoAuditoria = require('../models/EventoAuditoria');
+const WalletPass = require('../models/WalletPass');
+const MovimientoPuntos = require('../models/MovimientoPuntos');
+const ClaveIdempotencia = require('../models/ClaveIdempotencia');
+const LotePuntos = require('../models/LotePuntos');
+const puntosService = require('./puntosService');
+const limiteIntentosService = require('./limiteIntentosService');
+const auditoriaService = require('./auditoriaService');
+
+// Nombre que verán las empresas en su historial
+const NOMBRE_ANONIMO = 'Cliente eliminado';
+
+class PrivacidadService {
+  /**
+   * Reunir todos los datos ligados a un cliente
+   * @param {String} clienteId
+   * @returns {Object}
+   */
+  async exportarDatosCliente(clienteId) {
+    const filtroEventos = { $or: [{ actor: clienteId }, { 'objetivo.id': clienteId }] };
+
+    const [perfil, transacciones, canjes, qrTokens, sesiones, ajustes, eventos, pasesWallet, movimientos, lotes] = await Promise.all([
+      Usuario.findById(clienteId)
+        .select('-password -socketId')
+        .populate('puntosPorEmpresa.empresa', 'nombreEmpresa')
+        .lean(),
+      Transaccion.find({ cliente: clienteId })
+        .select('-cliente -apiKey -registradoPor')
+        .populate('empresa', 'nombreEmpresa')
+        .sort({ createdAt: -1 })
+        .lean(),
+      Canje.find({ cliente: clienteId })
+        .select('-cliente -entregadoPor -canceladoPor')
+        .populate('empresa', 'nombreEmpresa')
+        .sort({ createdAt: -1 })
+        .lean(),
+      QrToken.find({ clienteId })
+        .select('-clienteId')
+        .populate('usadoPor', 'nombreEmpresa')
+        .sort({ createdAt: -1 })
+        .lean(),
+      Sesion.find({ usuario: clienteId })
+        .select('ip userAgent createdAt ultimoUso expiraEn revocada revocadaEn')
+        .sort({ createdAt: -1 })
+        .lean(),
+      AjusteSaldo.find({ cliente: clienteId })
+        .select('empresa puntos puntosAnteriores puntosNuevos motivo createdAt')
+        .populate('empresa', 'nombreEmpresa')
+        .sort({ createdAt: -1 })
+        .lean(),
+      EventoAuditoria.find(filtroEventos)
+        .select('accion resultado ip userAgent createdAt')
+        .sort({ createdAt: -1 })
+        .lean(),
+      WalletPass.find({ cliente: clienteId })
+        .select('plataforma serial dispositivos.registradoEn puntosEmitidos actualizadoEn createdAt')
+        .lean(),
+      MovimientoPuntos.find({ cliente: clienteId })
+        .select('-cliente')
+        .populate('empresa', 'nombreEmpresa')
+        .sort({ createdAt: -1 })
+        .lean(),
+      LotePuntos.find({ cliente: clienteId, puntosRestantes: { $gt: 0 } })
+        .select('empresa puntosIniciales puntosRestantes acumuladoEn')
+        .populate('empresa', 'nombreEmpresa')
+        .sort({ acumuladoEn: 1 })
+        .lean()
+    ]);
+
+    return {
+      generadoEn: new Date().toISOString(),
+      perfil,
+      transacciones,
+      canjes,
+      qrTokens,
+      sesiones,
+      ajustesSaldo: ajustes,
+      pasesWallet,
+      movimientosPuntos: movimientos,
+      lotesPuntos: lotes,
+      eventosAuditoria: eventos
+    };
+  }
+
+  /**
+   * Anonimizar la cuenta de un cliente
+   * Se borran sus datos personales y credenciales; las transacciones
+   * y canjes se conservan (ligados a un usuario sin datos personales)
+   * @param {String} clienteId
+   * @param {String} motivo - Motivo registrado en estadoCuenta
+   */
+  async anonimizarCliente(clienteId, motivo) {
+    const cliente = await Usuario.findById(clienteId);
+    const ahora = new Date();
+
+    // Los puntos se pierden con la cuenta: el libro lo registra para que la
+    // conciliación no los restaure
+    await puntosService.cerrarSaldos(clienteId, `Cuenta eliminada: ${motivo}`);
+
+    // updateOne omite las validaciones: nombre, curp y teléfono dejan de existir
+    await Usuario.updateOne(
+      { _id: clienteId },
+      {
+        $set: {
+          nombre: NOMBRE_ANONIMO,
+          email: `eliminado-${clienteId}@anonimo.invalid`,
+          // No es un hash bcrypt: ninguna contraseña puede coincidir
+          password: crypto.randomBytes(32).toString('hex'),
+          activo: false,
+          eliminadoEn: ahora,
+          emailVerificado: false,
+          telefonoVerificado: false,
+          puntos: 0,
+          puntosPorEmpresa: [],
+          estadoCuenta: { motivo, fecha: ahora, por: clienteId }
+        },
+        $unset: {
+          curp: '',
+          telefono: '',
+          fechaNacimiento: '',
+          sexo: '',
+          entidadNacimiento: '',
+          qrOffline: '',
+          socketId: ''
+        }
+      }
+    );
+
+    // Sesiones (guardan IP y dispositivo), QRs y códigos se eliminan;
+    // la auditoría conserva los eventos del cliente pero sin IP, dispositivo
+    // ni datos personales en los detalles
+    await Promise.all([
+      auditoriaService.anonimizarCliente(clienteId),
+      Sesion.deleteMany({ usuario: clienteId }),
+      QrToken.deleteMany({ clienteId }),
+      WalletPass.deleteMany({ cliente: clienteId }),
+      // Respuestas guardadas de sus canjes (incluyen datos de la cuenta)
+      ClaveIdempotencia.deleteMany({ propietario: clienteId }),
+      CodigoVerificacion.deleteMany({ usuario: clienteId }),
+      cliente ? limiteIntentosService.limpiar(limiteIntentosService.claveCuenta(cliente.email)) : null,
+      cliente ? limiteIntentosService.limpiar(limiteIntentosService.claveRestablecimientoCuenta(cliente.email)) : null
+    ]);
+  }
+}
+
+module.exports = new PrivacidadService();
\ No newline at end of file
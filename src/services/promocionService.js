@@ -0,0 +1,255 @@
+/**
+ * =====================================================
+ * SERVICIO DE PROMOCIONES
+ * =====================================================
+ * Archivo: src/services/promocionService.js
+ * Descripción: Reglas de puntos extra por empresa
+ *              - Validación de las reglas
+ *              - Evaluación al otorgar puntos (día, hora y
+ *                vigencia en ZONA_HORARIA)
+ *              - Cálculo de los puntos extra de cada regla
+ * =====================================================
+ */
+
+const Promocion = require('../models/Promocion');
+const Transaccion = require('../models/Transaccion');
+
+// Zona horaria de los días y horarios de las promociones
+const ZONA_HORARIA = process.env.ZONA_HORARIA || 'America/Mexico_City';
+
+const FORMATO_HORA = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DIAS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Día de la semana y hora local de una fecha
+ * @param {Date} fecha
+ * @returns {Object} - { diaSemana, hora: "HH:MM" }
+ */
+function fechaLocal(fecha) {
+  const partes = new Intl.DateTimeFormat('en-US', {
+    timeZone: ZONA_HORARIA,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(fecha);
+
+  const valor = (tipo) => partes.find(parte => parte.type === tipo).value;
+
+  return {
+    diaSemana: DIAS[valor('weekday')],
+    hora: `${valor('hour')}:${valor('minute')}`
+  };
+}
+
+class PromocionService {
+  constructor() {
+    this.zonaHoraria = ZONA_HORARIA;
+  }
+
+  /**
+   * Validar y normalizar los datos de una promoción
+   * @param {Object} datos - Cuerpo de la petición (sobre la promoción actual al editar)
+   * @returns {Object} - { valido, promocion } o { valido, mensaje }
+   */
+  validar(datos) {
+    const error = (mensaje) => ({ valido: false, mensaje });
+    const condiciones = datos.condiciones || {};
+
+    if (!datos.nombre || typeof datos.nombre !== 'string' || !datos.nombre.trim()) {
+      return error('El nombre de la promoción es obligatorio');
+    }
+
+    if (!['multiplicador', 'puntos_extra'].includes(datos.tipo)) {
+      return error("tipo debe ser 'multiplicador' o 'puntos_extra'");
+    }
+
+    const valor = Number(datos.valor);
+    if (datos.tipo === 'multiplicador' && (!Number.isFinite(valor) || valor <= 1 || valor > 10)) {
+      return error('Un multiplicador debe ser mayor a 1 y hasta 10 (2 = doble de puntos)');
+    }
+    if (datos.tipo === 'puntos_extra' && (!Number.isInteger(valor) || valor < 1)) {
+      return error('Los puntos extra deben ser un número entero mayor a 0');
+    }
+
+    const vigenciaDesde = condiciones.vigenciaDesde ? new Date(condiciones.vigenciaDesde) : null;
+    const vigenciaHasta = condiciones.vigenciaHasta ? new Date(condiciones.vigenciaHasta) : null;
+    if ((vigenciaDesde && isNaN(vigenciaDesde)) || (vigenciaHasta && isNaN(vigenciaHasta))) {
+      return error('vigenciaDesde y vigenciaHasta deben ser fechas válidas (ISO 8601)');
+    }
+    if (vigenciaDesde && vigenciaHasta && vigenciaDesde > vigenciaHasta) {
+      return error('vigenciaDesde no puede ser posterior a vigenciaHasta');
+    }
+
+    const diasSemana = condiciones.diasSemana || [];
+    if (!Array.isArray(diasSemana) || !diasSemana.every(dia => Number.isInteger(dia) && dia >= 0 && dia <= 6)) {
+      return error('diasSemana debe ser una lista de números del 0 (domingo) al 6 (sábado)');
+    }
+
+    const horaInicio = condiciones.horaInicio || null;
+    const horaFin = condiciones.horaFin || null;
+    if (Boolean(horaInicio) !== Boolean(horaFin)) {
+      return error('horaInicio y horaFin se indican juntas');
+    }
+    if (horaInicio && (!FORMATO_HORA.test(horaInicio) || !FORMATO_HORA.test(horaFin) || horaInicio === horaFin)) {
+      return error('horaInicio y horaFin deben tener formato HH:MM (24 horas) y ser distintas');
+    }
+
+    const montoMinimo = condiciones.montoMinimo === undefined || condiciones.montoMinimo === null
+      ? null
+      : Number(condiciones.montoMinimo);
+    if (montoMinimo !== null && (!Number.isFinite(montoMinimo) || montoMinimo < 0)) {
+      return error('montoMinimo debe ser un número mayor o igual a 0');
+    }
+
+    return {
+      valido: true,
+      promocion: {
+        nombre: datos.nombre.trim(),
+        descripcion: datos.descripcion || '',
+        tipo: datos.tipo,
+        valor,
+        condiciones: {
+          vigenciaDesde,
+          vigenciaHasta,
+          diasSemana: [...new Set(diasSemana)].sort(),
+          horaInicio,
+          horaFin,
+          montoMinimo,
+          primeraCompra: condiciones.primeraCompra === true || condiciones.primeraCompra === 'true'
+        },
+        activo: datos.activo === undefined ? true : datos.activo === true || datos.activo === 'true'
+      }
+    };
+  }
+
+  /**
+   * Indica si una promoción aplica a una compra (sin la condición de primera compra)
+   * @param {Object} promocion
+   * @param {Object} compra - { monto, fecha }
+   * @returns {Boolean}
+   */
+  cumpleCondiciones(promocion, { monto, fecha }) {
+    const condiciones = promocion.condiciones || {};
+    const { diaSemana, hora } = fechaLocal(fecha);
+
+    if (condiciones.vigenciaDesde && fecha < condiciones.vigenciaDesde) return false;
+    if (condiciones.vigenciaHasta && fecha > condiciones.vigenciaHasta) return false;
+
+    // Día en que empezó la franja horaria (o el de la compra si no hay franja)
+    let diaFranja = diaSemana;
+
+    if (condiciones.horaInicio && condiciones.horaFin) {
+      const cruzaMedianoche = condiciones.horaInicio > condiciones.horaFin;
+      const dentro = cruzaMedianoche
+        // Cruza la medianoche (ej: 22:00 a 02:00)
+        ? hora >= condiciones.horaInicio || hora < condiciones.horaFin
+        : hora >= condiciones.horaInicio && hora < condiciones.horaFin;
+      if (!dentro) return false;
+
+      // Pasada la medianoche la franja es la del día anterior:
+      // una promoción de viernes noche sigue valiendo el sábado a la 01:00
+      if (cruzaMedianoche && hora < condiciones.horaFin) {
+        diaFranja = (diaSemana + 6) % 7;
+      }
+    }
+
+    if (condiciones.diasSemana && condiciones.diasSemana.length > 0 && !condiciones.diasSemana.includes(diaFranja)) {
+      return false;
+    }
+
+    if (condiciones.montoMinimo !== null && condiciones.montoMinimo !== undefined && monto < condiciones.montoMinimo) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Promociones de la empresa que aplican a una compra
+   * @param {Object} datos - { clienteId, empresaId, monto, fecha }
+   * @param {ClientSession} session - Sesión de la transacción del otorgamiento
+   * @returns {Array} - Documentos de las promociones
+   */
+  async obtenerAplicables({ clienteId, empresaId, monto, fecha = new Date() }, session) {
+    const promociones = await Promocion.find({
+      empresa: empresaId,
+      activo: true,
+      $and: [
+        { $or: [{ 'condiciones.vigenciaDesde': null }, { 'condiciones.vigenciaDesde': { $lte: fecha } }] },
+        { $or: [{ 'condiciones.vigenciaHasta': null }, { 'condiciones.vigenciaHasta': { $gte: fecha } }] }
+      ]
+    }).session(session);
+
+    const candidatas = promociones.filter(promocion => this.cumpleCondiciones(promocion, { monto, fecha }));
+
+    // Primera compra: solo si aún no hay transacciones en la empresa
+    if (candidatas.some(promocion => promocion.condiciones.primeraCompra)) {
+      const yaCompro = await Transaccion.exists({ cliente: clienteId, empresa: empresaId }).session(session);
+      if (yaCompro) {
+        return candidatas.filter(promocion => !promocion.condiciones.primeraCompra);
+      }
+    }
+
+    return candidatas;
+  }
+
+  /**
+   * Calcular los puntos de una compra con sus promociones
+   * - Multiplicadores: se aplica solo el mayor (no se acumulan entre sí)
+   * - Puntos extra: se suman todos
+   * @param {Number} puntos - Puntos de la compra sin promociones
+   * @param {Array} promociones - Resultado de obtenerAplicables
+   * @returns {Object} - { puntos, aplicadas: [{ promocion, nombre, tipo, valor, puntosExtra }] }
+   */
+  aplicar(puntos, promociones) {
+    const aplicadas = [];
+    let total = puntos;
+
+    const multiplicador = promociones
+      .filter(promocion => promocion.tipo === 'multiplicador')
+      .sort((a, b) => b.valor - a.valor)[0];
+
+    if (multiplicador) {
+      total = Math.floor(puntos * multiplicador.valor);
+      aplicadas.push({
+        promocion: multiplicador._id,
+        nombre: multiplicador.nombre,
+        tipo: multiplicador.tipo,
+        valor: multiplicador.valor,
+        puntosExtra: total - puntos
+      });
+    }
+
+    for (const promocion of promociones.filter(p => p.tipo === 'puntos_extra')) {
+      total += promocion.valor;
+      aplicadas.push({
+        promocion: promocion._id,
+        nombre: promocion.nombre,
+        tipo: promocion.tipo,
+        valor: promocion.valor,
+        puntosExtra: promocion.valor
+      });
+    }
+
+    return { puntos: total, aplicadas };
+  }
+
+  /**
+   * Contar el uso de las promociones aplicadas
+   * @param {Array} aplicadas - Resultado de aplicar
+   * @param {ClientSession} session
+   */
+  async registrarUso(aplicadas, session) {
+    if (aplicadas.length === 0) return;
+
+    await Promocion.updateMany(
+      { _id: { $in: aplicadas.map(aplicada => aplicada.promocion) } },
+      { $inc: { vecesAplicada: 1 } },
+      { session }
+    );
+  }
+}
+
+module.exports = new PromocionService();
\ No newline at end of file
@@ -0,0 +1,636 @@
+/**
+ * =====================================================
+ * SERVICIO DE PUNTOS
+ * =====================================================
+ * Archivo: src/services/puntosService.js
+ * Descripción: Único punto de cambio de saldos
+ *              - Libro de movimientos (MovimientoPuntos)
+ *                y su copia en Usuario.puntos / puntosPorEmpresa
+ *              - Otorgamiento de puntos por compra, común a
+ *                todos los flujos (QR del cliente, QR de cobro)
+ *              - Lotes de puntos (FIFO) para la expiración
+ *              - Conciliación del libro contra la copia
+ * =====================================================
+ */
+
+const mongoose = require('mongoose');
+const Usuario = require('../models/Usuario');
+const Transaccion = require('../models/Transaccion');
+const MovimientoPuntos = require('../models/MovimientoPuntos');
+const LotePuntos = require('../models/LotePuntos');
+const notificacionService = require('./notificacionService');
+const walletService = require('./walletService');
+const nivelService = require('./nivelService');
+const promocionService = require('./promocionService');
+
+// Saldos iniciales: los puntos de la copia anteriores al libro de movimientos
+const DESCRIPCION_SALDO_INICIAL = 'Saldo inicial (migración al libro de movimientos)';
+const REFERENCIA_SALDO_INICIAL = 'SaldoInicial';
+
+class PuntosService {
+  /**
+   * Registrar un movimiento de puntos y actualizar la copia del saldo
+   * Los movimientos negativos nunca dejan el saldo de la empresa por debajo de 0
+   * Debe llamarse dentro de ejecutarTransaccion: si algo falla después, el
+   * movimiento y la copia se deshacen juntos
+   * @param {Object} datos
+   * @param {String} datos.clienteId
+   * @param {String} datos.empresaId
+   * @param {String} datos.tipo - acumulacion, canje, reembolso, ajuste o expiracion
+   * @param {Number} datos.puntos - Positivo suma, negativo resta
+   * @param {Object} datos.referencia - { tipo, id } del registro que lo origina
+   * @param {String} datos.descripcion
+   * @param {Array} datos.lotes - [{ lote, puntos }] a los que aplica (opcional):
+   *                              por defecto suma en un lote nuevo y resta FIFO
+   * @param {ClientSession} session - Sesión de la transacción
+   * @returns {Object} - { valido, cliente, puntosAnteriores, movimiento, lotes } o { valido, mensaje, codigo }
+   */
+  async registrarMovimiento({ clienteId, empresaId, tipo, puntos, referencia, descripcion, lotes }, session) {
+    // Un movimiento de 0 puntos (compra menor al gasto requerido) no se registra
+    if (puntos === 0) {
+      const cliente = await Usuario.findById(clienteId).session(session);
+      return { valido: true, cliente, puntosAnteriores: cliente.puntos, movimiento: null, lotes: [] };
+    }
+
+    // Primer movimiento del cliente en la empresa: antes, pasar al libro el
+    // saldo que ya tenía en la copia
+    const copia = await Usuario.findById(clienteId).select('puntos puntosPorEmpresa').session(session);
+    if (copia) {
+      await this.inicializarLibro(copia, { session, empresaId });
+    }
+
+    const cliente = await this.actualizarCopiaSaldo(clienteId, empresaId, puntos, {
+      session,
+      // Que los puntos venzan no es actividad del cliente en la empresa
+      registrarActividad: tipo !== 'expiracion'
+    });
+
+    if (!cliente) {
+      return {
+        valido: false,
+        mensaje: 'Puntos insuficientes',
+        codigo: 'INSUFFICIENT_POINTS'
+      };
+    }
+
+    const [movimiento] = await MovimientoPuntos.create([{
+      cliente: clienteId,
+      empresa: empresaId,
+      tipo,
+      puntos,
+      referencia,
+      descripcion
+    }], { session });
+
+    const lotesAfectados = puntos > 0
+      ? await this.abonarLotes({ clienteId, empresaId, puntos, referencia, lotes }, session)
+      : await this.consumirLotes({ clienteId, empresaId, puntos: -puntos, lotes }, session);
+
+    return {
+      valido: true,
+      cliente,
+      puntosAnteriores: cliente.puntos - puntos,
+      movimiento,
+      lotes: lotesAfectados
+    };
+  }
+
+  /**
+   * Sumar puntos a los lotes de un cliente
+   * Primero devuelve a los lotes indicados (canje cancelado: conservan su
+   * fecha de acumulación); el resto va a un lote nuevo
+   * @param {Object} datos - { clienteId, empresaId, puntos, referencia, lotes }
+   * @param {ClientSession} session
+   * @returns {Array} - [{ lote, puntos }]
+   */
+  async abonarLotes({ clienteId, empresaId, puntos, referencia, lotes }, session) {
+    const afectados = [];
+    let pendiente = puntos;
+
+    for (const { lote, puntos: puntosLote } of lotes || []) {
+      const devolver = Math.min(puntosLote, pendiente);
+      if (devolver <= 0) break;
+
+      // Un lote nunca supera los puntos con los que se creó
+      const resultado = await LotePuntos.updateOne(
+        {
+          _id: lote,
+          $expr: { $lte: [{ $add: ['$puntosRestantes', devolver] }, '$puntosIniciales'] }
+        },
+        { $inc: { puntosRestantes: devolver } },
+        { session }
+      );
+
+      if (resultado.modifiedCount > 0) {
+        afectados.push({ lote, puntos: devolver });
+        pendiente -= devolver;
+      }
+    }
+
+    if (pendiente > 0) {
+      const [lote] = await LotePuntos.create([{
+        cliente: clienteId,
+        empresa: empresaId,
+        puntosIniciales: pendiente,
+        puntosRestantes: pendiente,
+        referencia
+      }], { session });
+      afectados.push({ lote: lote._id, puntos: pendiente });
+    }
+
+    return afectados;
+  }
+
+  /**
+   * Restar puntos de los lotes de un cliente
+   * Usa los lotes indicados o, si no se indican, los más antiguos primero (FIFO)
+   * Si los lotes no alcanzan, el resto son puntos anteriores a los lotes
+   * (sin fecha de acumulación) y no hay nada más que descontar
+   * @param {Object} datos - { clienteId, empresaId, puntos (positivo), lotes }
+   * @param {ClientSession} session
+   * @returns {Array} - [{ lote, puntos }] consumidos
+   */
+  async consumirLotes({ clienteId, empresaId, puntos, lotes }, session) {
+    const candidatos = lotes || (await LotePuntos.find({
+      cliente: clienteId,
+      empresa: empresaId,
+      puntosRestantes: { $gt: 0 }
+    })
+      .sort({ acumuladoEn: 1, _id: 1 })
+      .select('puntosRestantes')
+      .session(session)
+      .lean())
+      .map(lote => ({ lote: lote._id, puntos: lote.puntosRestantes }));
+
+    const consumidos = [];
+    let pendiente = puntos;
+
+    for (const { lote, puntos: puntosLote } of candidatos) {
+      const tomar = Math.min(puntosLote, pendiente);
+      if (tomar <= 0) break;
+
+      const resultado = await LotePuntos.updateOne(
+        { _id: lote, puntosRestantes: { $gte: tomar } },
+        { $inc: { puntosRestantes: -tomar } },
+        { session }
+      );
+
+      if (resultado.modifiedCount > 0) {
+        consumidos.push({ lote, puntos: tomar });
+        pendiente -= tomar;
+      }
+    }
+
+    return consumidos;
+  }
+
+  /**
+   * Actualizar de forma atómica Usuario.puntos y puntosPorEmpresa
+   * @param {String} clienteId
+   * @param {String} empresaId
+   * @param {Number} puntos
+   * @param {Object} opciones - { permitirNegativo, session, registrarActividad }
+   * @returns {Object|null} - Cliente actualizado o null si no alcanza el saldo
+   */
+  async actualizarCopiaSaldo(clienteId, empresaId, puntos, { permitirNegativo = false, session, registrarActividad = true } = {}, reintento = false) {
+    const ahora = new Date();
+    const exigirSaldo = puntos < 0 && !permitirNegativo;
+
+    // La empresa ya está en puntosPorEmpresa
+    const cliente = await Usuario.findOneAndUpdate(
+      {
+        _id: clienteId,
+        ...(exigirSaldo && { puntos: { $gte: -puntos } }),
+        puntosPorEmpresa: {
+          $elemMatch: {
+            empresa: empresaId,
+            ...(exigirSaldo && { puntos: { $gte: -puntos } })
+          }
+        }
+      },
+      {
+        $inc: { puntos, 'puntosPorEmpresa.$.puntos': puntos },
+        ...(registrarActividad && { $set: { 'puntosPorEmpresa.$.ultimaTransaccion': ahora } })
+      },
+      { new: true, session }
+    );
+
+    if (cliente || exigirSaldo) return cliente;
+
+    // Primera vez con esta empresa
+    const nuevo = await Usuario.findOneAndUpdate(
+      { _id: clienteId, 'puntosPorEmpresa.empresa': { $ne: empresaId } },
+      {
+        $inc: { puntos },
+        $push: { puntosPorEmpresa: { empresa: empresaId, puntos, ultimaTransaccion: ahora } }
+      },
+      { new: true, session }
+    );
+
+    // Otra petición agregó la empresa entre ambas consultas
+    if (!nuevo && !reintento) {
+      return this.actualizarCopiaSaldo(clienteId, empresaId, puntos, { permitirNegativo, session, registrarActividad }, true);
+    }
+
+    return nuevo;
+  }
+
+  /**
+   * Saldos de un cliente calculados desde el libro de movimientos
+   * @param {String} clienteId
+   * @param {ClientSession} session - Opcional
+   * @returns {Object} - { total, porEmpresa: Map<empresaId, puntos>, movimientos }
+   */
+  async obtenerSaldos(clienteId, session = null) {
+    const grupos = await MovimientoPuntos.aggregate([
+      { $match: { cliente: new mongoose.Types.ObjectId(clienteId) } },
+      { $group: { _id: '$empresa', puntos: { $sum: '$puntos' }, movimientos: { $sum: 1 } } }
+    ]).session(session);
+
+    const porEmpresa = new Map();
+    let total = 0;
+    let movimientos = 0;
+
+    for (const grupo of grupos) {
+      total += grupo.puntos;
+      movimientos += grupo.movimientos;
+      // Los puntos sin empresa cuentan en el total pero no en ninguna empresa
+      if (grupo._id) porEmpresa.set(grupo._id.toString(), grupo.puntos);
+    }
+
+    return { total, porEmpresa, movimientos };
+  }
+
+  /**
+   * Saldos de un cliente para mostrar, siempre desde el libro
+   * Si todavía tiene saldos anteriores al libro, los registra primero
+   * @param {Object} cliente - Documento con puntos y puntosPorEmpresa
+   * @returns {Object} - { total, porEmpresa: Map<empresaId, puntos>, movimientos }
+   */
+  async obtenerSaldosCliente(cliente) {
+    try {
+      await this.inicializarLibro(cliente);
+    } catch (error) {
+      // Otra operación registró el saldo inicial al mismo tiempo
+      if (error.code !== 11000) throw error;
+    }
+
+    return this.obtenerSaldos(cliente._id);
+  }
+
+  /**
+   * Dejar en 0 todos los saldos de un cliente en el libro (cuenta eliminada)
+   * Solo escribe movimientos: quien llama pone la copia en 0
+   * @param {String} clienteId
+   * @param {String} motivo
+   */
+  async cerrarSaldos(clienteId, motivo) {
+    // Los saldos anteriores al libro también se cierran
+    const cliente = await Usuario.findById(clienteId).select('puntos puntosPorEmpresa');
+    if (cliente) {
+      await this.inicializarLibro(cliente);
+    }
+
+    const { total, porEmpresa } = await this.obtenerSaldos(clienteId);
+
+    const movimientos = [...porEmpresa]
+      .filter(([, puntos]) => puntos !== 0)
+      .map(([empresa, puntos]) => ({ cliente: clienteId, empresa, tipo: 'ajuste', puntos: -puntos, descripcion: motivo }));
+
+    // Puntos sin empresa (saldos iniciales)
+    const sinEmpresa = total - [...porEmpresa.values()].reduce((suma, puntos) => suma + puntos, 0);
+    if (sinEmpresa !== 0) {
+      movimientos.push({ cliente: clienteId, empresa: null, tipo: 'ajuste', puntos: -sinEmpresa, descripcion: motivo });
+    }
+
+    if (movimientos.length > 0) {
+      await MovimientoPuntos.insertMany(movimientos);
+    }
+
+    await LotePuntos.updateMany(
+      { cliente: clienteId, puntosRestantes: { $gt: 0 } },
+      { puntosRestantes: 0 }
+    );
+  }
+
+  /**
+   * Registrar en el libro los saldos de la copia anteriores a él
+   * Por empresa, el saldo inicial es la copia menos lo que ya suma el libro
+   * (el cliente pudo acumular o canjear antes de inicializarse). Se registra
+   * una sola vez por empresa, aunque sea de 0 puntos: a partir de ahí la
+   * copia sigue al libro
+   * @param {Object} cliente - Documento con puntos y puntosPorEmpresa
+   * @param {Object} opciones - { session, empresaId (solo esa empresa) }
+   * @returns {Number} - Movimientos creados
+   */
+  async inicializarLibro(cliente, { session = null, empresaId = null } = {}) {
+    const registradas = await MovimientoPuntos.distinct('empresa', {
+      cliente: cliente._id,
+      ...(empresaId && { empresa: empresaId }),
+      $or: [
+        { 'referencia.tipo': REFERENCIA_SALDO_INICIAL },
+        // Saldos iniciales creados antes de existir la referencia
+        { descripcion: DESCRIPCION_SALDO_INICIAL }
+      ]
+    }).session(session);
+    const conSaldoInicial = new Set(registradas.map(empresa => (empresa ? empresa.toString() : null)));
+
+    const pendientes = (cliente.puntosPorEmpresa || []).filter(pe =>
+      pe.empresa &&
+      (!empresaId || pe.empresa.toString() === empresaId.toString()) &&
+      !conSaldoInicial.has(pe.empresa.toString())
+    );
+    const incluirSinEmpresa = !empresaId && !conSaldoInicial.has(null);
+
+    if (pendientes.length === 0 && !incluirSinEmpresa) return 0;
+
+    const saldos = await this.obtenerSaldos(cliente._id, session);
+    const saldoInicial = (empresa, puntos) => ({
+      cliente: cliente._id,
+      empresa,
+      tipo: 'ajuste',
+      puntos,
+      referencia: { tipo: REFERENCIA_SALDO_INICIAL, id: null },
+      descripcion: DESCRIPCION_SALDO_INICIAL
+    });
+
+    const movimientos = pendientes.map(pe => saldoInicial(
+      pe.empresa,
+      (pe.puntos || 0) - (saldos.porEmpresa.get(pe.empresa.toString()) || 0)
+    ));
+
+    // Puntos del total que no están asignados a ninguna empresa
+    if (incluirSinEmpresa) {
+      const sumar = valores => valores.reduce((suma, puntos) => suma + (puntos || 0), 0);
+      const copiaSinEmpresa = (cliente.puntos || 0) - sumar((cliente.puntosPorEmpresa || []).map(pe => pe.puntos));
+      const libroSinEmpresa = saldos.total - sumar([...saldos.porEmpresa.values()]);
+      if (copiaSinEmpresa !== libroSinEmpresa) {
+        movimientos.push(saldoInicial(null, copiaSinEmpresa - libroSinEmpresa));
+      }
+    }
+
+    if (movimientos.length > 0) {
+      await MovimientoPuntos.insertMany(movimientos, { ordered: false, session });
+    }
+
+    return movimientos.filter(movimiento => movimiento.puntos !== 0).length;
+  }
+
+  /**
+   * Crear lotes para los puntos de un cliente que no están en ninguno
+   * (saldos anteriores a los lotes). Cuentan como acumulados hoy:
+   * nadie pierde puntos por una expiración retroactiva
+   * @param {Object} cliente - Documento con puntosPorEmpresa
+   * @param {Object} opciones - { empresaId (solo esa empresa) }
+   * @returns {Number} - Lotes creados
+   */
+  async inicializarLotes(cliente, { empresaId = null } = {}) {
+    const enLotes = await LotePuntos.aggregate([
+      { $match: { cliente: cliente._id, puntosRestantes: { $gt: 0 } } },
+      { $group: { _id: '$empresa', puntos: { $sum: '$puntosRestantes' } } }
+    ]);
+    const enLotesPorEmpresa = new Map(enLotes.map(grupo => [grupo._id.toString(), grupo.puntos]));
+
+    const lotes = (cliente.puntosPorEmpresa || [])
+      .filter(pe => pe.empresa && pe.puntos > 0)
+      .filter(pe => !empresaId || pe.empresa.toString() === empresaId.toString())
+      .map(pe => ({ empresa: pe.empresa, faltante: pe.puntos - (enLotesPorEmpresa.get(pe.empresa.toString()) || 0) }))
+      .filter(({ faltante }) => faltante > 0)
+      .map(({ empresa, faltante }) => ({
+        cliente: cliente._id,
+        empresa,
+        puntosIniciales: faltante,
+        puntosRestantes: faltante
+      }));
+
+    if (lotes.length > 0) {
+      await LotePuntos.insertMany(lotes);
+    }
+
+    return lotes.length;
+  }
+
+  /**
+   * Comparar la copia del saldo de un cliente con el libro
+   * Reparar registra antes los saldos iniciales que falten
+   * @param {String} clienteId
+   * @param {Object} opciones - { reparar, inicializar }
+   * @returns {Object} - { inicializado, diferencias, reparado }
+   */
+  async conciliarCliente(clienteId, { reparar = false, inicializar = false } = {}) {
+    const cliente = await Usuario.findById(clienteId).select('puntos puntosPorEmpresa');
+    if (!cliente) return { inicializado: false, diferencias: [], reparado: false };
+
+    let saldos = await this.obtenerSaldos(clienteId);
+    let inicializado = false;
+
+    // Reparar sin saldos iniciales dejaría en 0 los saldos anteriores al libro
+    if (inicializar || reparar) {
+      inicializado = await this.inicializarLibro(cliente) > 0;
+      if (inicializado) saldos = await this.obtenerSaldos(clienteId);
+    }
+
+    const diferencias = [];
+
+    if ((cliente.puntos || 0) !== saldos.total) {
+      diferencias.push({ empresa: null, copia: cliente.puntos || 0, libro: saldos.total });
+    }
+
+    const copiaPorEmpresa = new Map(
+      (cliente.puntosPorEmpresa || [])
+        .filter(pe => pe.empresa)
+        .map(pe => [pe.empresa.toString(), pe.puntos || 0])
+    );
+    const empresas = new Set([...copiaPorEmpresa.keys(), ...saldos.porEmpresa.keys()]);
+
+    for (const empresaId of empresas) {
+      const copia = copiaPorEmpresa.get(empresaId) || 0;
+      const libro = saldos.porEmpresa.get(empresaId) || 0;
+      if (copia !== libro) {
+        diferencias.push({ empresa: empresaId, copia, libro });
+      }
+    }
+
+    let reparado = false;
+
+    if (reparar && diferencias.length > 0) {
+      const puntosPorEmpresa = [...empresas].map(empresaId => {
+        const actual = (cliente.puntosPorEmpresa || []).find(pe => pe.empresa && pe.empresa.toString() === empresaId);
+        return {
+          empresa: empresaId,
+          puntos: saldos.porEmpresa.get(empresaId) || 0,
+          ultimaTransaccion: actual ? actual.ultimaTransaccion : new Date(),
+          // El nivel no depende del saldo: se conserva
+          nivel: actual ? actual.nivel : null,
+          nivelDesde: actual ? actual.nivelDesde : null
+        };
+      });
+
+      // Solo si la copia no cambió mientras se calculaba (no pisar operaciones en curso)
+      const resultado = await Usuario.updateOne(
+        { _id: clienteId, puntos: cliente.puntos },
+        { $set: { puntos: saldos.total, puntosPorEmpresa } }
+      );
+      reparado = resultado.modifiedCount > 0;
+    }
+
+    return { inicializado, diferencias, reparado };
+  }
+
+  /**
+   * Obtener la configuración de puntos de una empresa
+   * @param {Object} empresa - Documento de la empresa
+   * @returns {Object} - { gastoRequerido, puntosOtorgados, soloClientesVerificados }
+   */
+  obtenerConfiguracion(empresa) {
+    return empresa.configuracionPuntos || {
+      gastoRequerido: 100,
+      puntosOtorgados: 1
+    };
+  }
+
+  /**
+   * Calcular puntos para un monto
+   * @param {Object} empresa - Documento de la empresa
+   * @param {Number} monto - Monto de la compra
+   * @param {Number} multiplicador - Del nivel del cliente (default 1)
+   * @returns {Number}
+   */
+  calcularPuntos(empresa, monto, multiplicador = 1) {
+    const { gastoRequerido, puntosOtorgados } = this.obtenerConfiguracion(empresa);
+    return Math.floor(Math.floor(monto / gastoRequerido) * puntosOtorgados * multiplicador);
+  }
+
+  /**
+   * Otorgar puntos a un cliente por una compra
+   * Solo escribe en la base de datos: llamarlo dentro de ejecutarTransaccion
+   * y, ya confirmada, avisar con notificarOtorgamiento
+   * @param {Object} datos
+   * @param {String} datos.clienteId - Cliente que recibe los puntos
+   * @param {Object} datos.empresa - Documento de la empresa
+   * @param {Number} datos.monto - Monto de la compra
+   * @param {String} datos.qrToken - Referencia del QR usado
+   * @param {String} datos.origen - 'qr_cliente' o 'qr_empresa'
+   * @param {String} datos.registradoPor - Cuenta que registró la compra
+   * @param {String} datos.apiKey - API key usada (si aplica)
+   * @param {String} datos.descripcion - Descripción de la compra (opcional)
+   * @param {ClientSession} session - Sesión de la transacción
+   * @returns {Object} - { valido, mensaje, codigo } o { valido, cliente, transaccion, nivel, ... }
+   */
+  async otorgar({ clienteId, empresa, monto, qrToken, origen, registradoPor, apiKey, descripcion }, session) {
+    const empresaId = empresa._id;
+    const configuracion = this.obtenerConfiguracion(empresa);
+
+    // Obtener cliente actualizado
+    const clienteActual = await Usuario.findById(clienteId).session(session);
+
+    // La empresa puede exigir clientes con email o teléfono verificado
+    // (se revisa antes de cualquier escritura)
+    if (configuracion.soloClientesVerificados && !clienteActual.estaVerificado()) {
+      return {
+        valido: false,
+        mensaje: 'Esta empresa solo otorga puntos a clientes con email o teléfono verificado',
+        codigo: 'CLIENT_NOT_VERIFIED'
+      };
+    }
+
+    // El multiplicador es el del nivel que el cliente tenía antes de esta compra
+    const nivelAplicado = await nivelService.evaluar(clienteId, empresa, session);
+    const multiplicador = nivelAplicado ? nivelAplicado.nivel.multiplicador : 1;
+    const puntosBase = this.calcularPuntos(empresa, monto);
+
+    // ===== PROMOCIONES =====
+    // Se evalúan antes de crear la transacción (primera compra)
+    const promociones = await promocionService.obtenerAplicables({ clienteId, empresaId, monto }, session);
+    const { puntos: puntosCalculados, aplicadas: promocionesAplicadas } = promocionService.aplicar(
+      this.calcularPuntos(empresa, monto, multiplicador),
+      promociones
+    );
+
+    // El ID de la transacción se conoce antes de crearla: el movimiento la referencia
+    const transaccionId = new mongoose.Types.ObjectId();
+
+    // ===== SUMAR PUNTOS =====
+    const { cliente, puntosAnteriores } = await this.registrarMovimiento({
+      clienteId,
+      empresaId,
+      tipo: 'acumulacion',
+      puntos: puntosCalculados,
+      referencia: { tipo: 'Transaccion', id: transaccionId },
+      descripcion: descripcion || 'Compra en tienda'
+    }, session);
+
+    // ===== ACTUALIZAR ESTADÍSTICAS DE LA EMPRESA =====
+    await Usuario.findByIdAndUpdate(empresaId, {
+      $inc: {
+        totalTransacciones: 1,
+        totalIngresos: monto
+      }
+    }, { session });
+
+    // ===== CREAR REGISTRO DE TRANSACCIÓN =====
+    const transaccion = new Transaccion({
+      _id: transaccionId,
+      cliente: cliente._id,
+      empresa: empresaId,
+      monto,
+      puntosOtorgados: puntosCalculados,
+      puntosBase,
+      ...(nivelAplicado && { nivel: { nombre: nivelAplicado.nivel.nombre, multiplicador } }),
+      promocionesAplicadas,
+      puntosAnteriores,
+      puntosNuevos: cliente.puntos,
+      ...(descripcion && { descripcion }),
+      qrToken,
+      origen,
+      registradoPor,
+      apiKey: apiKey || null
+    });
+    await transaccion.save({ session });
+
+    await promocionService.registrarUso(promocionesAplicadas, session);
+
+    // ===== NIVEL =====
+    // Con esta compra el cliente puede subir de nivel
+    const nivel = await nivelService.actualizar(clienteId, empresa, session);
+
+    return {
+      valido: true,
+      cliente,
+      transaccion,
+      puntosAnteriores,
+      puntosBase,
+      multiplicador,
+      promocionesAplicadas,
+      puntosCalculados,
+      configuracion,
+      nivel
+    };
+  }
+
+  /**
+   * Avisar al cliente de un otorgamiento ya confirmado
+   * (notificación en tiempo real y tarjetas de wallet)
+   * @param {Object} resultado - Resultado de otorgar
+   * @param {Object} empresa - Documento de la empresa
+   * @param {Number} monto - Monto de la compra
+   */
+  async notificarOtorgamiento(resultado, empresa, monto) {
+    const { cliente, puntosAnteriores, puntosCalculados, nivel } = resultado;
+
+    await notificacionService.notificarPuntosAgregados(cliente._id, {
+      puntosOtorgados: puntosCalculados,
+      puntosAnteriores,
+      puntosNuevos: cliente.puntos,
+      nombreEmpresa: empresa.nombreEmpresa,
+      monto
+    });
+
+    await nivelService.notificarCambio(cliente._id, empresa, nivel);
+
+    // No se espera: puede tardar
+    walletService.actualizarPases(cliente._id);
+  }
+}
+
+module.exports = new PuntosService();
\ No newline at end of file
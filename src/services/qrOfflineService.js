@@ -0,0 +1,223 @@
+/**
+ * =====================================================
+ * SERVICIO DE QR SIN CONEXIÓN
+ * =====================================================
+ * Archivo: src/services/qrOfflineService.js
+ * Descripción: Códigos QR rotativos generados en el
+ *              dispositivo del cliente sin internet
+ *              - Semilla TOTP entregada al activar
+ *              - Formato: FO1.<clienteId>.<código de 8 dígitos>
+ *              - Tolerancia de reloj y protección contra reúso
+ *              - Límite de intentos por empresa y cliente
+ * =====================================================
+ */
+
+const Usuario = require('../models/Usuario');
+const totpService = require('./totpService');
+const limiteIntentosService = require('./limiteIntentosService');
+
+// Versión del formato (prefijo del contenido)
+const VERSION = 'FO1';
+
+// Prefijo de los tokens internos (Transaccion.qrToken)
+const PREFIJO_TOKEN = 'offline:';
+
+class QrOfflineService {
+  constructor() {
+    this.version = VERSION;
+    this.periodo = 30;
+    this.digitos = 8;
+    // Periodos de tolerancia hacia cada lado (desfase de reloj del teléfono)
+    this.ventana = parseInt(process.env.QR_OFFLINE_VENTANA) || 1;
+  }
+
+  /**
+   * Indica si un contenido es un código sin conexión
+   * @param {String} contenido
+   * @returns {Boolean}
+   */
+  esContenidoOffline(contenido) {
+    return typeof contenido === 'string' && contenido.startsWith(`${VERSION}.`);
+  }
+
+  /**
+   * Indica si un token interno corresponde a un código sin conexión
+   * @param {String} token
+   * @returns {Boolean}
+   */
+  esTokenOffline(token) {
+    return typeof token === 'string' && token.startsWith(PREFIJO_TOKEN);
+  }
+
+  /**
+   * Activar (o reemplazar) la semilla del cliente
+   * Una semilla nueva invalida la del dispositivo anterior
+   * @param {Object} cliente - Documento del cliente
+   * @returns {Object} - Datos que el dispositivo necesita para generar códigos
+   */
+  async activar(cliente) {
+    const secreto = totpService.generarSecreto();
+
+    await Usuario.findByIdAndUpdate(cliente._id, {
+      qrOffline: {
+        activo: true,
+        secreto,
+        ultimoContador: 0,
+        activadoEn: new Date()
+      }
+    });
+
+    return {
+      secreto,
+      algoritmo: 'SHA1',
+      periodo: this.periodo,
+      digitos: this.digitos,
+      clienteId: cliente._id.toString(),
+      formato: `${VERSION}.<clienteId>.<código TOTP de ${this.digitos} dígitos>`,
+      ejemplo: `${VERSION}.${cliente._id}.${totpService.generarCodigo(secreto, totpService.contadorActual(Date.now(), this.periodo), this.digitos)}`
+    };
+  }
+
+  /**
+   * Desactivar los códigos sin conexión del cliente
+   * @param {String} clienteId
+   */
+  async desactivar(clienteId) {
+    await Usuario.findByIdAndUpdate(clienteId, {
+      qrOffline: {
+        activo: false,
+        secreto: null,
+        ultimoContador: 0,
+        activadoEn: null
+      }
+    });
+  }
+
+  /**
+   * Validar un código sin conexión
+   * Los códigos incorrectos cuentan para el límite de intentos de la
+   * empresa con ese cliente: 8 dígitos no resisten la fuerza bruta
+   * @param {String} contenido - FO1.<clienteId>.<código>
+   * @param {Object} opciones
+   * @param {String} opciones.empresaId - Empresa que escanea
+   * @param {Boolean} opciones.consumir - Marcar el código como usado (atómico)
+   * @returns {Object} - Resultado de validación (mismo formato que qrService.validarQR)
+   */
+  async validar(contenido, { empresaId, consumir = false } = {}) {
+    const partes = contenido.split('.');
+
+    if (partes.length !== 3 || !/^[0-9a-f]{24}$/i.test(partes[1])) {
+      return {
+        valido: false,
+        mensaje: 'El contenido del QR no tiene un formato reconocido',
+        codigo: 'QR_INVALID_FORMAT'
+      };
+    }
+
+    const [, clienteId, codigo] = partes;
+
+    const claveLimite = limiteIntentosService.claveCodigoOffline(empresaId, clienteId);
+    const politica = limiteIntentosService.politicas.codigoOffline;
+    const limite = await limiteIntentosService.verificar(claveLimite, politica);
+
+    if (!limite.permitido) {
+      return {
+        valido: false,
+        mensaje: `Demasiados códigos incorrectos para este cliente. Espera ${limite.esperaSegundos} segundos`,
+        codigo: 'OFFLINE_CODE_RATE_LIMITED',
+        reintentarEn: limite.esperaSegundos
+      };
+    }
+
+    const cliente = await Usuario.findOne({ _id: clienteId, tipoUsuario: 'cliente' })
+      .select('+qrOffline.secreto +qrOffline.ultimoContador');
+
+    if (!cliente || !cliente.qrOffline || !cliente.qrOffline.activo) {
+      return {
+        valido: false,
+        mensaje: 'Código QR no encontrado o inválido',
+        codigo: 'QR_NOT_FOUND'
+      };
+    }
+
+    const contador = totpService.verificarCodigo(cliente.qrOffline.secreto, codigo, {
+      ventana: this.ventana,
+      digitos: this.digitos,
+      periodo: this.periodo
+    });
+
+    // Código incorrecto o fuera de la ventana de tolerancia
+    if (contador === null) {
+      await limiteIntentosService.registrarFallo(claveLimite, politica);
+      return {
+        valido: false,
+        mensaje: 'El código QR ha expirado o no es válido. Pide al cliente que muestre el código actual.',
+        codigo: 'QR_EXPIRED'
+      };
+    }
+
+    const yaUsado = {
+      valido: false,
+      mensaje: 'Este código QR ya fue utilizado',
+      codigo: 'QR_USED'
+    };
+
+    if (contador <= cliente.qrOffline.ultimoContador) {
+      return yaUsado;
+    }
+
+    if (consumir) {
+      // No aceptar dos veces el mismo código (ni uno anterior)
+      const actualizado = await Usuario.findOneAndUpdate(
+        { _id: cliente._id, 'qrOffline.ultimoContador': { $lt: contador } },
+        { 'qrOffline.ultimoContador': contador }
+      );
+
+      if (!actualizado) {
+        return yaUsado;
+      }
+    }
+
+    if (!cliente.activo) {
+      if (consumir) await this.liberar(`${PREFIJO_TOKEN}${cliente._id}:${contador}`);
+      return {
+        valido: false,
+        mensaje: 'La cuenta del cliente está inactiva',
+        codigo: 'CLIENT_INACTIVE'
+      };
+    }
+
+    return {
+      valido: true,
+      mensaje: 'Código QR válido',
+      codigo: 'QR_VALID',
+      cliente: {
+        id: cliente._id,
+        nombre: cliente.nombre,
+        email: cliente.email,
+        puntos: cliente.puntos,
+        verificado: cliente.estaVerificado()
+      },
+      token: `${PREFIJO_TOKEN}${cliente._id}:${contador}`,
+      // Inicio del periodo en que el dispositivo mostró el código
+      generadoEn: new Date(contador * this.periodo * 1000)
+    };
+  }
+
+  /**
+   * Devolver un código consumido (el otorgamiento falló)
+   * Solo si ningún código posterior se aceptó mientras tanto
+   * @param {String} token - offline:<clienteId>:<contador>
+   */
+  async liberar(token) {
+    const [clienteId, contadorTexto] = token.slice(PREFIJO_TOKEN.length).split(':');
+    const contador = parseInt(contadorTexto);
+
+    return await Usuario.findOneAndUpdate(
+      { _id: clienteId, 'qrOffline.ultimoContador': contador },
+      { 'qrOffline.ultimoContador': contador - 1 }
+    );
+  }
+}
+
+module.exports = new QrOfflineService();
\ No newline at end of file
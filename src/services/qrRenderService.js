@@ -0,0 +1,342 @@
+/**
+ * =====================================================
+ * SERVICIO DE RENDERIZADO DE QR
+ * =====================================================
+ * Archivo: src/services/qrRenderService.js
+ * Descripción: Dibuja el contenido de un QR en distintos
+ *              formatos (SVG, PNG, texto/terminal)
+ *              Opcionalmente con el logo y los colores de
+ *              la marca de una empresa
+ * =====================================================
+ */
+
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+
+const FORMATOS = ['svg', 'png', 'texto', 'terminal'];
+const NIVELES_CORRECCION = ['L', 'M', 'Q', 'H'];
+const REGEX_COLOR = /^#([0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Límites de las opciones
+const TAMANO_MIN = 64;
+const TAMANO_MAX = 2048;
+const MARGEN_MAX = 10;
+
+// El logo ocupa como máximo este lado del QR (≈5% del área):
+// con corrección H el código se sigue leyendo sin problema
+const PROPORCION_LOGO = 0.22;
+
+// Logo de marca: PNG en data URL de hasta 200 KB y 1024×1024 px
+const PREFIJO_LOGO = 'data:image/png;base64,';
+const LOGO_MAX_BYTES = 200 * 1024;
+const LOGO_MAX_LADO = 1024;
+
+/**
+ * Convertir un color #RRGGBB[AA] a componentes RGBA
+ * @param {String} color
+ * @returns {Number[]}
+ */
+function colorARgba(color) {
+  const hex = color.slice(1);
+  return [
+    parseInt(hex.slice(0, 2), 16),
+    parseInt(hex.slice(2, 4), 16),
+    parseInt(hex.slice(4, 6), 16),
+    hex.length === 8 ? parseInt(hex.slice(6, 8), 16) : 255
+  ];
+}
+
+class QrRenderService {
+  constructor() {
+    this.formatos = FORMATOS;
+    this.nivelesCorreccion = NIVELES_CORRECCION;
+  }
+
+  /**
+   * Validar y completar opciones de renderizado
+   * @param {Object} opciones - { formato, tamano, margen, nivelCorreccion, colorOscuro, colorClaro }
+   * @param {Object} marca - Marca de la empresa (opcional)
+   * @returns {Object} - { valido, opciones } o { valido, mensaje, codigo }
+   */
+  normalizarOpciones(opciones = {}, marca = null) {
+    const formato = (opciones.formato || 'png').toLowerCase();
+    if (!FORMATOS.includes(formato)) {
+      return {
+        valido: false,
+        mensaje: `Formato inválido. Usa: ${FORMATOS.join(', ')}`,
+        codigo: 'INVALID_FORMAT'
+      };
+    }
+
+    const tamano = opciones.tamano !== undefined ? parseInt(opciones.tamano) : 400;
+    if (isNaN(tamano) || tamano < TAMANO_MIN || tamano > TAMANO_MAX) {
+      return {
+        valido: false,
+        mensaje: `El tamaño debe estar entre ${TAMANO_MIN} y ${TAMANO_MAX} px`,
+        codigo: 'INVALID_SIZE'
+      };
+    }
+
+    const margen = opciones.margen !== undefined ? parseInt(opciones.margen) : 2;
+    if (isNaN(margen) || margen < 0 || margen > MARGEN_MAX) {
+      return {
+        valido: false,
+        mensaje: `El margen debe estar entre 0 y ${MARGEN_MAX} módulos`,
+        codigo: 'INVALID_MARGIN'
+      };
+    }
+
+    // El logo tapa parte de los módulos: exige la corrección más alta
+    const conLogo = Boolean(marca && marca.logo) && ['svg', 'png'].includes(formato);
+    let nivelCorreccion = (opciones.nivelCorreccion || (conLogo ? 'H' : 'M')).toUpperCase();
+    if (!NIVELES_CORRECCION.includes(nivelCorreccion)) {
+      return {
+        valido: false,
+        mensaje: `Nivel de corrección inválido. Usa: ${NIVELES_CORRECCION.join(', ')}`,
+        codigo: 'INVALID_ERROR_CORRECTION'
+      };
+    }
+    if (conLogo && nivelCorreccion !== 'H') {
+      return {
+        valido: false,
+        mensaje: 'Con logo de marca el nivel de corrección debe ser H',
+        codigo: 'INVALID_ERROR_CORRECTION'
+      };
+    }
+
+    const colorOscuro = opciones.colorOscuro || (marca && marca.colorOscuro) || '#000000';
+    const colorClaro = opciones.colorClaro || (marca && marca.colorClaro) || '#FFFFFF';
+    if (!this.esColorValido(colorOscuro) || !this.esColorValido(colorClaro)) {
+      return {
+        valido: false,
+        mensaje: 'Los colores deben tener formato #RRGGBB o #RRGGBBAA',
+        codigo: 'INVALID_COLOR'
+      };
+    }
+    if (colorOscuro.slice(1, 7).toLowerCase() === colorClaro.slice(1, 7).toLowerCase()) {
+      return {
+        valido: false,
+        mensaje: 'El color oscuro y el claro no pueden ser iguales',
+        codigo: 'INVALID_COLOR'
+      };
+    }
+
+    return {
+      valido: true,
+      opciones: {
+        formato,
+        tamano,
+        margen,
+        nivelCorreccion,
+        colorOscuro,
+        colorClaro,
+        logo: conLogo ? marca.logo : null
+      }
+    };
+  }
+
+  /**
+   * Indica si un color tiene formato #RRGGBB o #RRGGBBAA
+   * @param {String} color
+   * @returns {Boolean}
+   */
+  esColorValido(color) {
+    return typeof color === 'string' && REGEX_COLOR.test(color);
+  }
+
+  /**
+   * Validar un logo de marca (PNG en data URL)
+   * @param {String} logo
+   * @returns {Object} - { valido, mensaje, codigo }
+   */
+  validarLogo(logo) {
+    if (typeof logo !== 'string' || !logo.startsWith(PREFIJO_LOGO)) {
+      return {
+        valido: false,
+        mensaje: `El logo debe ser un PNG en data URL (${PREFIJO_LOGO}...)`,
+        codigo: 'INVALID_LOGO'
+      };
+    }
+
+    const buffer = Buffer.from(logo.slice(PREFIJO_LOGO.length), 'base64');
+    if (buffer.length > LOGO_MAX_BYTES) {
+      return {
+        valido: false,
+        mensaje: `El logo no puede pesar más de ${LOGO_MAX_BYTES / 1024} KB`,
+        codigo: 'LOGO_TOO_LARGE'
+      };
+    }
+
+    let imagen;
+    try {
+      imagen = PNG.sync.read(buffer);
+    } catch (error) {
+      return {
+        valido: false,
+        mensaje: 'El logo no es un PNG válido',
+        codigo: 'INVALID_LOGO'
+      };
+    }
+
+    if (imagen.width > LOGO_MAX_LADO || imagen.height > LOGO_MAX_LADO) {
+      return {
+        valido: false,
+        mensaje: `El logo no puede medir más de ${LOGO_MAX_LADO}×${LOGO_MAX_LADO} px`,
+        codigo: 'LOGO_TOO_LARGE'
+      };
+    }
+
+    return { valido: true };
+  }
+
+  /**
+   * Renderizar un contenido
+   * @param {String} contenido - Texto a codificar
+   * @param {Object} opciones - Opciones ya normalizadas
+   * @returns {Object} - { tipo, cuerpo }
+   */
+  async renderizar(contenido, opciones) {
+    const base = {
+      errorCorrectionLevel: opciones.nivelCorreccion,
+      margin: opciones.margen,
+      color: {
+        dark: opciones.colorOscuro,
+        light: opciones.colorClaro
+      }
+    };
+
+    switch (opciones.formato) {
+      case 'svg': {
+        let svg = await QRCode.toString(contenido, { ...base, type: 'svg', width: opciones.tamano });
+        if (opciones.logo) {
+          svg = this.insertarLogoSvg(svg, opciones);
+        }
+        return { tipo: 'image/svg+xml', cuerpo: svg };
+      }
+
+      case 'png': {
+        let png = await QRCode.toBuffer(contenido, { ...base, type: 'png', width: opciones.tamano });
+        if (opciones.logo) {
+          const { modules } = QRCode.create(contenido, { errorCorrectionLevel: opciones.nivelCorreccion });
+          png = this.insertarLogoPng(png, opciones, modules.size + opciones.margen * 2);
+        }
+        return { tipo: 'image/png', cuerpo: png };
+      }
+
+      case 'terminal': {
+        // Caracteres de medio bloque con colores ANSI (los colores propios no aplican)
+        const texto = await QRCode.toString(contenido, {
+          errorCorrectionLevel: opciones.nivelCorreccion,
+          margin: opciones.margen,
+          type: 'terminal',
+          small: true
+        });
+        return { tipo: 'text/plain; charset=utf-8', cuerpo: texto };
+      }
+
+      default: {
+        const texto = await QRCode.toString(contenido, { ...base, type: 'utf8' });
+        return { tipo: 'text/plain; charset=utf-8', cuerpo: texto };
+      }
+    }
+  }
+
+  /**
+   * Data URL PNG (formato usado al generar QR desde la app)
+   * @param {String} contenido
+   * @returns {String}
+   */
+  async aDataUrl(contenido) {
+    return await QRCode.toDataURL(contenido, {
+      errorCorrectionLevel: 'H', // Alta corrección de errores
+      type: 'image/png',
+      width: 400,
+      margin: 2,
+      color: {
+        dark: '#000000',
+        light: '#FFFFFF'
+      }
+    });
+  }
+
+  /**
+   * Insertar el logo al centro de un SVG
+   * Las coordenadas están en módulos (viewBox del SVG)
+   * @param {String} svg
+   * @param {Object} opciones
+   * @returns {String}
+   */
+  insertarLogoSvg(svg, opciones) {
+    const viewBox = svg.match(/viewBox="0 0 (\d+) (\d+)"/);
+    const modulos = parseInt(viewBox[1]);
+    const interior = modulos - opciones.margen * 2;
+
+    const lado = interior * PROPORCION_LOGO;
+    const relleno = lado * 0.1;
+    const inicio = (modulos - lado) / 2;
+    const redondear = n => Math.round(n * 100) / 100;
+
+    const logo = `<rect x="${redondear(inicio - relleno)}" y="${redondear(inicio - relleno)}" ` +
+      `width="${redondear(lado + relleno * 2)}" height="${redondear(lado + relleno * 2)}" ` +
+      `fill="${opciones.colorClaro}"/>` +
+      `<image x="${redondear(inicio)}" y="${redondear(inicio)}" width="${redondear(lado)}" height="${redondear(lado)}" ` +
+      `preserveAspectRatio="xMidYMid meet" href="${opciones.logo}"/>`;
+
+    return svg.replace('</svg>', `${logo}</svg>`);
+  }
+
+  /**
+   * Insertar el logo al centro de un PNG
+   * El logo se escala (vecino más cercano) y se mezcla por su canal alfa
+   * @param {Buffer} buffer - PNG del QR
+   * @param {Object} opciones
+   * @param {Number} modulos - Lado del QR en módulos, margen incluido
+   * @returns {Buffer}
+   */
+  insertarLogoPng(buffer, opciones, modulos) {
+    const qr = PNG.sync.read(buffer);
+    const logo = PNG.sync.read(Buffer.from(opciones.logo.slice(PREFIJO_LOGO.length), 'base64'));
+
+    // El logo se mide contra el área del código, sin el margen
+    const interior = qr.width * (modulos - opciones.margen * 2) / modulos;
+
+    const lado = Math.round(interior * PROPORCION_LOGO);
+    const escala = Math.min(lado / logo.width, lado / logo.height);
+    const ancho = Math.max(1, Math.round(logo.width * escala));
+    const alto = Math.max(1, Math.round(logo.height * escala));
+    const relleno = Math.round(lado * 0.1);
+
+    const fondo = colorARgba(opciones.colorClaro);
+    const x0 = Math.round((qr.width - ancho) / 2);
+    const y0 = Math.round((qr.height - alto) / 2);
+
+    // Fondo claro alrededor del logo
+    for (let y = y0 - relleno; y < y0 + alto + relleno; y++) {
+      for (let x = x0 - relleno; x < x0 + ancho + relleno; x++) {
+        const i = (y * qr.width + x) * 4;
+        qr.data[i] = fondo[0];
+        qr.data[i + 1] = fondo[1];
+        qr.data[i + 2] = fondo[2];
+        qr.data[i + 3] = fondo[3];
+      }
+    }
+
+    // Logo mezclado sobre el fondo
+    for (let y = 0; y < alto; y++) {
+      for (let x = 0; x < ancho; x++) {
+        const origen = (Math.floor(y / escala) * logo.width + Math.floor(x / escala)) * 4;
+        const destino = ((y0 + y) * qr.width + (x0 + x)) * 4;
+        const alfa = logo.data[origen + 3] / 255;
+
+        for (let c = 0; c < 3; c++) {
+          qr.data[destino + c] = Math.round(logo.data[origen + c] * alfa + qr.data[destino + c] * (1 - alfa));
+        }
+        qr.data[destino + 3] = Math.max(qr.data[destino + 3], logo.data[origen + 3]);
+      }
+    }
+
+    return PNG.sync.write(qr);
+  }
+}
+
+module.exports = new QrRenderService();
\ No newline at end of file
@@ -5,12 +5,30 @@
  * Archivo: src/services/qrService.js
  * Descripción: Generación y validación de códigos QR
  *              Los QR expiran en 30 segundos
+ *              El contenido va firmado (ver firmaQrService)
+ *              También acepta códigos sin conexión (ver qrOfflineService)
+ *              y un código corto para captura manual
  * =====================================================
  */
 
-const QRCode = require('qrcode');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
 const QrToken = require('../models/QrToken');
+const EscaneoQr = require('../models/EscaneoQr');
+const firmaQrService = require('./firmaQrService');
+const qrOfflineService = require('./qrOfflineService');
+const qrRenderService = require('./qrRenderService');
+const limiteIntentosService = require('./limiteIntentosService');
+
+// Alfabeto sin caracteres ambiguos (sin 0/O, 1/I/L)
+const ALFABETO_CODIGO_CORTO = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const LONGITUD_CODIGO_CORTO = 8;
+const REGEX_CODIGO_CORTO = new RegExp(`^[${ALFABETO_CODIGO_CORTO}]{${LONGITUD_CODIGO_CORTO}}$`);
+
+// Una reserva (enProceso) más vieja se da por abandonada (el proceso se
+// detuvo antes de confirmar o liberar) y el QR puede volver a reclamarse
+const SEGUNDOS_RESERVA = 120;
 
 class QrService {
   constructor() {
@@ -30,41 +48,45 @@ class QrService {
     // Calcular fecha de expiración
     const expiraEn = new Date(Date.now() + this.expirationSeconds * 1000);
 
-    // Datos que contendrá el QR (lo que la empresa escaneará)
-    const datosQR = {
-      token,
-      clienteId: cliente._id.toString(),
-      nombre: cliente.nombre,
-      expiraEn: expiraEn.toISOString()
-    };
+    // Contenido firmado del QR (lo que la empresa escaneará)
+    const contenido = firmaQrService.firmar({
+      t: token,
+      c: cliente._id.toString(),
+      n: cliente.nombre,
+      e: Math.floor(expiraEn.getTime() / 1000)
+    });
 
     // Guardar token en la base de datos
-    const qrToken = new QrToken({
-      token,
-      clienteId: cliente._id,
-      datosCliente: {
-        nombre: cliente.nombre,
-        email: cliente.email,
-        puntos: cliente.puntos
-      },
-      expiraEn
-    });
-    await qrToken.save();
+    // (si el código corto choca con uno existente se genera otro)
+    let codigoCorto;
+    for (let intento = 1; ; intento++) {
+      codigoCorto = this.generarCodigoCorto();
+      try {
+        await QrToken.create({
+          token,
+          codigoCorto,
+          clienteId: cliente._id,
+          datosCliente: {
+            nombre: cliente.nombre,
+            email: cliente.email,
+            puntos: cliente.puntos
+          },
+          expiraEn
+        });
+        break;
+      } catch (error) {
+        if (error.code !== 11000 || intento >= 3) throw error;
+      }
+    }
 
     // Generar imagen QR en base64
-    const qrImageBase64 = await QRCode.toDataURL(JSON.stringify(datosQR), {
-      errorCorrectionLevel: 'H', // Alta corrección de errores
-      type: 'image/png',
-      width: 400,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
-    });
+    // (otros formatos y marca: POST /api/qr/renderizar)
+    const qrImageBase64 = await qrRenderService.aDataUrl(contenido);
 
     return {
       token,
+      contenido,
+      codigoCorto: this.formatearCodigoCorto(codigoCorto),
       qrImage: qrImageBase64,
       expiraEn,
       expirationSeconds: this.expirationSeconds,
@@ -77,21 +99,134 @@ class QrService {
   }
 
   /**
-   * Validar un token QR escaneado por empresa
-   * @param {String} token - Token del QR escaneado
+   * Generar un código corto aleatorio
+   * @returns {String}
+   */
+  generarCodigoCorto() {
+    let codigo = '';
+    for (let i = 0; i < LONGITUD_CODIGO_CORTO; i++) {
+      codigo += ALFABETO_CODIGO_CORTO[crypto.randomInt(ALFABETO_CODIGO_CORTO.length)];
+    }
+    return codigo;
+  }
+
+  /**
+   * Mostrar el código corto en dos bloques (ej: "7KQ2-MX9P")
+   * @param {String} codigo
+   * @returns {String}
+   */
+  formatearCodigoCorto(codigo) {
+    return `${codigo.slice(0, 4)}-${codigo.slice(4)}`;
+  }
+
+  /**
+   * Normalizar un código corto capturado a mano
+   * @param {String} contenido
+   * @returns {String|null} - Código normalizado o null si no lo es
+   */
+  normalizarCodigoCorto(contenido) {
+    const codigo = String(contenido || '').toUpperCase().replace(/[\s-]/g, '');
+    return REGEX_CODIGO_CORTO.test(codigo) ? codigo : null;
+  }
+
+  /**
+   * Traducir lo escaneado o capturado a un filtro de QrToken
+   * - Contenido firmado: se verifica la firma y expiración sin ir a la BD
+   * - Código corto: se revisa el límite de intentos de la empresa
+   * @param {String} contenido
+   * @param {String} empresaId - Empresa que captura (para el límite de intentos)
+   * @returns {Object} - { valido, filtro, esCodigoCorto } o resultado de error
+   */
+  async resolverContenido(contenido, empresaId) {
+    const codigoCorto = this.normalizarCodigoCorto(contenido);
+
+    if (codigoCorto) {
+      const limite = await limiteIntentosService.verificar(
+        limiteIntentosService.claveCodigoCorto(empresaId),
+        limiteIntentosService.politicas.codigoCorto
+      );
+
+      if (!limite.permitido) {
+        return {
+          valido: false,
+          mensaje: `Demasiados códigos incorrectos. Espera ${limite.esperaSegundos} segundos o escanea el QR`,
+          codigo: 'SHORT_CODE_RATE_LIMITED',
+          reintentarEn: limite.esperaSegundos
+        };
+      }
+
+      return { valido: true, filtro: { codigoCorto }, esCodigoCorto: true };
+    }
+
+    const verificacion = firmaQrService.verificar(contenido);
+
+    if (!verificacion.valido) {
+      return {
+        valido: false,
+        mensaje: verificacion.mensaje,
+        codigo: verificacion.codigo
+      };
+    }
+
+    // Los QR de cobro de una empresa también van firmados, pero los reclama el cliente
+    if (verificacion.payload.k) {
+      return {
+        valido: false,
+        mensaje: 'Este código QR es un cobro de empresa: debe escanearlo el cliente desde la app',
+        codigo: 'QR_IS_COBRO'
+      };
+    }
+
+    const { t: token, c: clienteId } = verificacion.payload;
+    return { valido: true, filtro: { token, clienteId }, esCodigoCorto: false };
+  }
+
+  /**
+   * Resultado para un QR que no existe
+   * Los códigos cortos inexistentes cuentan para el límite de intentos
+   * @param {Object} resolucion - Resultado de resolverContenido
+   * @param {String} empresaId
+   * @returns {Object}
+   */
+  async noEncontrado(resolucion, empresaId) {
+    if (resolucion.esCodigoCorto) {
+      await limiteIntentosService.registrarFallo(
+        limiteIntentosService.claveCodigoCorto(empresaId),
+        limiteIntentosService.politicas.codigoCorto
+      );
+    }
+
+    return {
+      valido: false,
+      mensaje: 'Código QR no encontrado o inválido',
+      codigo: 'QR_NOT_FOUND'
+    };
+  }
+
+  /**
+   * Validar un QR escaneado (o su código corto) por empresa
+   * Primero se verifica la firma y la expiración (sin consultar la BD)
+   * @param {String} contenido - Contenido firmado del QR o código corto
+   * @param {String} empresaId - Empresa que valida
    * @returns {Object} - Resultado de validación
    */
-  async validarQR(token) {
+  async validarQR(contenido, empresaId) {
+    // Códigos rotativos generados en el dispositivo del cliente
+    if (qrOfflineService.esContenidoOffline(contenido)) {
+      return await qrOfflineService.validar(contenido, { empresaId });
+    }
+
+    const resolucion = await this.resolverContenido(contenido, empresaId);
+    if (!resolucion.valido) {
+      return resolucion;
+    }
+
     // Buscar token en la base de datos
-    const qrToken = await QrToken.findOne({ token }).populate('clienteId');
+    const qrToken = await QrToken.findOne(resolucion.filtro).populate('clienteId');
 
     // Token no encontrado
     if (!qrToken) {
-      return {
-        valido: false,
-        mensaje: 'Código QR no encontrado o inválido',
-        codigo: 'QR_NOT_FOUND'
-      };
+      return await this.noEncontrado(resolucion, empresaId);
     }
 
     // Token expirado
@@ -103,13 +238,10 @@ class QrService {
       };
     }
 
-    // Token ya usado
-    if (qrToken.usado) {
-      return {
-        valido: false,
-        mensaje: 'Este código QR ya fue utilizado',
-        codigo: 'QR_USED'
-      };
+    // Token ya usado o siendo usado en otra caja
+    const estado = this.estadoNoDisponible(qrToken);
+    if (estado) {
+      return estado;
     }
 
     // Verificar que el cliente existe y está activo
@@ -138,40 +270,294 @@ class QrService {
         id: qrToken.clienteId._id,
         nombre: qrToken.clienteId.nombre,
         email: qrToken.clienteId.email,
-        puntos: qrToken.clienteId.puntos
+        puntos: qrToken.clienteId.puntos,
+        verificado: qrToken.clienteId.estaVerificado()
       },
-      token: qrToken.token
+      token: qrToken.token,
+      generadoEn: qrToken.createdAt
     };
   }
 
   /**
-   * Marcar un token como usado
-   * @param {String} token - Token a marcar
-   * @param {String} empresaId - ID de la empresa que lo usó
+   * Indica si la reserva de un QR en proceso se abandonó
+   * @param {Object} qrToken
+   * @returns {Boolean}
    */
-  async marcarComoUsado(token, empresaId) {
-    return await QrToken.findOneAndUpdate(
-      { token },
-      { 
-        usado: true, 
-        usadoPor: empresaId 
+  reservaAbandonada(qrToken) {
+    return !qrToken.reclamadoEn ||
+      qrToken.reclamadoEn.getTime() < Date.now() - SEGUNDOS_RESERVA * 1000;
+  }
+
+  /**
+   * Indicar por qué un token ya no puede usarse (usado o en proceso)
+   * @param {Object} qrToken
+   * @returns {Object|null} - Resultado de validación o null si está disponible
+   */
+  estadoNoDisponible(qrToken) {
+    if (qrToken.usado) {
+      return {
+        valido: false,
+        mensaje: 'Este código QR ya fue utilizado',
+        codigo: 'QR_USED'
+      };
+    }
+
+    if (qrToken.enProceso && !this.reservaAbandonada(qrToken)) {
+      return {
+        valido: false,
+        mensaje: 'Este código QR se está procesando en otra caja en este momento',
+        codigo: 'QR_CONCURRENT_SCAN'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Reclamar un QR para otorgar puntos (validación y reserva en un solo paso)
+   * Solo una empresa/caja puede reclamarlo; después se debe llamar a
+   * confirmarQR (éxito) o liberarQR (si el otorgamiento falla)
+   * @param {String} contenido - Contenido firmado del QR o código corto
+   * @param {String} empresaId - ID de la empresa que lo reclama
+   * @returns {Object} - Resultado de validación (igual que validarQR)
+   */
+  async reclamarQR(contenido, empresaId) {
+    // En los códigos sin conexión reclamar es consumir el contador
+    if (qrOfflineService.esContenidoOffline(contenido)) {
+      return await qrOfflineService.validar(contenido, { empresaId, consumir: true });
+    }
+
+    const resolucion = await this.resolverContenido(contenido, empresaId);
+    if (!resolucion.valido) {
+      return resolucion;
+    }
+
+    // Reserva atómica: solo una petición puede pasar de libre (o con una
+    // reserva abandonada) a en proceso
+    const qrToken = await QrToken.findOneAndUpdate(
+      {
+        ...resolucion.filtro,
+        usado: false,
+        $or: [
+          { enProceso: false },
+          { enProceso: true, reclamadoEn: { $lt: new Date(Date.now() - SEGUNDOS_RESERVA * 1000) } }
+        ],
+        expiraEn: { $gt: new Date() }
+      },
+      {
+        enProceso: true,
+        usadoPor: empresaId,
+        reclamadoEn: new Date()
       },
       { new: true }
+    ).populate('clienteId');
+
+    if (!qrToken) {
+      // Averiguar por qué no se pudo reclamar
+      const existente = await QrToken.findOne(resolucion.filtro);
+
+      if (!existente) {
+        return await this.noEncontrado(resolucion, empresaId);
+      }
+
+      return this.estadoNoDisponible(existente) || {
+        valido: false,
+        mensaje: 'El código QR ha expirado. Pide al cliente que genere uno nuevo.',
+        codigo: 'QR_EXPIRED'
+      };
+    }
+
+    if (!qrToken.clienteId || !qrToken.clienteId.activo) {
+      await this.liberarQR(qrToken.token, qrToken.reclamadoEn);
+      return {
+        valido: false,
+        mensaje: qrToken.clienteId ? 'La cuenta del cliente está inactiva' : 'Cliente no encontrado',
+        codigo: qrToken.clienteId ? 'CLIENT_INACTIVE' : 'CLIENT_NOT_FOUND'
+      };
+    }
+
+    return {
+      valido: true,
+      mensaje: 'Código QR válido',
+      codigo: 'QR_VALID',
+      cliente: {
+        id: qrToken.clienteId._id,
+        nombre: qrToken.clienteId.nombre,
+        email: qrToken.clienteId.email,
+        puntos: qrToken.clienteId.puntos,
+        verificado: qrToken.clienteId.estaVerificado()
+      },
+      token: qrToken.token,
+      reclamadoEn: qrToken.reclamadoEn,
+      generadoEn: qrToken.createdAt
+    };
+  }
+
+  /**
+   * Confirmar un QR reclamado como usado
+   * @param {String} token - Token reclamado
+   * @param {Date} reclamadoEn - Fecha de la reserva (resultado de reclamarQR)
+   * @param {ClientSession} session - Sesión de la transacción del otorgamiento
+   * @returns {Boolean} - false si la reserva ya no existe (se liberó o la tomó otra caja)
+   */
+  async confirmarQR(token, reclamadoEn, session) {
+    // Los códigos sin conexión quedan usados desde que se reclaman
+    if (qrOfflineService.esTokenOffline(token)) {
+      return true;
+    }
+
+    const confirmado = await QrToken.findOneAndUpdate(
+      { token, enProceso: true, reclamadoEn },
+      { usado: true, enProceso: false },
+      { new: true, session }
     );
+
+    return Boolean(confirmado);
   }
 
   /**
-   * Obtener estadísticas de QR
+   * Liberar un QR reclamado (el otorgamiento falló y puede reintentarse)
+   * Solo si la reserva sigue siendo la misma (no la de otra caja que la retomó)
+   * @param {String} token - Token reclamado
+   * @param {Date} reclamadoEn - Fecha de la reserva (resultado de reclamarQR)
    */
-  async obtenerEstadisticas() {
-    const total = await QrToken.countDocuments();
-    const usados = await QrToken.countDocuments({ usado: true });
-    const activos = await QrToken.countDocuments({ 
-      usado: false, 
-      expiraEn: { $gt: new Date() } 
-    });
+  async liberarQR(token, reclamadoEn) {
+    if (qrOfflineService.esTokenOffline(token)) {
+      return await qrOfflineService.liberar(token);
+    }
+
+    return await QrToken.findOneAndUpdate(
+      { token, enProceso: true, reclamadoEn },
+      { enProceso: false, usadoPor: null, reclamadoEn: null },
+      { new: true }
+    );
+  }
 
-    return { total, usados, activos };
+  /**
+   * Tipo de contenido escaneado
+   * @param {String} contenido
+   * @returns {String} - 'offline', 'codigo_corto', 'firmado' o 'desconocido'
+   */
+  clasificarContenido(contenido) {
+    if (qrOfflineService.esContenidoOffline(contenido)) return 'offline';
+    if (this.normalizarCodigoCorto(contenido)) return 'codigo_corto';
+    if (firmaQrService.esContenidoFirmado(contenido)) return 'firmado';
+    return 'desconocido';
+  }
+
+  /**
+   * Registrar un intento de escaneo
+   * Nunca lanza error: un fallo al registrar no debe afectar la operación
+   * @param {Object} datos
+   * @param {Object} datos.req - Request de Express (empresa, usuario, API key)
+   * @param {String} datos.operacion - 'leer' u 'otorgar'
+   * @param {String} datos.contenido - Contenido escaneado
+   * @param {Object} datos.resultado - Resultado de validación ({ valido, codigo, cliente, generadoEn })
+   * @param {Number} datos.inicio - Date.now() al recibir la petición
+   */
+  async registrarEscaneo({ req, operacion, contenido, resultado, inicio }) {
+    try {
+      const ahora = Date.now();
+
+      await EscaneoQr.create({
+        empresa: req.empresa._id,
+        registradoPor: req.usuario ? req.usuario._id : null,
+        apiKey: req.apiKey ? req.apiKey._id : null,
+        operacion,
+        tipoQr: this.clasificarContenido(contenido),
+        resultado: resultado.valido ? 'exito' : 'fallo',
+        codigo: resultado.codigo || (resultado.valido ? 'QR_VALID' : 'UNKNOWN'),
+        cliente: resultado.cliente ? resultado.cliente.id : null,
+        latenciaMs: ahora - inicio,
+        segundosHastaEscaneo: resultado.generadoEn
+          ? Math.max(0, Math.round((ahora - new Date(resultado.generadoEn).getTime()) / 1000))
+          : null
+      });
+    } catch (error) {
+      console.error('Error al registrar escaneo de QR:', error.message);
+    }
+  }
+
+  /**
+   * Obtener estadísticas de escaneo de una empresa
+   * @param {String} empresaId
+   * @param {Object} rango - { desde, hasta } (Date)
+   * @returns {Object}
+   */
+  async obtenerEstadisticas(empresaId, { desde, hasta }) {
+    const filtro = {
+      empresa: new mongoose.Types.ObjectId(empresaId),
+      createdAt: { $gte: desde, $lte: hasta }
+    };
+
+    const [resultado] = await EscaneoQr.aggregate([
+      { $match: filtro },
+      {
+        $facet: {
+          totales: [{
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              exitosos: { $sum: { $cond: [{ $eq: ['$resultado', 'exito'] }, 1, 0] } },
+              latenciaPromedioMs: { $avg: '$latenciaMs' },
+              // Solo escaneos exitosos: un QR fallido no mide el tiempo real de caja
+              segundosHastaEscaneo: {
+                $avg: { $cond: [{ $eq: ['$resultado', 'exito'] }, '$segundosHastaEscaneo', null] }
+              }
+            }
+          }],
+          fallos: [
+            { $match: { resultado: 'fallo' } },
+            { $group: { _id: '$codigo', total: { $sum: 1 } } },
+            { $sort: { total: -1 } },
+            { $limit: 10 }
+          ],
+          porTipoQr: [{
+            $group: {
+              _id: '$tipoQr',
+              total: { $sum: 1 },
+              exitosos: { $sum: { $cond: [{ $eq: ['$resultado', 'exito'] }, 1, 0] } }
+            }
+          }],
+          porOperacion: [{
+            $group: {
+              _id: '$operacion',
+              total: { $sum: 1 },
+              exitosos: { $sum: { $cond: [{ $eq: ['$resultado', 'exito'] }, 1, 0] } }
+            }
+          }]
+        }
+      }
+    ]);
+
+    const totales = resultado.totales[0] || { total: 0, exitosos: 0, latenciaPromedioMs: null, segundosHastaEscaneo: null };
+    const porcentaje = (parte, total) => total > 0 ? Math.round((parte / total) * 10000) / 100 : 0;
+    const redondear = valor => valor === null || valor === undefined ? null : Math.round(valor * 10) / 10;
+    const fallidos = totales.total - totales.exitosos;
+
+    return {
+      totalEscaneos: totales.total,
+      exitosos: totales.exitosos,
+      fallidos,
+      tasaExito: porcentaje(totales.exitosos, totales.total),
+      latenciaPromedioMs: redondear(totales.latenciaPromedioMs),
+      tiempoHastaEscaneoPromedioSeg: redondear(totales.segundosHastaEscaneo),
+      fallosFrecuentes: resultado.fallos.map(f => ({
+        codigo: f._id,
+        total: f.total,
+        porcentaje: porcentaje(f.total, fallidos)
+      })),
+      porTipoQr: resultado.porTipoQr.map(t => ({
+        tipo: t._id,
+        total: t.total,
+        tasaExito: porcentaje(t.exitosos, t.total)
+      })),
+      porOperacion: resultado.porOperacion.map(o => ({
+        operacion: o._id,
+        total: o.total,
+        tasaExito: porcentaje(o.exitosos, o.total)
+      }))
+    };
   }
 }
 
@@ -0,0 +1,192 @@
+/**
+ * =====================================================
+ * SERVICIO DE SESIONES - Refresh Tokens
+ * =====================================================
+ * Archivo: src/services/sesionService.js
+ * Descripción: Emisión, rotación y revocación de sesiones
+ *              - Access token JWT de corta duración
+ *              - Refresh token rotativo guardado como hash
+ * =====================================================
+ */
+
+const crypto = require('crypto');
+const Sesion = require('../models/Sesion');
+const { generarToken } = require('../middleware/auth');
+
+class SesionService {
+  constructor() {
+    // Vigencia del refresh token en días (default 30)
+    this.refreshTokenDias = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+  }
+
+  /**
+   * Calcular hash SHA-256 de un refresh token
+   * @param {String} refreshToken
+   * @returns {String}
+   */
+  hashToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  }
+
+  /**
+   * Generar un refresh token aleatorio
+   * @returns {String}
+   */
+  generarRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+  }
+
+  /**
+   * Calcular fecha de expiración de un refresh token nuevo
+   * @returns {Date}
+   */
+  calcularExpiracion() {
+    return new Date(Date.now() + this.refreshTokenDias * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Crear una sesión nueva para el usuario
+   * @param {Object} usuario - Documento del usuario
+   * @param {Object} req - Request de Express (para ip y user agent)
+   * @returns {Object} - Access token, refresh token y expiración
+   */
+  async crearSesion(usuario, req) {
+    const refreshToken = this.generarRefreshToken();
+
+    const sesion = new Sesion({
+      usuario: usuario._id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      expiraEn: this.calcularExpiracion(),
+      ip: req ? req.ip : null,
+      userAgent: req ? req.get('user-agent') || null : null
+    });
+    await sesion.save();
+
+    return {
+      token: generarToken(usuario._id, sesion._id),
+      refreshToken,
+      refreshTokenExpiraEn: sesion.expiraEn
+    };
+  }
+
+  /**
+   * Rotar un refresh token: invalida el actual y emite uno nuevo
+   * Si se presenta un refresh token ya rotado se asume robo
+   * y se cierran todas las sesiones del usuario
+   * @param {String} refreshToken - Refresh token presentado
+   * @returns {Object} - Resultado de la rotación
+   */
+  async rotarSesion(refreshToken) {
+    const hash = this.hashToken(refreshToken);
+    const sesion = await Sesion.findOne({ refreshTokenHash: hash }).populate('usuario');
+
+    // Token no encontrado: revisar si es un token ya rotado
+    if (!sesion) {
+      const sesionReutilizada = await Sesion.findOne({ refreshTokenAnteriorHash: hash });
+
+      if (sesionReutilizada) {
+        await this.revocarTodas(sesionReutilizada.usuario);
+        return {
+          valido: false,
+          mensaje: 'Se detectó el reuso de un refresh token. Todas tus sesiones fueron cerradas por seguridad',
+          codigo: 'REFRESH_TOKEN_REUSED'
+        };
+      }
+
+      return {
+        valido: false,
+        mensaje: 'Refresh token inválido',
+        codigo: 'INVALID_REFRESH_TOKEN'
+      };
+    }
+
+    if (!sesion.estaActiva()) {
+      return {
+        valido: false,
+        mensaje: 'La sesión ha expirado o fue cerrada. Inicia sesión nuevamente',
+        codigo: 'SESSION_REVOKED'
+      };
+    }
+
+    if (!sesion.usuario || !sesion.usuario.activo) {
+      return {
+        valido: false,
+        mensaje: 'Tu cuenta ha sido desactivada',
+        codigo: 'USER_INACTIVE'
+      };
+    }
+
+    // Rotación atómica: solo una petición puede ganar con este hash
+    const nuevoRefreshToken = this.generarRefreshToken();
+    const sesionRotada = await Sesion.findOneAndUpdate(
+      { _id: sesion._id, refreshTokenHash: hash, revocada: false },
+      {
+        refreshTokenHash: this.hashToken(nuevoRefreshToken),
+        refreshTokenAnteriorHash: hash,
+        expiraEn: this.calcularExpiracion(),
+        ultimoUso: new Date()
+      },
+      { new: true }
+    );
+
+    if (!sesionRotada) {
+      return {
+        valido: false,
+        mensaje: 'Refresh token inválido',
+        codigo: 'INVALID_REFRESH_TOKEN'
+      };
+    }
+
+    return {
+      valido: true,
+      token: generarToken(sesion.usuario._id, sesion._id),
+      refreshToken: nuevoRefreshToken,
+      refreshTokenExpiraEn: sesionRotada.expiraEn
+    };
+  }
+
+  /**
+   * Cerrar una sesión
+   * @param {String} sesionId - ID de la sesión
+   */
+  async revocarSesion(sesionId) {
+    return await Sesion.findByIdAndUpdate(
+      sesionId,
+      { revocada: true, revocadaEn: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Cerrar todas las sesiones de un usuario
+   * @param {String} usuarioId - ID del usuario
+   * @param {String} exceptoSesionId - Sesión a conservar (opcional)
+   * @returns {Number} - Sesiones cerradas
+   */
+  async revocarTodas(usuarioId, exceptoSesionId = null) {
+    const filtro = { usuario: usuarioId, revocada: false };
+    if (exceptoSesionId) {
+      filtro._id = { $ne: exceptoSesionId };
+    }
+
+    const resultado = await Sesion.updateMany(filtro, {
+      revocada: true,
+      revocadaEn: new Date()
+    });
+    return resultado.modifiedCount;
+  }
+
+  /**
+   * Listar sesiones activas de un usuario
+   * @param {String} usuarioId - ID del usuario
+   */
+  async listarActivas(usuarioId) {
+    return await Sesion.find({
+      usuario: usuarioId,
+      revocada: false,
+      expiraEn: { $gt: new Date() }
+    }).sort({ ultimoUso: -1 });
+  }
+}
+
+module.exports = new SesionService();
\ No newline at end of file
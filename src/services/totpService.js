@@ -0,0 +1,173 @@
+/**
+ * =====================================================
+ * SERVICIO TOTP - Códigos temporales (RFC 6238)
+ * =====================================================
+ * Archivo: src/services/totpService.js
+ * Descripción: Generación y verificación de códigos TOTP
+ *              compatibles con Google Authenticator, Authy, etc.
+ * =====================================================
+ */
+
+const crypto = require('crypto');
+
+// Alfabeto Base32 (RFC 4648)
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TotpService {
+  constructor() {
+    // Duración de cada código en segundos
+    this.periodo = 30;
+    // Dígitos del código
+    this.digitos = 6;
+    // Nombre mostrado en la app autenticadora
+    this.emisor = process.env.TOTP_ISSUER || 'Fidelidad Amigo';
+  }
+
+  /**
+   * Codificar bytes en Base32
+   * @param {Buffer} buffer
+   * @returns {String}
+   */
+  base32Codificar(buffer) {
+    let bits = 0;
+    let valor = 0;
+    let salida = '';
+
+    for (const byte of buffer) {
+      valor = (valor << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        salida += ALFABETO_BASE32[(valor >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      salida += ALFABETO_BASE32[(valor << (5 - bits)) & 31];
+    }
+
+    return salida;
+  }
+
+  /**
+   * Decodificar Base32 a bytes
+   * @param {String} texto
+   * @returns {Buffer}
+   */
+  base32Decodificar(texto) {
+    const limpio = texto.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let valor = 0;
+    const bytes = [];
+
+    for (const caracter of limpio) {
+      const indice = ALFABETO_BASE32.indexOf(caracter);
+      if (indice === -1) {
+        throw new Error('Secreto Base32 inválido');
+      }
+      valor = (valor << 5) | indice;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((valor >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generar un secreto aleatorio en Base32
+   * @param {Number} bytes - Longitud en bytes (default 20 = 160 bits)
+   * @returns {String}
+   */
+  generarSecreto(bytes = 20) {
+    return this.base32Codificar(crypto.randomBytes(bytes));
+  }
+
+  /**
+   * Contador de tiempo para una fecha
+   * @param {Number} timestamp - Milisegundos (default ahora)
+   * @param {Number} periodo - Segundos por código
+   * @returns {Number}
+   */
+  contadorActual(timestamp = Date.now(), periodo = this.periodo) {
+    return Math.floor(timestamp / 1000 / periodo);
+  }
+
+  /**
+   * Generar el código HOTP para un contador
+   * @param {String} secreto - Secreto en Base32
+   * @param {Number} contador
+   * @param {Number} digitos
+   * @returns {String}
+   */
+  generarCodigo(secreto, contador, digitos = this.digitos) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(contador));
+
+    const hmac = crypto
+      .createHmac('sha1', this.base32Decodificar(secreto))
+      .update(buffer)
+      .digest();
+
+    // Truncado dinámico (RFC 4226)
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binario = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return (binario % 10 ** digitos).toString().padStart(digitos, '0');
+  }
+
+  /**
+   * Verificar un código TOTP tolerando desfase de reloj
+   * @param {String} secreto - Secreto en Base32
+   * @param {String} codigo - Código ingresado
+   * @param {Object} opciones
+   * @param {Number} opciones.ventana - Periodos de tolerancia hacia cada lado
+   * @param {Number} opciones.digitos
+   * @param {Number} opciones.periodo
+   * @returns {Number|null} - Contador que coincidió o null
+   */
+  verificarCodigo(secreto, codigo, opciones = {}) {
+    const { ventana = 1, digitos = this.digitos, periodo = this.periodo } = opciones;
+    const limpio = String(codigo || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${digitos}}$`).test(limpio)) {
+      return null;
+    }
+
+    const actual = this.contadorActual(Date.now(), periodo);
+
+    for (let desfase = -ventana; desfase <= ventana; desfase++) {
+      const esperado = this.generarCodigo(secreto, actual + desfase, digitos);
+      if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(limpio))) {
+        return actual + desfase;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Construir URI otpauth:// para apps autenticadoras
+   * @param {String} secreto - Secreto en Base32
+   * @param {String} cuenta - Identificador de la cuenta (email)
+   * @returns {String}
+   */
+  generarUriOtpauth(secreto, cuenta) {
+    const etiqueta = encodeURIComponent(`${this.emisor}:${cuenta}`);
+    const parametros = new URLSearchParams({
+      secret: secreto,
+      issuer: this.emisor,
+      algorithm: 'SHA1',
+      digits: String(this.digitos),
+      period: String(this.periodo)
+    });
+    return `otpauth://totp/${etiqueta}?${parametros.toString()}`;
+  }
+}
+
+module.exports = new TotpService();
\ No newline at end of file
@@ -0,0 +1,264 @@
+/**
+ * =====================================================
+ * SERVICIO DE VALIDACIÓN DE CURP Y RFC
+ * =====================================================
+ * Archivo: src/services/validacionService.js
+ * Descripción: Validación estructural de identificadores
+ *              oficiales mexicanos
+ *              - CURP: longitud, formato, entidad, fecha y
+ *                dígito verificador (RENAPO)
+ *              - RFC: persona física/moral, fecha y
+ *                homoclave (SAT)
+ * =====================================================
+ */
+
+// ===== ENTIDADES FEDERATIVAS (CURP) =====
+const ENTIDADES = {
+  AS: 'Aguascalientes',
+  BC: 'Baja California',
+  BS: 'Baja California Sur',
+  CC: 'Campeche',
+  CL: 'Coahuila',
+  CM: 'Colima',
+  CS: 'Chiapas',
+  CH: 'Chihuahua',
+  DF: 'Ciudad de México',
+  DG: 'Durango',
+  GT: 'Guanajuato',
+  GR: 'Guerrero',
+  HG: 'Hidalgo',
+  JC: 'Jalisco',
+  MC: 'Estado de México',
+  MN: 'Michoacán',
+  MS: 'Morelos',
+  NT: 'Nayarit',
+  NL: 'Nuevo León',
+  OC: 'Oaxaca',
+  PL: 'Puebla',
+  QT: 'Querétaro',
+  QR: 'Quintana Roo',
+  SP: 'San Luis Potosí',
+  SL: 'Sinaloa',
+  SR: 'Sonora',
+  TC: 'Tabasco',
+  TS: 'Tamaulipas',
+  TL: 'Tlaxcala',
+  VZ: 'Veracruz',
+  YN: 'Yucatán',
+  ZS: 'Zacatecas',
+  NE: 'Nacido en el extranjero'
+};
+
+// ===== SEXO (CURP) =====
+const SEXOS = {
+  H: 'hombre',
+  M: 'mujer',
+  X: 'no_binario'
+};
+
+// Diccionarios para los dígitos verificadores
+const DICCIONARIO_CURP = '0123456789ABCDEFGHIJKLMNÑOPQRSTUVWXYZ';
+const DICCIONARIO_RFC = '0123456789ABCDEFGHIJKLMN&OPQRSTUVWXYZ Ñ';
+
+// RFC genéricos del SAT (público en general / extranjeros)
+const RFC_GENERICOS = ['XAXX010101000', 'XEXX010101000'];
+
+// ===== EXPRESIONES REGULARES =====
+// Segmentos de CURP: nombre(4) fecha(6) sexo(1) entidad(2) consonantes(3) homonimia(1) verificador(1)
+const REGEX_CURP = /^([A-Z][AEIOUX][A-Z]{2})(\d{6})([HMX])([A-Z]{2})([B-DF-HJ-NP-TV-Z]{3})([0-9A-Z])(\d)$/;
+// Segmentos de RFC: nombre(3 o 4) fecha(6) homoclave(3)
+const REGEX_RFC = /^([A-ZÑ&]{3,4})(\d{6})([A-Z0-9]{2}[0-9A])$/;
+
+class ValidacionService {
+  constructor() {
+    this.entidades = ENTIDADES;
+  }
+
+  /**
+   * Construir una fecha a partir de AAMMDD validando que exista
+   * @param {String} aammdd
+   * @param {Number} siglo - 1900 o 2000
+   * @returns {Date|null}
+   */
+  construirFecha(aammdd, siglo) {
+    const anio = siglo + parseInt(aammdd.slice(0, 2));
+    const mes = parseInt(aammdd.slice(2, 4));
+    const dia = parseInt(aammdd.slice(4, 6));
+    const fecha = new Date(Date.UTC(anio, mes - 1, dia));
+
+    const valida = fecha.getUTCFullYear() === anio &&
+      fecha.getUTCMonth() === mes - 1 &&
+      fecha.getUTCDate() === dia;
+
+    return valida ? fecha : null;
+  }
+
+  /**
+   * Calcular el dígito verificador de una CURP
+   * @param {String} curp17 - Primeros 17 caracteres
+   * @returns {String}
+   */
+  digitoVerificadorCurp(curp17) {
+    let suma = 0;
+    for (let i = 0; i < 17; i++) {
+      suma += DICCIONARIO_CURP.indexOf(curp17[i]) * (18 - i);
+    }
+    return String((10 - (suma % 10)) % 10);
+  }
+
+  /**
+   * Calcular el dígito verificador de un RFC
+   * @param {String} rfc12 - RFC sin el último carácter
+   * @returns {String}
+   */
+  digitoVerificadorRfc(rfc12) {
+    // Las personas morales se completan con un espacio al inicio
+    const base = rfc12.length === 11 ? ` ${rfc12}` : rfc12;
+
+    let suma = 0;
+    for (let i = 0; i < 12; i++) {
+      suma += DICCIONARIO_RFC.indexOf(base[i]) * (13 - i);
+    }
+
+    const residuo = suma % 11;
+    if (residuo === 0) return '0';
+    const digito = 11 - residuo;
+    return digito === 10 ? 'A' : String(digito);
+  }
+
+  /**
+   * Validar CURP y extraer sus datos
+   * @param {String} curp
+   * @returns {Object} - { valido, mensaje, codigo, curp, datos: { fechaNacimiento, sexo, entidad } }
+   */
+  validarCurp(curp) {
+    const valor = String(curp || '').trim().toUpperCase();
+
+    if (valor.length !== 18) {
+      return {
+        valido: false,
+        mensaje: 'La CURP debe tener 18 caracteres',
+        codigo: 'CURP_INVALID_LENGTH'
+      };
+    }
+
+    const partes = valor.match(REGEX_CURP);
+    if (!partes) {
+      return {
+        valido: false,
+        mensaje: 'El formato de la CURP no es válido',
+        codigo: 'CURP_INVALID_FORMAT'
+      };
+    }
+
+    const [, , fecha, sexo, entidad, , homonimia, verificador] = partes;
+
+    if (!ENTIDADES[entidad]) {
+      return {
+        valido: false,
+        mensaje: `La entidad de nacimiento "${entidad}" no es válida`,
+        codigo: 'CURP_INVALID_STATE'
+      };
+    }
+
+    // La homonimia es dígito para nacidos antes de 2000 y letra a partir de 2000
+    const siglo = /\d/.test(homonimia) ? 1900 : 2000;
+    const fechaNacimiento = this.construirFecha(fecha, siglo);
+
+    if (!fechaNacimiento || fechaNacimiento > new Date()) {
+      return {
+        valido: false,
+        mensaje: 'La fecha de nacimiento de la CURP no es válida',
+        codigo: 'CURP_INVALID_DATE'
+      };
+    }
+
+    if (this.digitoVerificadorCurp(valor.slice(0, 17)) !== verificador) {
+      return {
+        valido: false,
+        mensaje: 'El dígito verificador de la CURP no coincide',
+        codigo: 'CURP_INVALID_CHECK_DIGIT'
+      };
+    }
+
+    return {
+      valido: true,
+      curp: valor,
+      datos: {
+        fechaNacimiento,
+        sexo: SEXOS[sexo],
+        entidad
+      }
+    };
+  }
+
+  /**
+   * Validar RFC y extraer sus datos
+   * @param {String} rfc
+   * @returns {Object} - { valido, mensaje, codigo, rfc, datos: { tipoPersona, fecha } }
+   */
+  validarRfc(rfc) {
+    const valor = String(rfc || '').trim().toUpperCase();
+
+    // Persona moral: 12 caracteres / persona física: 13 caracteres
+    if (valor.length !== 12 && valor.length !== 13) {
+      return {
+        valido: false,
+        mensaje: 'El RFC debe tener 12 caracteres (persona moral) o 13 (persona física)',
+        codigo: 'RFC_INVALID_LENGTH'
+      };
+    }
+
+    const partes = valor.match(REGEX_RFC);
+    if (!partes || partes[1].length !== valor.length - 9) {
+      return {
+        valido: false,
+        mensaje: 'El formato del RFC no es válido',
+        codigo: 'RFC_INVALID_FORMAT'
+      };
+    }
+
+    if (RFC_GENERICOS.includes(valor)) {
+      return {
+        valido: false,
+        mensaje: 'No se permite registrar un RFC genérico',
+        codigo: 'RFC_GENERIC'
+      };
+    }
+
+    // El año no indica el siglo: se asume el más reciente que no quede en el futuro
+    const fechaTexto = partes[2];
+    const hoy = new Date();
+    let fecha = this.construirFecha(fechaTexto, 2000);
+    if (fecha && fecha > hoy) {
+      fecha = this.construirFecha(fechaTexto, 1900);
+    }
+
+    if (!fecha) {
+      return {
+        valido: false,
+        mensaje: 'La fecha del RFC no es válida',
+        codigo: 'RFC_INVALID_DATE'
+      };
+    }
+
+    if (this.digitoVerificadorRfc(valor.slice(0, -1)) !== valor.slice(-1)) {
+      return {
+        valido: false,
+        mensaje: 'La homoclave del RFC no es válida (dígito verificador)',
+        codigo: 'RFC_INVALID_HOMOCLAVE'
+      };
+    }
+
+    return {
+      valido: true,
+      rfc: valor,
+      datos: {
+        tipoPersona: valor.length === 12 ? 'moral' : 'fisica',
+        fecha
+      }
+    };
+  }
+}
+
+module.exports = new ValidacionService();
\ No newline at end of file
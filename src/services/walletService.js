@@ -0,0 +1,230 @@
+/**
+ * =====================================================
+ * SERVICIO DE WALLET
+ * =====================================================
+ * Archivo: src/services/walletService.js
+ * Descripción: Tarjeta de fidelidad en Apple Wallet y
+ *              Google Wallet
+ *              - Emisión del pase de cada cliente
+ *              - Registro de dispositivos (servicio web de PassKit)
+ *              - Actualización del pase cuando cambian los puntos
+ * =====================================================
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const WalletPass = require('../models/WalletPass');
+const Usuario = require('../models/Usuario');
+const appleWalletService = require('./appleWalletService');
+const googleWalletService = require('./googleWalletService');
+
+class WalletService {
+  constructor() {
+    // URL base del servicio web de PassKit (Apple exige HTTPS en producción)
+    const appUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+    this.urlServicioApple = `${appUrl}/api/wallet/apple`;
+  }
+
+  /**
+   * Indica si una plataforma está configurada
+   * @param {String} plataforma - 'apple' o 'google'
+   * @returns {Boolean}
+   */
+  estaConfigurado(plataforma) {
+    return plataforma === 'apple'
+      ? appleWalletService.estaConfigurado()
+      : googleWalletService.estaConfigurado();
+  }
+
+  /**
+   * Obtener (o crear) el pase del cliente en una plataforma
+   * @param {String} clienteId
+   * @param {String} plataforma
+   * @returns {Object} - Pase con tokenAutenticacion
+   */
+  async obtenerOCrearPase(clienteId, plataforma) {
+    const existente = await WalletPass.findOne({ cliente: clienteId, plataforma })
+      .select('+tokenAutenticacion');
+
+    if (existente) return existente;
+
+    try {
+      return await WalletPass.create({
+        cliente: clienteId,
+        plataforma,
+        serial: uuidv4(),
+        tokenAutenticacion: plataforma === 'apple' ? crypto.randomBytes(24).toString('hex') : null
+      });
+    } catch (error) {
+      // Dos descargas simultáneas: usar el pase que ganó
+      if (error.code !== 11000) throw error;
+      return await WalletPass.findOne({ cliente: clienteId, plataforma }).select('+tokenAutenticacion');
+    }
+  }
+
+  /**
+   * Cliente con los nombres de sus empresas (para el reverso del pase)
+   * @param {String} clienteId
+   * @returns {Object}
+   */
+  async obtenerCliente(clienteId) {
+    return await Usuario.findById(clienteId).populate('puntosPorEmpresa.empresa', 'nombreEmpresa');
+  }
+
+  /**
+   * Generar el .pkpass del cliente
+   * @param {String} clienteId
+   * @returns {Object} - { pase, pkpass }
+   */
+  async generarPaseApple(clienteId) {
+    const pase = await this.obtenerOCrearPase(clienteId, 'apple');
+    const cliente = await this.obtenerCliente(clienteId);
+
+    const pkpass = appleWalletService.generarPkpass({
+      pase,
+      tokenAutenticacion: pase.tokenAutenticacion,
+      cliente,
+      urlServicio: this.urlServicioApple
+    });
+
+    await WalletPass.updateOne({ _id: pase._id }, { puntosEmitidos: cliente.puntos });
+
+    return { pase, pkpass };
+  }
+
+  /**
+   * Generar el objeto y el JWT de Google Wallet del cliente
+   * @param {String} clienteId
+   * @returns {Object} - { pase, objeto, jwt, urlGuardar }
+   */
+  async generarPaseGoogle(clienteId) {
+    const pase = await this.obtenerOCrearPase(clienteId, 'google');
+    const cliente = await this.obtenerCliente(clienteId);
+
+    const resultado = googleWalletService.generarJwt(pase, cliente);
+
+    await WalletPass.updateOne({ _id: pase._id }, { puntosEmitidos: cliente.puntos });
+
+    return { pase, ...resultado };
+  }
+
+  /**
+   * Autenticar una petición de Apple Wallet (Authorization: ApplePass <token>)
+   * @param {String} tipoPase - passTypeIdentifier
+   * @param {String} serial
+   * @param {String} autorizacion - Header Authorization
+   * @returns {Object|null} - Pase si el token es correcto
+   */
+  async autenticarApple(tipoPase, serial, autorizacion) {
+    if (!appleWalletService.estaConfigurado() ||
+        tipoPase !== process.env.WALLET_APPLE_PASS_TYPE_ID ||
+        !autorizacion || !autorizacion.startsWith('ApplePass ')) {
+      return null;
+    }
+
+    const pase = await WalletPass.findOne({ serial, plataforma: 'apple' }).select('+tokenAutenticacion');
+    if (!pase) return null;
+
+    const recibido = Buffer.from(autorizacion.slice('ApplePass '.length));
+    const esperado = Buffer.from(pase.tokenAutenticacion);
+
+    if (recibido.length !== esperado.length || !crypto.timingSafeEqual(recibido, esperado)) {
+      return null;
+    }
+
+    return pase;
+  }
+
+  /**
+   * Registrar un dispositivo para recibir avisos del pase
+   * @param {Object} pase
+   * @param {String} identificador - deviceLibraryIdentifier
+   * @param {String} pushToken
+   * @returns {Boolean} - true si es un registro nuevo
+   */
+  async registrarDispositivo(pase, identificador, pushToken) {
+    const actualizado = await WalletPass.updateOne(
+      { _id: pase._id, 'dispositivos.identificador': identificador },
+      { $set: { 'dispositivos.$.pushToken': pushToken } }
+    );
+
+    if (actualizado.matchedCount > 0) return false;
+
+    await WalletPass.updateOne(
+      { _id: pase._id },
+      { $push: { dispositivos: { identificador, pushToken } } }
+    );
+
+    return true;
+  }
+
+  /**
+   * Dar de baja un dispositivo
+   * @param {Object} pase
+   * @param {String} identificador
+   */
+  async eliminarDispositivo(pase, identificador) {
+    await WalletPass.updateOne(
+      { _id: pase._id },
+      { $pull: { dispositivos: { identificador } } }
+    );
+  }
+
+  /**
+   * Pases de un dispositivo actualizados desde una fecha
+   * @param {String} identificador
+   * @param {String} desde - Etiqueta de la última consulta (ms desde epoch)
+   * @returns {Object|null} - { serialNumbers, lastUpdated } o null si no hay cambios
+   */
+  async obtenerSerialesActualizados(identificador, desde) {
+    const filtro = { plataforma: 'apple', 'dispositivos.identificador': identificador };
+
+    const fechaDesde = parseInt(desde);
+    if (!isNaN(fechaDesde)) {
+      filtro.actualizadoEn = { $gt: new Date(fechaDesde) };
+    }
+
+    const pases = await WalletPass.find(filtro).select('serial actualizadoEn');
+    if (pases.length === 0) return null;
+
+    const ultima = Math.max(...pases.map(p => p.actualizadoEn.getTime()));
+
+    return {
+      serialNumbers: pases.map(p => p.serial),
+      lastUpdated: String(ultima)
+    };
+  }
+
+  /**
+   * Actualizar los pases de un cliente tras un cambio de puntos
+   * Nunca lanza error: un fallo de Apple o Google no debe afectar la operación
+   * @param {String} clienteId
+   */
+  async actualizarPases(clienteId) {
+    try {
+      const pases = await WalletPass.find({ cliente: clienteId });
+      if (pases.length === 0) return;
+
+      const cliente = await this.obtenerCliente(clienteId);
+      if (!cliente) return;
+
+      for (const pase of pases) {
+        if (pase.puntosEmitidos === cliente.puntos) continue;
+
+        pase.puntosEmitidos = cliente.puntos;
+        pase.actualizadoEn = new Date();
+        await pase.save();
+
+        if (pase.plataforma === 'apple' && appleWalletService.estaConfigurado()) {
+          await appleWalletService.notificarDispositivos(pase.dispositivos.map(d => d.pushToken));
+        } else if (pase.plataforma === 'google' && googleWalletService.estaConfigurado()) {
+          await googleWalletService.actualizarObjeto(pase, cliente);
+        }
+      }
+    } catch (error) {
+      console.error('Error al actualizar pases de wallet:', error.message);
+    }
+  }
+}
+
+module.exports = new WalletService();
\ No newline at end of file